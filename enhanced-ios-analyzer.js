@@ -1,402 +1,1226 @@
 const fs = require('fs');
+const { parseCSVText } = require('./lib/csv-parser');
+const { adapters, resolveAdapter, normalizeDate } = require('./lib/input-adapters');
+const { ColumnMapping } = require('./lib/column-mapping');
+const { PatternRules } = require('./lib/pattern-rules');
+const { TextClassifier, issueText } = require('./lib/text-classifier');
+const { clusterIssues, describeCluster, DEFAULT_SIMILARITY } = require('./lib/issue-clustering');
+const { findEmergingTopics, weekStart } = require('./lib/emerging-topics');
+const { compareReleases, compareVersions, DEFAULT_WINDOW_DAYS: DEFAULT_RELEASE_WINDOW } = require('./lib/release-comparison');
+const { UsageData } = require('./lib/usage-data');
+const { detectAnomalies, METHODS: ANOMALY_METHODS, DEFAULT_METHOD: DEFAULT_ANOMALY_METHOD } = require('./lib/anomaly-detection');
+const { resolveDevice, parseGigabytes, ramTier, storageTier, RAM_TIERS, STORAGE_TIERS } = require('./lib/device-models');
+const { countryTiles, countryName } = require('./lib/country-map');
+const { diffAnalyses } = require('./lib/snapshot-diff');
+const { barChart, lineChart } = require('./lib/svg-charts');
+const { escapeHtml, scriptJson } = require('./lib/html-escape');
+const { HistoryStore, snapshotFromAnalysis } = require('./lib/history-store');
+const { IncrementalState } = require('./lib/incremental-state');
+const { detectInParallel, foundPatterns, workerCount, availableCores } = require('./lib/parallel-detection');
+const { parseLabels, evaluateDetection, formatEvaluation } = require('./lib/evaluation');
+const { IngestionDiagnostics } = require('./lib/ingestion-diagnostics');
+const { AnalyzerError, EXIT_CODES } = require('./lib/errors');
+
+const DEFAULT_INPUT = 'unresolved_issues_past_3_months.csv';
+const DEFAULT_OUTPUT = 'enhanced-ios-report.html';
+const DEFAULT_COMPARE_OUTPUT = 'comparison-report.html';
+const DEFAULT_LABEL_COLUMN = 'expected_patterns';
+const DEFAULT_MODEL = 'pattern-model.json';
+const DETECTION_MODES = ['regex', 'classifier', 'hybrid'];
+const MAX_REPORTED_CLUSTERS = 25;
+// RAM tiers counted as low-memory devices in the insights
+const LOW_RAM_TIERS = RAM_TIERS.slice(0, 2).map(([, tier]) => tier);
+// Fewer issues than this give a country too sparse a daily series to score
+const MIN_COUNTRY_ANOMALY_ISSUES = 10;
+
+// Keys in natural order, so "3.10.0" comes after "3.9.2"
+function sortedKeys(counts) {
+    return Object.keys(counts).sort((a, b) => a.localeCompare(b, 'en', { numeric: true }));
+}
+
+// Deep copy of plain data with every object's keys in natural order
+function sortedCopy(value) {
+    if (Array.isArray(value)) return value.map(sortedCopy);
+    if (!value || typeof value !== 'object') return value;
+    const copy = {};
+    sortedKeys(value).forEach(key => {
+        copy[key] = sortedCopy(value[key]);
+    });
+    return copy;
+}
+
+// Adds `weight` to a count and drops the key once nothing counts toward it
+function bump(counts, key, weight) {
+    const count = (counts[key] || 0) + weight;
+    if (count === 0) {
+        delete counts[key];
+    } else {
+        counts[key] = count;
+    }
+}
 
 class EnhancedIOSAnalyzer {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            platform: 'ios',
+            from: null,
+            to: null,
+            delimiter: ',',
+            format: 'auto',
+            columnMapping: null,
+            patternRules: null,
+            primaryPattern: false,
+            // Trained TextClassifier or model file path; detection defaults to
+            // "hybrid" when a model is given
+            classifierModel: null,
+            detection: null,
+            threshold: 0.5,
+            // Near-duplicate grouping (see lib/issue-clustering.js). With
+            // countClusters, each cluster is counted once instead of every row.
+            clusterSimilarity: DEFAULT_SIMILARITY,
+            countClusters: false,
+            // Daily spike detection (see lib/anomaly-detection.js); window and
+            // threshold default per method
+            anomalyMethod: DEFAULT_ANOMALY_METHOD,
+            anomalyWindow: null,
+            anomalyThreshold: null,
+            // Days after launch compared between a version and its predecessor
+            releaseWindow: DEFAULT_RELEASE_WINDOW,
+            // UsageData or usage CSV path with active users/sessions; with
+            // normalize, the version chart and critical rates use per-10k rates
+            usage: null,
+            normalize: false,
+            // Append-only history file (see lib/history-store.js); each analysis
+            // is recorded under exportDate, by default its latest issue date
+            history: null,
+            exportDate: null,
+            // State file of per-issue detection results (see
+            // lib/incremental-state.js); unchanged issues skip pattern detection
+            incrementalState: null,
+            // Worker threads for pattern detection; null uses one per core on
+            // large exports, 1 always detects on the main thread
+            workers: null,
+            // Draw report charts as inline SVG instead of loading Chart.js from
+            // a CDN, so the report works without network access
+            offline: false,
+            // Logical fields that may be absent (see lib/column-mapping.js)
+            optionalFields: [],
+            logger: console,
+            ...options
+        };
+        this.columnMapping = this.createColumnMapping(this.options.columnMapping);
+        this.patternRules = this.createPatternRules(this.options.patternRules);
+        this.classifier = this.createClassifier(this.options.classifierModel);
+        this.usage = this.createUsage(this.options.usage);
+        if (this.options.normalize && !this.usage) {
+            throw new AnalyzerError('Normalized rates need usage data', EXIT_CODES.USAGE);
+        }
+        this.detection = this.options.detection || (this.classifier ? 'hybrid' : 'regex');
+        if (!DETECTION_MODES.includes(this.detection)) {
+            throw new AnalyzerError(`Unknown detection mode "${this.detection}" (expected ${DETECTION_MODES.join(', ')})`, EXIT_CODES.USAGE);
+        }
+        if (this.detection !== 'regex' && !this.classifier) {
+            throw new AnalyzerError(`Detection mode "${this.detection}" needs a trained classifier model`, EXIT_CODES.USAGE);
+        }
+        if (!ANOMALY_METHODS[this.options.anomalyMethod]) {
+            throw new AnalyzerError(`Unknown spike method "${this.options.anomalyMethod}" (expected ${Object.keys(ANOMALY_METHODS).join(', ')})`, EXIT_CODES.USAGE);
+        }
+        this.reset();
+    }
+
+    // Drops loaded issues and earlier results, so one instance can serve many
+    // analyses (e.g. in a long-running service) without mixing their data
+    reset() {
         this.issues = [];
+        // Rows that were read but filtered out; only kept with incrementalState
+        // so the state file does not take them for resolved issues
+        this.excluded = [];
         this.analysis = {};
+        this.comparison = null;
+        this.diagnostics = new IngestionDiagnostics();
+        this.locations = new WeakMap();
     }
 
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
-            const nextChar = line[i + 1];
-            
-            if (char === '"') {
-                if (inQuotes && nextChar === '"') {
-                    current += '"';
-                    i++;
-                } else {
-                    inQuotes = !inQuotes;
-                }
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
-            }
+    // Accepts a ColumnMapping, a mapping config object, or a JSON/YAML file path
+    createColumnMapping(mapping) {
+        if (mapping instanceof ColumnMapping) return mapping;
+        if (typeof mapping === 'string') return ColumnMapping.fromFile(mapping);
+        return new ColumnMapping(mapping || {});
+    }
+
+    // Accepts PatternRules, a rules config (list or { patterns }), or a JSON/YAML file path
+    createPatternRules(rules) {
+        if (rules instanceof PatternRules) return rules;
+        if (typeof rules === 'string') return PatternRules.fromFile(rules);
+        if (rules) return PatternRules.fromConfig(rules);
+        return PatternRules.defaults();
+    }
+
+    createClassifier(model) {
+        if (!model || model instanceof TextClassifier) return model || null;
+        return TextClassifier.load(model);
+    }
+
+    createUsage(usage) {
+        if (!usage || usage instanceof UsageData) return usage || null;
+        const loaded = UsageData.fromFile(usage, { delimiter: this.options.delimiter });
+        this.log(`👥 Loaded ${loaded.rows.length} usage rows (${loaded.unit}) from ${usage}`);
+        if (loaded.skipped > 0) {
+            this.log(`⚠️  ${loaded.skipped} usage row${loaded.skipped === 1 ? '' : 's'} skipped: unparseable date or count`);
         }
-        result.push(current.trim());
-        return result;
+        return loaded;
     }
 
-    parseCSV(filePath) {
-        console.log('📊 Parsing CSV data...');
-        const data = fs.readFileSync(filePath, 'utf8');
-        const lines = data.split('\n');
+    // Pass { logger: null } to silence progress output when used as a library
+    log(...args) {
+        if (this.options.logger) {
+            this.options.logger.log(...args);
+        }
+    }
+
+    // Accepts already-parsed issue objects keyed by the CSV column names
+    loadIssues(issues, source = 'in-memory') {
+        this.diagnostics.startSource(source);
+        issues.forEach((issue, index) => this.acceptIssue(issue, { source, line: index + 1 }));
+        return this.issues.length;
+    }
+
+    // Accepts a file path, an array of issue objects, or a list mixing both.
+    // Replaces whatever an earlier load() read.
+    load(sources) {
+        const isSourceList = Array.isArray(sources) && sources.length > 0 &&
+            sources.every(source => typeof source === 'string' || Array.isArray(source));
+        const sourceList = isSourceList ? sources : [sources];
         
-        const headers = this.parseCSVLine(lines[0]);
-        console.log(`Found ${headers.length} columns`);
+        const invalid = sourceList.find(source => typeof source !== 'string' && !Array.isArray(source));
+        if (invalid !== undefined) {
+            throw new TypeError(`Expected a file path or an array of issues, got ${typeof invalid}`);
+        }
         
-        for (let i = 1; i < lines.length; i++) {
-            if (lines[i].trim() === '') continue;
-            
-            try {
-                const values = this.parseCSVLine(lines[i]);
-                if (values.length >= headers.length - 5) {
-                    const issue = {};
-                    headers.forEach((header, index) => {
-                        issue[header] = values[index] || '';
-                    });
-                    
-                    if (issue.s_meta_other_platform === 'ios') {
-                        this.issues.push(issue);
-                    }
-                }
-            } catch (error) {
-                // Skip malformed lines
-            }
-            
-            if (i % 1000 === 0) {
-                console.log(`Processed ${i} lines...`);
-            }
+        const missing = sourceList.filter(source => typeof source === 'string' && !fs.existsSync(source));
+        if (missing.length > 0) {
+            throw new AnalyzerError(`Input file not found: ${missing.join(', ')}`, EXIT_CODES.INPUT_NOT_FOUND);
         }
         
-        console.log(`✅ Parsed ${this.issues.length} iOS issues from ${lines.length} total lines`);
+        this.reset();
+        sourceList.forEach(source => {
+            if (Array.isArray(source)) {
+                this.loadIssues(source);
+            } else {
+                this.loadFile(source);
+            }
+        });
+        this.logDiagnostics();
+        return this.issues.length;
     }
 
-    // Enhanced crash/freeze pattern detection
-    detectSpecificPatterns(issue) {
-        const title = (issue.s_issue_title || '').toLowerCase();
-        const tags = (issue.a_tags || '').toLowerCase();
-        const messages = (issue.s_messages || '').toLowerCase();
-        
-        const patterns = {
-            // Critical crash patterns
-            hardCrash: {
-                regex: /\b(crash|crashed|crashes|crashing|app (closes|closed|shuts down|force close))\b/,
-                severity: 'critical',
-                description: 'App completely crashes or force closes'
-            },
-            suddenExit: {
-                regex: /\b(suddenly (stops|exits|quits)|app disappears|unexpected(ly)? (close|exit))\b/,
-                severity: 'critical', 
-                description: 'App exits without warning'
-            },
-            
-            // Freeze/stuck patterns
-            freeze: {
-                regex: /\b(freeze|frozen|freezes|freezing|not responding|unresponsive)\b/,
-                severity: 'high',
-                description: 'App becomes unresponsive'
-            },
-            rewardStuck: {
-                regex: /\b(reward.*stuck|can't claim|reward.*freeze|reward.*not working)\b/,
-                severity: 'high',
-                description: 'Reward screen or claiming mechanism stuck'
-            },
-            loadingStuck: {
-                regex: /\b(loading (stuck|forever|infinite)|won't load|stuck.*loading)\b/,
-                severity: 'medium',
-                description: 'Loading screens that never complete'
-            },
-            
-            // Progress/data issues
-            progressLost: {
-                regex: /\b(progress.*lost|reset.*progress|back to zero|lost.*items|bag.*zero)\b/,
-                severity: 'high',
-                description: 'User progress or items lost/reset'
-            },
-            
-            // UI/interaction issues
-            uiStuck: {
-                regex: /\b(stuck|hanging|hangs|tap.*not.*work|button.*not.*work)\b/,
-                severity: 'medium',
-                description: 'UI elements not responding to interaction'
-            },
-            
-            // Performance issues
-            performanceLag: {
-                regex: /\b(lag|lagging|slow|sluggish|choppy|stuttering|fps)\b/,
-                severity: 'low',
-                description: 'Performance and responsiveness issues'
-            },
-            
-            // Visual issues
-            blackScreen: {
-                regex: /\b(black screen|blank screen|white screen|screen.*blank)\b/,
-                severity: 'medium',
-                description: 'Display issues and blank screens'
-            }
-        };
+    analyze(sources) {
+        if (sources !== undefined) {
+            this.load(sources);
+        }
+        if (this.issues.length === 0) {
+            throw new AnalyzerError('No issues matched the platform and date filters', EXIT_CODES.NO_ISSUES);
+        }
         
-        const detected = {};
-        const fullText = `${title} ${tags} ${messages}`;
+        this.analyzeEnhanced();
+        if (this.options.history) {
+            this.recordHistory(sources);
+        }
+        return {
+            analysis: this.analysis,
+            insights: this.generatePlainEnglishInsights()
+        };
+    }
+
+    // Appends this analysis to the history file and attaches the summary of
+    // every snapshot so far as analysis.history
+    recordHistory(sources = []) {
+        const store = new HistoryStore(this.options.history);
+        const dates = Object.keys(this.analysis.dailyTrends)
+            .map(date => date.slice(0, 10))
+            .filter(date => !isNaN(Date.parse(date)))
+            .sort();
+        const exportDate = this.options.exportDate || dates[dates.length - 1] || new Date().toISOString().slice(0, 10);
         
-        Object.entries(patterns).forEach(([key, pattern]) => {
-            detected[key] = {
-                found: pattern.regex.test(fullText),
-                severity: pattern.severity,
-                description: pattern.description
-            };
+        store.append(snapshotFromAnalysis(this.analysis, {
+            exportDate,
+            sources: (Array.isArray(sources) ? sources : [sources]).filter(source => typeof source === 'string'),
+            platform: this.options.platform
+        }));
+        const snapshots = store.read();
+        if (store.skipped > 0) {
+            this.log(`⚠️  ${store.skipped} unreadable line${store.skipped === 1 ? '' : 's'} in ${this.options.history} skipped`);
+        }
+        this.analysis.history = { path: this.options.history, exportDate, ...HistoryStore.summarize(snapshots) };
+        this.log(`🗄️  Recorded snapshot for ${exportDate} (${snapshots.length} in ${this.options.history})`);
+        return this.analysis.history;
+    }
+
+    // Analyzes an earlier and a later export with the same settings and diffs
+    // them (see lib/snapshot-diff.js). This analyzer keeps the later side; the
+    // earlier one is kept as this.baseline.
+    compare(beforeSources, afterSources) {
+        this.baseline = new EnhancedIOSAnalyzer({
+            ...this.options,
+            history: null,
+            incrementalState: null,
+            columnMapping: this.columnMapping,
+            patternRules: this.patternRules,
+            classifierModel: this.classifier,
+            usage: this.usage
         });
+        this.log('\n⏮️  Earlier export');
+        this.baseline.analyze(beforeSources);
+        this.log('\n⏭️  Later export');
+        this.analyze(afterSources);
         
-        return detected;
+        this.comparison = diffAnalyses(this.baseline.analysis, this.analysis);
+        return this.comparison;
     }
 
-    analyzeEnhanced() {
-        console.log('\n🔍 Enhanced analysis with pattern detection...');
-        
-        const versionGroups = {};
-        const dailyTrends = {};
-        const patternAnalysis = {};
-        const tagPatterns = {};
-        
-        this.issues.forEach(issue => {
-            const appVersion = issue.s_meta_application_version || 'Unknown';
-            const createdDate = issue.d_created_date || 'Unknown';
-            const tags = issue.a_tags || '[]';
-            const osVersion = issue.s_meta_other_os_version || 'Unknown';
-            const country = issue.s_meta_other_country_code || 'Unknown';
-            
-            // Initialize version group
-            if (!versionGroups[appVersion]) {
-                versionGroups[appVersion] = {
-                    count: 0,
-                    patterns: {},
-                    osVersions: new Set(),
-                    countries: new Set(),
-                    tagBreakdown: {},
-                    dates: [],
-                    severityCount: { critical: 0, high: 0, medium: 0, low: 0 }
-                };
-            }
-            
-            // Detect specific patterns
-            const detectedPatterns = this.detectSpecificPatterns(issue);
-            Object.entries(detectedPatterns).forEach(([patternName, patternData]) => {
-                if (patternData.found) {
-                    // Version-specific pattern tracking
-                    if (!versionGroups[appVersion].patterns[patternName]) {
-                        versionGroups[appVersion].patterns[patternName] = 0;
-                    }
-                    versionGroups[appVersion].patterns[patternName]++;
-                    versionGroups[appVersion].severityCount[patternData.severity]++;
-                    
-                    // Global pattern analysis
-                    if (!patternAnalysis[patternName]) {
-                        patternAnalysis[patternName] = {
-                            total: 0,
-                            severity: patternData.severity,
-                            description: patternData.description,
-                            versions: {},
-                            trend: [],
-                            topVersions: new Set()
-                        };
-                    }
-                    patternAnalysis[patternName].total++;
-                    patternAnalysis[patternName].versions[appVersion] = 
-                        (patternAnalysis[patternName].versions[appVersion] || 0) + 1;
-                    patternAnalysis[patternName].topVersions.add(appVersion);
-                }
-            });
-            
-            // Version data
-            versionGroups[appVersion].count++;
-            versionGroups[appVersion].osVersions.add(osVersion);
-            versionGroups[appVersion].countries.add(country);
-            versionGroups[appVersion].dates.push(createdDate);
-            
-            // Process tags
-            try {
-                const tagArray = JSON.parse(tags);
-                tagArray.forEach(tag => {
-                    if (!versionGroups[appVersion].tagBreakdown[tag]) {
-                        versionGroups[appVersion].tagBreakdown[tag] = 0;
-                    }
-                    versionGroups[appVersion].tagBreakdown[tag]++;
-                    
-                    if (!tagPatterns[tag]) {
-                        tagPatterns[tag] = { count: 0, versions: new Set() };
-                    }
-                    tagPatterns[tag].count++;
-                    tagPatterns[tag].versions.add(appVersion);
-                });
-            } catch (e) {
-                // Handle non-JSON format
-                if (tags && tags !== '[]') {
-                    const simpleTag = tags.replace(/[\[\]"]/g, '');
-                    if (!versionGroups[appVersion].tagBreakdown[simpleTag]) {
-                        versionGroups[appVersion].tagBreakdown[simpleTag] = 0;
-                    }
-                    versionGroups[appVersion].tagBreakdown[simpleTag]++;
-                }
-            }
-            
-            // Daily trends
-            if (!dailyTrends[createdDate]) {
-                dailyTrends[createdDate] = {
-                    total: 0,
-                    versions: {},
-                    patterns: {},
-                    severity: { critical: 0, high: 0, medium: 0, low: 0 }
-                };
-            }
-            dailyTrends[createdDate].total++;
-            dailyTrends[createdDate].versions[appVersion] = 
-                (dailyTrends[createdDate].versions[appVersion] || 0) + 1;
-            
-            // Daily pattern tracking
-            Object.entries(detectedPatterns).forEach(([patternName, patternData]) => {
-                if (patternData.found) {
-                    dailyTrends[createdDate].patterns[patternName] = 
-                        (dailyTrends[createdDate].patterns[patternName] || 0) + 1;
-                    dailyTrends[createdDate].severity[patternData.severity]++;
-                }
-            });
-        });
+    // Times pattern detection and the full analysis on the main thread and on
+    // `workers` threads (default: one per core, at least 2), and checks that
+    // both give the same analysis. Throughput is in issues per second.
+    benchmark(sources, { workers = null } = {}) {
+        if (sources !== undefined) {
+            this.load(sources);
+        }
+        if (this.issues.length === 0) {
+            throw new AnalyzerError('No issues matched the platform and date filters', EXIT_CODES.NO_ISSUES);
+        }
         
-        // Convert Sets to arrays for JSON serialization
-        Object.keys(versionGroups).forEach(version => {
-            versionGroups[version].osVersions = Array.from(versionGroups[version].osVersions);
-            versionGroups[version].countries = Array.from(versionGroups[version].countries);
+        const settings = { ...this.options };
+        const parallel = workers || Math.max(2, availableCores());
+        // Sets (e.g. topVersions) serialize as {} by default
+        const serialize = analysis => JSON.stringify(analysis, (key, value) => (value instanceof Set ? [...value] : value));
+        const runs = [1, parallel].map(workerThreads => {
+            this.options = { ...settings, workers: workerThreads, incrementalState: null, logger: null };
+            let started = performance.now();
+            this.detectAll(this.issues);
+            const detectionMs = performance.now() - started;
+            started = performance.now();
+            const analysis = serialize(this.analyzeEnhanced());
+            const analysisMs = performance.now() - started;
+            this.options = settings;
+            this.log(`⏱️  ${workerThreads} worker${workerThreads === 1 ? '' : 's'}: detection ${Math.round(detectionMs)} ms, full analysis ${Math.round(analysisMs)} ms`);
+            return {
+                workers: workerThreads,
+                detectionMs,
+                analysisMs,
+                issuesPerSecond: this.issues.length / (detectionMs / 1000),
+                analysis
+            };
         });
         
-        Object.keys(patternAnalysis).forEach(pattern => {
-            patternAnalysis[pattern].topVersions = Array.from(patternAnalysis[pattern].topVersions);
-        });
+        return {
+            issues: this.issues.length,
+            cores: availableCores(),
+            identical: runs.every(run => run.analysis === runs[0].analysis),
+            runs: runs.map(({ analysis, ...run }) => run)
+        };
+    }
+
+    // Scores pattern detection against hand-labeled issues whose labelColumn
+    // lists the expected pattern ids (see lib/evaluation.js)
+    evaluate(sources, { labelColumn = DEFAULT_LABEL_COLUMN } = {}) {
+        if (sources !== undefined) {
+            this.load(sources);
+        }
+        if (this.issues.length === 0) {
+            throw new AnalyzerError('No labeled issues to evaluate', EXIT_CODES.NO_ISSUES);
+        }
+        if (!this.issues.some(issue => issue[labelColumn] !== undefined)) {
+            throw new AnalyzerError(`Labeled data has no "${labelColumn}" column`, EXIT_CODES.INVALID_INPUT);
+        }
         
-        Object.keys(tagPatterns).forEach(tag => {
-            tagPatterns[tag].versions = Array.from(tagPatterns[tag].versions);
+        const patternIds = this.patternRules.rules.map(rule => rule.id);
+        const cases = this.issues.map((issue, index) => {
+            const location = this.locations.get(issue);
+            return {
+                id: issue.s_issue_id || (location ? `${location.source}:${location.line}` : `#${index + 1}`),
+                title: issue.s_issue_title || issue.s_messages || '',
+                expected: parseLabels(issue[labelColumn], patternIds),
+                predicted: Object.entries(this.detectSpecificPatterns(issue))
+                    .filter(([, patternData]) => patternData.found)
+                    .map(([patternName]) => patternName)
+            };
         });
         
-        this.analysis = {
-            versionGroups,
-            dailyTrends,
-            patternAnalysis,
-            tagPatterns,
-            totalIssues: this.issues.length
-        };
-        
-        console.log(`✅ Enhanced analysis complete! Detected ${Object.keys(patternAnalysis).length} pattern types`);
+        const unknownLabels = [...new Set(cases.flatMap(item => item.expected))].filter(id => !patternIds.includes(id));
+        if (unknownLabels.length > 0) {
+            this.log(`⚠️  Labels with no matching pattern rule: ${unknownLabels.join(', ')}`);
+        }
+        return evaluateDetection(cases, patternIds);
     }
 
-    generatePlainEnglishInsights() {
-        const { versionGroups, dailyTrends, patternAnalysis, totalIssues } = this.analysis;
-        
-        const insights = [];
+    // Trains a classifier model on labelColumn when the data has it, otherwise on
+    // labels seeded from the regex rules so the model can generalize from them
+    train(sources, { labelColumn = DEFAULT_LABEL_COLUMN, minDocumentFrequency } = {}) {
+        if (sources !== undefined) {
+            this.load(sources);
+        }
+        if (this.issues.length === 0) {
+            throw new AnalyzerError('No issues to train on', EXIT_CODES.NO_ISSUES);
+        }
         
-        // Version analysis
-        const sortedVersions = Object.entries(versionGroups)
-            .sort(([,a], [,b]) => b.count - a.count);
+        const patternIds = this.patternRules.rules.map(rule => rule.id);
+        const labeled = this.issues.some(issue => issue[labelColumn] !== undefined);
+        this.log(labeled
+            ? `🧠 Training on "${labelColumn}" labels from ${this.issues.length} issues...`
+            : `🧠 No "${labelColumn}" column, training on regex rule matches from ${this.issues.length} issues...`);
         
-        const topVersion = sortedVersions[0];
-        const topIssuePercent = ((topVersion[1].count / totalIssues) * 100).toFixed(1);
+        const documents = this.issues.map(issue => ({
+            text: issueText(issue),
+            labels: labeled
+                ? parseLabels(issue[labelColumn], patternIds)
+                : Object.entries(this.patternRules.detect(issue))
+                    .filter(([, patternData]) => patternData.found)
+                    .map(([patternName]) => patternName)
+        }));
         
-        insights.push(`**Version Analysis:** Version ${topVersion[0]} is responsible for ${topIssuePercent}% of all iOS issues (${topVersion[1].count} out of ${totalIssues}). This suggests a significant regression in this version.`);
+        const unknownLabels = [...new Set(documents.flatMap(document => document.labels))].filter(id => !patternIds.includes(id));
+        if (unknownLabels.length > 0) {
+            this.log(`⚠️  Ignoring labels with no matching pattern rule: ${unknownLabels.join(', ')}`);
+        }
         
-        // Critical pattern analysis
-        const criticalPatterns = Object.entries(patternAnalysis)
-            .filter(([, data]) => data.severity === 'critical')
-            .sort(([,a], [,b]) => b.total - a.total);
+        const patterns = {};
+        this.patternRules.rules.forEach(rule => {
+            patterns[rule.id] = { name: rule.name, severity: rule.severity, description: rule.description };
+        });
+        const classifier = TextClassifier.train(documents, patterns, { minDocumentFrequency });
         
-        if (criticalPatterns.length > 0) {
-            const topCritical = criticalPatterns[0];
-            const affectedVersions = Object.keys(topCritical[1].versions).length;
-            insights.push(`**Critical Alert:** "${topCritical[1].description}" affects ${affectedVersions} versions with ${topCritical[1].total} total cases. This is a high-priority issue requiring immediate attention.`);
+        const untrained = patternIds.filter(id => classifier.patterns[id].documentCount === 0);
+        if (untrained.length > 0) {
+            this.log(`⚠️  No examples for ${untrained.join(', ')}; the model will never predict them`);
         }
+        this.log(`✅ Trained on ${documents.length} issues (${Object.keys(classifier.model.documentFrequency).length} distinct terms)`);
+        return classifier;
+    }
+
+    // Returns why an issue is excluded from analysis, or null if it is kept.
+    // Dates are normalized to YYYY-MM-DD before comparing, so native exports
+    // with other date formats filter the same way.
+    rejectionReason(issue) {
+        const { platform, from, to } = this.options;
         
-        // Daily trend analysis
-        const sortedDates = Object.keys(dailyTrends).sort();
-        const dailyVolumes = sortedDates.map(date => dailyTrends[date].total);
-        const avgDaily = dailyVolumes.reduce((a, b) => a + b, 0) / dailyVolumes.length;
-        const spikes = sortedDates.filter(date => dailyTrends[date].total > avgDaily * 1.5);
+        const datesRequired = !this.options.optionalFields.includes('createdDate');
         
-        if (spikes.length > 0) {
-            const biggestSpike = spikes.reduce((max, date) => 
-                dailyTrends[date].total > dailyTrends[max].total ? date : max
-            );
-            const spikeVolume = dailyTrends[biggestSpike].total;
-            const spikeIncrease = ((spikeVolume / avgDaily - 1) * 100).toFixed(0);
-            
-            insights.push(`**Trend Alert:** ${biggestSpike} showed a ${spikeIncrease}% spike in issues (${spikeVolume} vs ${avgDaily.toFixed(0)} average). This suggests a significant incident or release impact.`);
+        const missing = [];
+        if (datesRequired && !issue.d_created_date) missing.push('d_created_date');
+        if (!issue.s_issue_title && !issue.s_messages) missing.push('s_issue_title or s_messages');
+        if (missing.length > 0) {
+            return { category: 'missingRequired', detail: `Missing ${missing.join(', ')}` };
         }
-        
-        // Pattern severity distribution
-        const totalSeverityCount = { critical: 0, high: 0, medium: 0, low: 0 };
-        Object.values(versionGroups).forEach(version => {
-            Object.entries(version.severityCount).forEach(([severity, count]) => {
-                totalSeverityCount[severity] += count;
+        if (datesRequired && isNaN(Date.parse(issue.d_created_date))) {
+            return { category: 'invalidDate', detail: `d_created_date is "${issue.d_created_date}"` };
+        }
+        if (platform && platform !== 'all' && issue.s_meta_other_platform !== platform) {
+            return { category: 'platformFiltered', detail: `Platform is "${issue.s_meta_other_platform || ''}"` };
+        }
+        const createdDate = normalizeDate(issue.d_created_date);
+        if ((from && createdDate < from) || (to && createdDate > to)) {
+            return { category: 'dateFiltered', detail: `Created ${createdDate}` };
+        }
+        return null;
+    }
+
+    acceptIssue(issue, location) {
+        const reason = this.rejectionReason(issue);
+        if (reason) {
+            this.diagnostics.skip(reason.category, {
+                ...location,
+                detail: reason.detail,
+                sample: issue.s_issue_title || issue.s_messages || ''
             });
-        });
-        
-        const criticalPercent = ((totalSeverityCount.critical / totalIssues) * 100).toFixed(1);
-        if (totalSeverityCount.critical > 0) {
-            insights.push(`**Severity Distribution:** ${criticalPercent}% of issues are critical (${totalSeverityCount.critical} cases), indicating severe stability problems that could drive user churn.`);
+            if (this.options.incrementalState) this.excluded.push(issue);
+            return false;
         }
+        this.diagnostics.accept();
+        this.issues.push(issue);
+        this.locations.set(issue, location);
+        return true;
+    }
+
+    parseCSVLine(line) {
+        const [fields = ['']] = parseCSVText(line, { delimiter: this.options.delimiter });
+        return fields.map(field => field.trim());
+    }
+
+    loadFile(filePath, format = this.options.format) {
+        const adapter = resolveAdapter(filePath, format, { delimiter: this.options.delimiter });
+        this.log(`📊 Parsing ${adapter.description} from ${filePath}...`);
+        this.diagnostics.startSource(filePath);
         
-        // Cross-version pattern detection
-        const crossVersionPatterns = Object.entries(patternAnalysis)
-            .filter(([, data]) => Object.keys(data.versions).length >= 3)
-            .sort(([,a], [,b]) => Object.keys(b.versions).length - Object.keys(a.versions).length);
+        const matchedBefore = this.issues.length;
+        const readOptions = {
+            delimiter: this.options.delimiter,
+            columnMapping: this.columnMapping,
+            optionalFields: this.options.platform === 'all'
+                ? [...this.options.optionalFields, 'platform']
+                : this.options.optionalFields
+        };
+        const recordCount = adapter.read(filePath, readOptions, {
+            onHeaders: headers => this.log(`Found ${headers.length} columns`),
+            onWarning: message => this.log(`⚠️  ${message}`),
+            onIssue: (issue, location) => this.acceptIssue(issue, location),
+            onSkip: (category, details) => this.diagnostics.skip(category, details),
+            onProgress: count => {
+                if (count % 1000 === 0) {
+                    this.log(`Processed ${count} records...`);
+                }
+            }
+        });
         
-        if (crossVersionPatterns.length > 0) {
-            const topCrossPattern = crossVersionPatterns[0];
-            insights.push(`**Cross-Version Issue:** "${topCrossPattern[1].description}" appears across ${Object.keys(topCrossPattern[1].versions).length} different versions, suggesting a fundamental design or architecture problem.`);
-        }
+        this.log(`✅ ${this.issues.length - matchedBefore} matching issues from ${recordCount} records`);
+    }
+
+    parseCSV(filePath) {
+        this.loadFile(filePath, 'csv');
+    }
+
+    logDiagnostics() {
+        const { categories } = this.diagnostics.summary();
+        Object.values(categories)
+            .filter(entry => entry.kind === 'rejected')
+            .forEach(entry => {
+                const lines = entry.samples.map(sample => `${sample.source}:${sample.line}`).join(', ');
+                this.log(`⚠️  ${entry.count} row${entry.count === 1 ? '' : 's'} skipped: ${entry.label} (e.g. ${lines})`);
+            });
+    }
+
+    // Enhanced crash/freeze pattern detection, driven by the loaded pattern rules
+    // and/or the classifier model. Each pattern carries a confidence: 1 for a rule
+    // match, the model's probability otherwise. Hybrid mode keeps rule matches and
+    // adds patterns the model scores at or above the threshold.
+    // With primaryPattern set, only the most severe match per issue is kept.
+    detectSpecificPatterns(issue) {
+        const detected = this.detection === 'classifier' ? {} : this.patternRules.detect(issue);
+        Object.values(detected).forEach(patternData => {
+            patternData.confidence = patternData.found ? 1 : 0;
+        });
         
-        // iOS compatibility insights
-        const iosVersionIssues = {};
-        Object.values(versionGroups).forEach(version => {
-            version.osVersions.forEach(osVersion => {
-                if (!iosVersionIssues[osVersion]) {
-                    iosVersionIssues[osVersion] = 0;
-                }
-                iosVersionIssues[osVersion] += version.count;
+        if (this.detection !== 'regex') {
+            const probabilities = this.classifier.predict(issueText(issue));
+            Object.entries(probabilities).forEach(([patternName, probability]) => {
+                const rule = this.patternRules.byId.get(patternName) || this.classifier.patterns[patternName];
+                const ruleMatched = Boolean(detected[patternName] && detected[patternName].found);
+                detected[patternName] = {
+                    found: ruleMatched || probability >= this.options.threshold,
+                    severity: rule.severity,
+                    description: rule.description,
+                    confidence: ruleMatched ? 1 : probability
+                };
             });
+        }
+        return this.options.primaryPattern ? this.patternRules.selectPrimary(detected) : detected;
+    }
+
+    // Everything that changes what detectSpecificPatterns returns for an issue
+    detectionFingerprint() {
+        const model = this.classifier && this.classifier.model;
+        return IncrementalState.fingerprintOf({
+            rules: this.patternRules.definitions,
+            detection: this.detection,
+            threshold: this.detection === 'regex' ? null : this.options.threshold,
+            model: this.detection === 'regex' ? null : [model.trainedAt, model.documentCount, Object.keys(model.patterns)],
+            primaryPattern: this.options.primaryPattern
+        });
+    }
+
+    // Full detectSpecificPatterns() entries for a foundPatterns() result
+    restoreDetected(found) {
+        const detected = {};
+        Object.entries(found).forEach(([patternName, confidence]) => {
+            const rule = this.patternRules.byId.get(patternName) || this.classifier.patterns[patternName];
+            detected[patternName] = { found: true, severity: rule.severity, description: rule.description, confidence };
+        });
+        return detected;
+    }
+
+    // Options a detection worker needs to reproduce detectSpecificPatterns
+    detectionSetup() {
+        return {
+            rules: this.patternRules.definitions,
+            model: this.detection === 'regex' ? null : this.classifier.model,
+            detection: this.detection,
+            threshold: this.options.threshold,
+            primaryPattern: this.options.primaryPattern
+        };
+    }
+
+    // detectSpecificPatterns for every issue, in order. Unchanged issues reuse
+    // their stored result when an incremental state is given; the rest are
+    // sharded across worker threads when there are enough of them (see
+    // lib/parallel-detection.js). Only found patterns are guaranteed in each
+    // result, which is all the analysis reads.
+    detectAll(issues, state = null) {
+        const results = new Array(issues.length);
+        const pending = [];
+        issues.forEach((issue, index) => {
+            const cached = state && state.lookup(issue);
+            if (cached) {
+                results[index] = this.restoreDetected(cached);
+            } else {
+                pending.push(index);
+            }
         });
         
-        const topIOSVersion = Object.entries(iosVersionIssues)
-            .sort(([,a], [,b]) => b - a)[0];
+        const workers = workerCount(pending.length, this.options.workers);
+        if (workers > 1) {
+            this.log(`🧵 Detecting patterns for ${pending.length} issues on ${workers} worker threads`);
+            const found = detectInParallel(pending.map(index => issues[index]), { workers, setup: this.detectionSetup() });
+            pending.forEach((index, position) => {
+                results[index] = this.restoreDetected(found[position]);
+                if (state) state.store(issues[index], found[position]);
+            });
+        } else {
+            pending.forEach(index => {
+                results[index] = this.detectSpecificPatterns(issues[index]);
+                if (state) state.store(issues[index], foundPatterns(results[index]));
+            });
+        }
+        return results;
+    }
+
+    // Running totals behind the analysis, before finishTotals() derives the
+    // report shapes. Plain JSON, so an incremental state can save them.
+    emptyTotals() {
+        return {
+            versionGroups: {},
+            dailyTrends: {},
+            patternAnalysis: {},
+            tagPatterns: {},
+            countryCoverage: {},
+            osGroups: {},
+            deviceGroups: {},
+            countryGroups: {},
+            hardware: { ram: {}, storage: {}, ramFromModel: 0, withDevice: 0 },
+            // { version: { date: { count, patterns } } } for release comparisons
+            releaseDays: {}
+        };
+    }
+    
+    // Adds one issue to `totals` `weight` times; a negative weight takes it
+    // back out, and groups whose count drops to zero are removed, so removing
+    // an issue leaves the same totals as never adding it
+    foldIssue(totals, issue, detectedPatterns, weight = 1) {
+        const { versionGroups, dailyTrends, patternAnalysis, tagPatterns, countryCoverage, osGroups, deviceGroups, countryGroups, hardware, releaseDays } = totals;
+        const appVersion = issue.s_meta_application_version || 'Unknown';
+        const createdDate = issue.d_created_date || 'Unknown';
+        const tags = issue.a_tags || '[]';
+        const osVersion = issue.s_meta_other_os_version || 'Unknown';
+        const country = issue.s_meta_other_country_code || 'Unknown';
+        const foundPatterns = Object.entries(detectedPatterns).filter(([, patternData]) => patternData.found);
         
-        if (topIOSVersion) {
-            const iosPercent = ((topIOSVersion[1] / totalIssues) * 100).toFixed(1);
-            insights.push(`**iOS Compatibility:** iOS ${topIOSVersion[0]} accounts for ${iosPercent}% of issues. Consider focused testing and optimization for this iOS version.`);
+        // Initialize version group
+        if (!versionGroups[appVersion]) {
+            versionGroups[appVersion] = {
+                count: 0,
+                patterns: {},
+                osVersions: {},
+                countries: {},
+                tagBreakdown: {},
+                dates: {},
+                severityCount: { critical: 0, high: 0, medium: 0, low: 0 }
+            };
         }
         
-        // Recommendations
-        const recommendations = [];
+        foundPatterns.forEach(([patternName, patternData]) => {
+            // Version-specific pattern tracking
+            bump(versionGroups[appVersion].patterns, patternName, weight);
+            versionGroups[appVersion].severityCount[patternData.severity] += weight;
+            
+            // Global pattern analysis
+            if (!patternAnalysis[patternName]) {
+                patternAnalysis[patternName] = {
+                    total: 0,
+                    severity: patternData.severity,
+                    description: patternData.description,
+                    versions: {},
+                    trend: [],
+                    devices: {},
+                    ramTiers: {},
+                    // Sum in millionths, so taking an issue back out is exact
+                    confidence: 0
+                };
+            }
+            patternAnalysis[patternName].total += weight;
+            patternAnalysis[patternName].confidence += Math.round(patternData.confidence * 1e6) * weight;
+            bump(patternAnalysis[patternName].versions, appVersion, weight);
+        });
         
-        if (topVersion[1].count > totalIssues * 0.3) {
-            recommendations.push(`Immediately investigate Version ${topVersion[0]} for regressions`);
+        // Per-issue OS tracking, including OS × app version and OS × pattern
+        if (!osGroups[osVersion]) {
+            osGroups[osVersion] = {
+                count: 0,
+                versions: {},
+                patterns: {},
+                severityCount: { critical: 0, high: 0, medium: 0, low: 0 }
+            };
         }
+        osGroups[osVersion].count += weight;
+        bump(osGroups[osVersion].versions, appVersion, weight);
+        foundPatterns.forEach(([patternName, patternData]) => {
+            bump(osGroups[osVersion].patterns, patternName, weight);
+            osGroups[osVersion].severityCount[patternData.severity] += weight;
+        });
         
-        if (totalSeverityCount.critical > 0) {
-            recommendations.push(`Address ${totalSeverityCount.critical} critical stability issues as highest priority`);
+        // Device model and memory/storage tiers
+        const profile = this.deviceProfile(issue);
+        if (profile.device) {
+            const name = profile.device.name;
+            if (!deviceGroups[name]) {
+                deviceGroups[name] = {
+                    count: 0,
+                    family: profile.device.family,
+                    identifiers: {},
+                    ramTier: profile.device.ramGB === null ? null : ramTier(profile.device.ramGB),
+                    patterns: {},
+                    severityCount: { critical: 0, high: 0, medium: 0, low: 0 }
+                };
+            }
+            deviceGroups[name].count += weight;
+            if (profile.device.identifier) bump(deviceGroups[name].identifiers, profile.device.identifier, weight);
+            hardware.withDevice += weight;
         }
+        if (profile.ramFromModel) hardware.ramFromModel += weight;
+        [['ram', profile.ram], ['storage', profile.storage]].forEach(([dimension, tier]) => {
+            if (!tier) return;
+            if (!hardware[dimension][tier]) hardware[dimension][tier] = { count: 0, patterns: {} };
+            hardware[dimension][tier].count += weight;
+        });
+        foundPatterns.forEach(([patternName, patternData]) => {
+            if (profile.device) {
+                const group = deviceGroups[profile.device.name];
+                bump(group.patterns, patternName, weight);
+                group.severityCount[patternData.severity] += weight;
+                bump(patternAnalysis[patternName].devices, profile.device.name, weight);
+            }
+            if (profile.ram) {
+                bump(patternAnalysis[patternName].ramTiers, profile.ram, weight);
+                bump(hardware.ram[profile.ram].patterns, patternName, weight);
+            }
+            if (profile.storage) {
+                bump(hardware.storage[profile.storage].patterns, patternName, weight);
+            }
+        });
         
-        if (spikes.length > 0) {
-            recommendations.push(`Review deployment and release processes around spike dates`);
+        // Launch windows per version, for compareReleases()
+        const releaseDate = createdDate.slice(0, 10);
+        if (!releaseDays[appVersion]) releaseDays[appVersion] = {};
+        if (!releaseDays[appVersion][releaseDate]) releaseDays[appVersion][releaseDate] = { count: 0, patterns: {} };
+        releaseDays[appVersion][releaseDate].count += weight;
+        foundPatterns.forEach(([patternName]) => bump(releaseDays[appVersion][releaseDate].patterns, patternName, weight));
+        
+        // Per-country counts, pattern mix, severity and daily series
+        if (!countryGroups[country]) {
+            countryGroups[country] = {
+                count: 0,
+                patterns: {},
+                severityCount: { critical: 0, high: 0, medium: 0, low: 0 },
+                daily: {}
+            };
         }
+        const countryGroup = countryGroups[country];
+        countryGroup.count += weight;
+        bump(countryGroup.daily, createdDate, weight);
+        foundPatterns.forEach(([patternName, patternData]) => {
+            bump(countryGroup.patterns, patternName, weight);
+            countryGroup.severityCount[patternData.severity] += weight;
+        });
         
-        const topPattern = Object.entries(patternAnalysis)
-            .sort(([,a], [,b]) => b.total - a.total)[0];
-        if (topPattern) {
-            recommendations.push(`Focus QA testing on "${topPattern[1].description}" scenarios`);
+        // Detection coverage: issues no pattern recognized, per country
+        if (!countryCoverage[country]) {
+            countryCoverage[country] = { total: 0, unclassified: 0 };
+        }
+        countryCoverage[country].total += weight;
+        if (foundPatterns.length === 0) {
+            countryCoverage[country].unclassified += weight;
         }
         
-        insights.push(`**Recommendations:** ${recommendations.join('. ')}.`);
+        // Version data
+        versionGroups[appVersion].count += weight;
+        bump(versionGroups[appVersion].osVersions, osVersion, weight);
+        bump(versionGroups[appVersion].countries, country, weight);
+        bump(versionGroups[appVersion].dates, createdDate, weight);
+        
+        // Process tags
+        try {
+            const tagArray = JSON.parse(tags);
+            tagArray.forEach(tag => {
+                bump(versionGroups[appVersion].tagBreakdown, tag, weight);
+                
+                if (!tagPatterns[tag]) {
+                    tagPatterns[tag] = { count: 0, versions: {} };
+                }
+                tagPatterns[tag].count += weight;
+                bump(tagPatterns[tag].versions, appVersion, weight);
+                if (tagPatterns[tag].count === 0) delete tagPatterns[tag];
+            });
+        } catch (e) {
+            // Handle non-JSON format
+            if (tags && tags !== '[]') {
+                const simpleTag = tags.replace(/[\[\]"]/g, '');
+                bump(versionGroups[appVersion].tagBreakdown, simpleTag, weight);
+            }
+        }
+        
+        // Daily trends
+        if (!dailyTrends[createdDate]) {
+            dailyTrends[createdDate] = {
+                total: 0,
+                versions: {},
+                patterns: {},
+                severity: { critical: 0, high: 0, medium: 0, low: 0 }
+            };
+        }
+        dailyTrends[createdDate].total += weight;
+        bump(dailyTrends[createdDate].versions, appVersion, weight);
+        
+        // Daily pattern tracking
+        foundPatterns.forEach(([patternName, patternData]) => {
+            bump(dailyTrends[createdDate].patterns, patternName, weight);
+            dailyTrends[createdDate].severity[patternData.severity] += weight;
+        });
+        
+        // Groups that no issue counts toward any more
+        [
+            [versionGroups, appVersion, 'count'],
+            [osGroups, osVersion, 'count'],
+            [countryGroups, country, 'count'],
+            [countryCoverage, country, 'total'],
+            [dailyTrends, createdDate, 'total'],
+            [releaseDays[appVersion], releaseDate, 'count']
+        ].forEach(([groups, key, field]) => {
+            if (groups[key][field] === 0) delete groups[key];
+        });
+        if (Object.keys(releaseDays[appVersion]).length === 0) delete releaseDays[appVersion];
+        if (profile.device && deviceGroups[profile.device.name].count === 0) delete deviceGroups[profile.device.name];
+        [['ram', profile.ram], ['storage', profile.storage]].forEach(([dimension, tier]) => {
+            if (tier && hardware[dimension][tier].count === 0) delete hardware[dimension][tier];
+        });
+        foundPatterns.forEach(([patternName]) => {
+            if (patternAnalysis[patternName].total === 0) delete patternAnalysis[patternName];
+        });
+    }
+    
+    // The report shapes of a copy of `totals`: sets of keys as lists, average
+    // confidences, and one release record per counted issue. Keys are sorted
+    // rather than kept in the order they were first seen, which saved totals
+    // cannot reproduce once keys have been removed and added back, so ties
+    // rank the same in incremental and full runs.
+    finishTotals(totals) {
+        const { versionGroups, dailyTrends, patternAnalysis, tagPatterns, countryCoverage, osGroups, deviceGroups, countryGroups, hardware, releaseDays } = sortedCopy(totals);
+        
+        Object.values(versionGroups).forEach(group => {
+            group.osVersions = Object.keys(group.osVersions);
+            group.countryCounts = group.countries;
+            group.countries = Object.keys(group.countryCounts)
+                .sort((a, b) => group.countryCounts[b] - group.countryCounts[a]);
+            group.dates = Object.keys(group.dates).sort().flatMap(date => new Array(group.dates[date]).fill(date));
+        });
+        
+        Object.values(patternAnalysis).forEach(pattern => {
+            pattern.topVersions = Object.keys(pattern.versions);
+            // Average confidence of the issues counted under this pattern
+            pattern.confidence /= pattern.total * 1e6;
+        });
+        
+        Object.values(tagPatterns).forEach(tag => {
+            tag.versions = Object.keys(tag.versions);
+        });
+        
+        const deviceFamilies = {};
+        Object.values(deviceGroups).forEach(group => {
+            group.identifiers = Object.keys(group.identifiers);
+            deviceFamilies[group.family] = (deviceFamilies[group.family] || 0) + group.count;
+        });
+        
+        // Each day's issues as records, with every pattern spread over them
+        // in turn; compareReleases() only sums them per window
+        const releaseRecords = [];
+        Object.entries(releaseDays).forEach(([version, days]) => {
+            Object.entries(days).forEach(([date, day]) => {
+                for (let index = 0; index < day.count; index++) {
+                    releaseRecords.push({
+                        version,
+                        date,
+                        patterns: Object.keys(day.patterns).filter(patternName => day.patterns[patternName] > index)
+                    });
+                }
+            });
+        });
+        
+        return {
+            versionGroups,
+            dailyTrends,
+            patternAnalysis,
+            tagPatterns,
+            countryCoverage,
+            osGroups,
+            countryGroups,
+            devices: {
+                groups: deviceGroups,
+                families: deviceFamilies,
+                ram: hardware.ram,
+                storage: hardware.storage,
+                withDevice: hardware.withDevice,
+                ramFromModel: hardware.ramFromModel
+            },
+            releaseRecords
+        };
+    }
+    
+    analyzeEnhanced() {
+        this.log('\n🔍 Enhanced analysis with pattern detection...');
+        
+        const state = this.options.incrementalState
+            ? IncrementalState.load(this.options.incrementalState, this.detectionFingerprint())
+            : null;
+        if (state && state.discarded) {
+            this.log(`⚠️  Incremental state in ${this.options.incrementalState} not used: ${state.discarded}`);
+        }
+        
+        const clusters = clusterIssues(this.issues, { similarity: this.options.clusterSimilarity });
+        const counted = this.options.countClusters
+            ? clusters.map(members => this.firstFiled(members.map(index => this.issues[index])))
+            : this.issues;
+        
+        const detections = this.detectAll(counted, state);
+        const unmatched = counted.filter((issue, issueIndex) =>
+            !Object.values(detections[issueIndex]).some(patternData => patternData.found));
+        
+        // With a state file only the counted issues that differ from the last
+        // run are folded into its saved totals
+        let totals;
+        if (state) {
+            totals = state.totals || this.emptyTotals();
+            const { added, removed } = state.countedChanges(counted);
+            removed.forEach(([facts, times]) => this.foldIssue(totals, facts.fields, this.restoreDetected(facts.found), -times));
+            added.forEach(([issueIndex, times]) => {
+                this.foldIssue(totals, counted[issueIndex], detections[issueIndex], times);
+                state.remember(counted[issueIndex], foundPatterns(detections[issueIndex]));
+            });
+        } else {
+            totals = this.emptyTotals();
+            counted.forEach((issue, issueIndex) => this.foldIssue(totals, issue, detections[issueIndex]));
+        }
+        const { versionGroups, dailyTrends, patternAnalysis, tagPatterns, countryCoverage, osGroups, countryGroups, devices, releaseRecords } = this.finishTotals(totals);
+        
+        const usage = this.applyUsage(versionGroups, osGroups, countryGroups, dailyTrends);
+        
+        // Regional outages show up as spikes in one country that the global
+        // total absorbs, so each country's series is scored on its own
+        const anomalyOptions = { method: this.options.anomalyMethod, window: this.options.anomalyWindow, threshold: this.options.anomalyThreshold };
+        const sortedDates = Object.keys(dailyTrends).sort();
+        const dailyAnomalies = detectAnomalies(sortedDates.map(date => ({ date, value: dailyTrends[date].total })), anomalyOptions);
+        Object.entries(countryGroups).forEach(([country, group]) => {
+            group.anomalies = [];
+            if (country === 'Unknown' || group.count < MIN_COUNTRY_ANOMALY_ISSUES) return;
+            const { days } = detectAnomalies(sortedDates.map(date => ({ date, value: group.daily[date] || 0 })), anomalyOptions);
+            group.anomalies = Object.entries(days)
+                .filter(([, day]) => day.isAnomaly)
+                .map(([date, day]) => ({
+                    date,
+                    value: day.value,
+                    expected: day.expected,
+                    score: day.score,
+                    globalSpike: dailyAnomalies.days[date].isAnomaly
+                }));
+        });
+        
+        this.analysis = {
+            versionGroups,
+            dailyTrends,
+            patternAnalysis,
+            tagPatterns,
+            countryCoverage,
+            clusters: clusters
+                .filter(members => members.length > 1)
+                .slice(0, MAX_REPORTED_CLUSTERS)
+                .map(members => describeCluster(this.issues, members)),
+            clusterSummary: {
+                rows: this.issues.length,
+                clusters: clusters.length,
+                duplicateRows: this.issues.length - clusters.length,
+                countClusters: this.options.countClusters
+            },
+            emergingTopics: findEmergingTopics(unmatched),
+            releaseComparison: compareReleases(releaseRecords, {
+                windowDays: this.options.releaseWindow,
+                exposure: this.usage && this.usage.has('appVersion')
+                    ? (version, from, to) => this.usage.exposure({ appVersion: version, from, to })
+                    : null
+            }),
+            osGroups,
+            devices,
+            usage,
+            countryGroups,
+            dailyAnomalies,
+            incremental: state ? { path: this.options.incrementalState, ...state.save(this.issues, this.excluded, totals) } : null,
+            totalIssues: counted.length,
+            dataQuality: this.diagnostics.summary()
+        };
+        
+        if (state) {
+            const { unchanged, changed, resolved, folded } = this.analysis.incremental;
+            this.log(`♻️  Incremental: ${this.analysis.incremental.new} new, ${changed} changed, ${unchanged} unchanged, ${resolved} resolved since the last run; ${folded} counted issues folded into the saved totals`);
+        }
+        this.log(`🧩 ${clusters.length} distinct complaints among ${this.issues.length} issues`);
+        this.log(`✅ Enhanced analysis complete! Detected ${Object.keys(patternAnalysis).length} pattern types`);
+        return this.analysis;
+    }
+
+    // Adds usage and per-10k rates to version, OS and country groups over the
+    // analyzed period. Returns a summary for the report, or null without usage data.
+    applyUsage(versionGroups, osGroups, countryGroups, dailyTrends) {
+        if (!this.usage) return null;
+        
+        const dates = Object.keys(dailyTrends).filter(date => !isNaN(Date.parse(date))).sort();
+        const period = {
+            from: this.options.from || (dates[0] || '').slice(0, 10) || null,
+            to: this.options.to || (dates[dates.length - 1] || '').slice(0, 10) || null
+        };
+        [['appVersion', versionGroups], ['osVersion', osGroups], ['country', countryGroups]].forEach(([dimension, groups]) => {
+            Object.entries(groups).forEach(([value, group]) => {
+                const filter = { ...period, [dimension]: value };
+                group.usage = this.usage.denominator(filter);
+                group.ratePer10k = this.usage.ratePer10k(group.count, filter);
+                if (group.severityCount) {
+                    group.criticalPer10k = this.usage.ratePer10k(group.severityCount.critical, filter);
+                }
+            });
+        });
+        
+        const covered = Object.values(versionGroups).filter(group => group.ratePer10k !== null).length;
+        if (this.usage.has('appVersion') && covered < Object.keys(versionGroups).length) {
+            this.log(`⚠️  No usage for ${Object.keys(versionGroups).length - covered} of ${Object.keys(versionGroups).length} app versions; their rates are left blank`);
+        }
+        return {
+            source: this.usage.source,
+            unit: this.usage.unit,
+            dimensions: this.usage.dimensions,
+            period,
+            normalize: this.options.normalize
+        };
+    }
+
+    // Device model plus RAM and storage tiers of one issue. A RAM column wins over
+    // the base RAM of the model, which a known identifier supplies.
+    deviceProfile(issue) {
+        const device = resolveDevice(issue.s_meta_other_device_model);
+        const reportedRam = parseGigabytes(issue.s_meta_other_device_ram);
+        const ram = reportedRam !== null ? ramTier(reportedRam) : device && device.ramGB !== null ? ramTier(device.ramGB) : null;
+        return {
+            device,
+            ram,
+            ramFromModel: reportedRam === null && ram !== null,
+            storage: storageTier(parseGigabytes(issue.s_meta_other_device_storage, { maxGigabytes: 4096 }))
+        };
+    }
+
+    // Earliest-created issue of a cluster, which stands in for it when counting clusters
+    firstFiled(issues) {
+        return issues.reduce((first, issue) =>
+            (issue.d_created_date || '') < (first.d_created_date || '') ? issue : first);
+    }
+
+    generatePlainEnglishInsights() {
+        const { versionGroups, osGroups, devices, countryGroups, history, usage, dailyTrends, dailyAnomalies, releaseComparison, patternAnalysis, clusters, clusterSummary, emergingTopics, totalIssues } = this.analysis;
+        
+        const insights = [];
+        
+        // Version analysis
+        const sortedVersions = Object.entries(versionGroups)
+            .sort(([,a], [,b]) => b.count - a.count);
+        
+        const topVersion = sortedVersions[0];
+        const topIssuePercent = ((topVersion[1].count / totalIssues) * 100).toFixed(1);
+        
+        // Raw volume follows time live and audience size, so only the release
+        // comparison decides whether a version regressed
+        const regressions = releaseComparison.versions.filter(comparison => comparison.significant);
+        const topComparison = releaseComparison.versions.find(comparison => comparison.version === topVersion[0]);
+        const rateUnit = comparison => (comparison.perUser ? `per ${usage.unit === 'users' ? 'user' : 'session'}` : 'per day live');
+        let versionVerdict = 'There is no earlier release in the data to compare it with.';
+        if (topComparison && topComparison.significant) {
+            versionVerdict = `In its first ${topComparison.days} days it drew ${topComparison.ratio.toFixed(1)}× the issues ${rateUnit(topComparison)} of ${topComparison.previous}, a statistically significant regression.`;
+        } else if (topComparison) {
+            versionVerdict = `Its issue rate ${rateUnit(topComparison)} over the first ${topComparison.days} days is not significantly above ${topComparison.previous}, so the volume more likely reflects time live and audience size than a regression.`;
+        }
+        insights.push(`**Version Analysis:** Version ${topVersion[0]} is responsible for ${topIssuePercent}% of all iOS issues (${topVersion[1].count} out of ${totalIssues}). ${versionVerdict}`);
+        
+        const otherRegressions = regressions.filter(comparison => comparison.version !== topVersion[0]);
+        if (otherRegressions.length > 0) {
+            insights.push(`**Release Regressions:** ${otherRegressions.map(comparison => `${comparison.version} (${comparison.ratio.toFixed(1)}× ${comparison.previous} ${rateUnit(comparison)})`).join(', ')} drew significantly more issues than the release before over the same days after launch.`);
+        }
+        
+        const patternRegressions = releaseComparison.versions.flatMap(comparison => comparison.patterns
+            .filter(pattern => pattern.significant)
+            .map(pattern => `${this.formatPatternName(pattern.id)} in ${comparison.version} (${pattern.previousCount} → ${pattern.count} vs ${comparison.previous}${comparison.perUser && isFinite(pattern.ratio) ? `, ×${pattern.ratio.toFixed(1)} per ${usage.unit === 'users' ? 'user' : 'session'}` : ''})`));
+        if (patternRegressions.length > 0) {
+            insights.push(`**Pattern Regressions:** ${patternRegressions.slice(0, 3).join(', ')}${patternRegressions.length > 3 ? ` and ${patternRegressions.length - 3} more` : ''} rose significantly over the same days after launch.`);
+        }
+        
+        // Critical pattern analysis
+        const criticalPatterns = Object.entries(patternAnalysis)
+            .filter(([, data]) => data.severity === 'critical')
+            .sort(([,a], [,b]) => b.total - a.total);
+        
+        if (criticalPatterns.length > 0) {
+            const topCritical = criticalPatterns[0];
+            const affectedVersions = Object.keys(topCritical[1].versions).length;
+            insights.push(`**Critical Alert:** "${topCritical[1].description}" affects ${affectedVersions} versions with ${topCritical[1].total} total cases. This is a high-priority issue requiring immediate attention.`);
+        }
+        
+        // Daily trend analysis
+        const sortedDates = Object.keys(dailyTrends).sort();
+        const spikes = sortedDates.filter(date => dailyAnomalies.days[date].isAnomaly);
+        
+        if (spikes.length > 0) {
+            const biggestSpike = spikes.reduce((max, date) => 
+                dailyAnomalies.days[date].score > dailyAnomalies.days[max].score ? date : max
+            );
+            const spike = dailyAnomalies.days[biggestSpike];
+            const spikeIncrease = spike.changePercent === null ? '' : ` ${spike.changePercent.toFixed(0)}%`;
+            
+            insights.push(`**Trend Alert:** ${biggestSpike} showed a${spikeIncrease} spike in issues (${spike.value} vs ${spike.expected.toFixed(0)} expected from the ${dailyAnomalies.options.description} of the previous ${dailyAnomalies.options.window} days)${spikes.length > 1 ? `, one of ${spikes.length} spike days` : ''}. This suggests a significant incident or release impact.`);
+        }
+        
+        // Spikes confined to one country, which the global total did not flag
+        const regionalSpikes = Object.entries(countryGroups)
+            .flatMap(([country, group]) => group.anomalies
+                .filter(anomaly => !anomaly.globalSpike)
+                .map(anomaly => ({ country, ...anomaly })))
+            .sort((a, b) => b.score - a.score);
+        if (regionalSpikes.length > 0) {
+            const spike = regionalSpikes[0];
+            const others = new Set(regionalSpikes.slice(1).map(entry => entry.country));
+            others.delete(spike.country);
+            insights.push(`**Regional Spike:** On ${spike.date}, ${countryName(spike.country)} had ${spike.value} issues against ${spike.expected.toFixed(0)} expected, while the global total showed no spike${others.size > 0 ? `. ${others.size} other countr${others.size === 1 ? 'y' : 'ies'} also had local spikes` : ''}. Check server regions and local network or store issues for that day.`);
+        }
+        
+        // Pattern direction across recorded snapshots
+        if (history && history.snapshots >= 2) {
+            const labels = { fixed: 'no longer reported', improving: 'improving', worsening: 'getting worse' };
+            const moving = Object.entries(history.patterns)
+                .filter(([, pattern]) => labels[pattern.status])
+                .sort(([, a], [, b]) => Math.abs(b.latest - b.first) - Math.abs(a.latest - a.first))
+                .slice(0, 3)
+                .map(([id, pattern]) => `${this.formatPatternName(id)} is ${labels[pattern.status]} (${pattern.first} → ${pattern.latest})`);
+            if (moving.length > 0) {
+                insights.push(`**History:** Across ${history.snapshots} snapshots since ${history.exportDates[0]}, ${moving.join(', ')}.`);
+            }
+        }
+        
+        // Repeated complaints
+        if (clusters.length > 0 && clusterSummary.duplicateRows > 0) {
+            const largest = clusters[0];
+            insights.push(`**Duplicate Reports:** ${clusterSummary.duplicateRows} of ${clusterSummary.rows} issues repeat an earlier complaint. The most repeated ("${largest.representative}") was filed ${largest.size} times${clusterSummary.countClusters ? '; counts below treat each complaint once' : ''}.`);
+        }
+        
+        // Rising terms among issues no pattern matched
+        if (emergingTopics.topics.length > 0) {
+            const shown = emergingTopics.topics.slice(0, 3)
+                .map(topic => `"${topic.term}" (${topic.current}${topic.isNew ? ', new' : ''})`);
+            insights.push(`**Emerging Topics:** In the 7 days to ${emergingTopics.latestDate}, unclassified issues increasingly mention ${shown.join(', ')}. No pattern rule covers these yet.`);
+        }
+        
+        // Pattern severity distribution
+        const totalSeverityCount = { critical: 0, high: 0, medium: 0, low: 0 };
+        Object.values(versionGroups).forEach(version => {
+            Object.entries(version.severityCount).forEach(([severity, count]) => {
+                totalSeverityCount[severity] += count;
+            });
+        });
+        
+        const criticalPercent = ((totalSeverityCount.critical / totalIssues) * 100).toFixed(1);
+        if (totalSeverityCount.critical > 0) {
+            insights.push(`**Severity Distribution:** ${criticalPercent}% of issues are critical (${totalSeverityCount.critical} cases), indicating severe stability problems that could drive user churn.`);
+        }
+        
+        // Cross-version pattern detection
+        const crossVersionPatterns = Object.entries(patternAnalysis)
+            .filter(([, data]) => Object.keys(data.versions).length >= 3)
+            .sort(([,a], [,b]) => Object.keys(b.versions).length - Object.keys(a.versions).length);
+        
+        if (crossVersionPatterns.length > 0) {
+            const topCrossPattern = crossVersionPatterns[0];
+            insights.push(`**Cross-Version Issue:** "${topCrossPattern[1].description}" appears across ${Object.keys(topCrossPattern[1].versions).length} different versions, suggesting a fundamental design or architecture problem.`);
+        }
+        
+        // iOS compatibility insights. With usage by OS version, rank by rate so
+        // the most popular iOS release is not blamed for its audience size.
+        const osRates = Object.entries(osGroups)
+            .filter(([, group]) => group.ratePer10k !== undefined && group.ratePer10k !== null && group.count >= 5);
+        if (osRates.length > 1) {
+            const [worstOS, worstGroup] = osRates.sort(([, a], [, b]) => b.ratePer10k - a.ratePer10k)[0];
+            const typical = osRates.map(([, group]) => group.ratePer10k).sort((a, b) => a - b)[Math.floor((osRates.length - 1) / 2)];
+            insights.push(`**iOS Compatibility:** iOS ${worstOS} has the highest issue rate, ${worstGroup.ratePer10k.toFixed(1)} per 10k ${usage.unit} (${worstGroup.count} issues) against a median of ${typical.toFixed(1)} across iOS versions. Consider focused testing and optimization for this iOS version.`);
+        }
+        
+        const topIOSVersion = Object.entries(osGroups)
+            .filter(([osVersion]) => osVersion !== 'Unknown')
+            .sort(([,a], [,b]) => b.count - a.count)[0];
+        
+        if (topIOSVersion && osRates.length <= 1) {
+            const iosPercent = ((topIOSVersion[1].count / totalIssues) * 100).toFixed(1);
+            insights.push(`**iOS Compatibility:** iOS ${topIOSVersion[0]} accounts for ${iosPercent}% of issues (${topIOSVersion[1].count}). Consider focused testing and optimization for this iOS version.`);
+        }
+        
+        // Patterns that show up more often in issues from low-memory devices than
+        // in issues from devices with more RAM
+        const ramTotal = tiers => Object.entries(tiers).reduce((sum, [tier, value]) => {
+            const count = typeof value === 'number' ? value : value.count;
+            return sum + (LOW_RAM_TIERS.includes(tier) ? count : 0);
+        }, 0);
+        const lowRamIssues = ramTotal(devices.ram);
+        const otherRamIssues = Object.values(devices.ram).reduce((sum, tier) => sum + tier.count, 0) - lowRamIssues;
+        const lowRamPatterns = Object.entries(patternAnalysis)
+            .map(([pattern, data]) => {
+                const low = ramTotal(data.ramTiers);
+                const other = Object.values(data.ramTiers).reduce((sum, count) => sum + count, 0) - low;
+                const lowShare = lowRamIssues > 0 ? low / lowRamIssues : 0;
+                const otherShare = otherRamIssues > 0 ? other / otherRamIssues : 0;
+                return { pattern, low, lowShare, otherShare, ratio: otherShare > 0 ? lowShare / otherShare : Infinity };
+            })
+            .filter(entry => entry.low >= 5 && otherRamIssues > 0 && entry.ratio >= 1.5)
+            .sort((a, b) => b.ratio - a.ratio || b.low - a.low);
+        if (lowRamPatterns.length > 0) {
+            const { pattern, low, lowShare, otherShare, ratio } = lowRamPatterns[0];
+            insights.push(`**Device Memory:** "${this.formatPatternName(pattern)}" appears in ${(lowShare * 100).toFixed(0)}% of issues from devices with ${LOW_RAM_TIERS[LOW_RAM_TIERS.length - 1]} of RAM or less (${low} issues), against ${(otherShare * 100).toFixed(0)}% on devices with more${isFinite(ratio) ? ` (${ratio.toFixed(1)}×)` : ''}. Test this scenario on older, low-memory devices.`);
+        }
+        
+        // Recommendations
+        const recommendations = [];
+        
+        if (regressions.length > 0) {
+            recommendations.push(`Immediately investigate Version${regressions.length === 1 ? '' : 's'} ${regressions.map(comparison => comparison.version).join(', ')} for regressions`);
+        }
+        
+        if (totalSeverityCount.critical > 0) {
+            recommendations.push(`Address ${totalSeverityCount.critical} critical stability issues as highest priority`);
+        }
+        
+        if (spikes.length > 0) {
+            recommendations.push(`Review deployment and release processes around spike dates`);
+        }
+        
+        const topPattern = Object.entries(patternAnalysis)
+            .sort(([,a], [,b]) => b.total - a.total)[0];
+        if (topPattern) {
+            recommendations.push(`Focus QA testing on "${topPattern[1].description}" scenarios`);
+        }
+        
+        insights.push(`**Recommendations:** ${recommendations.join('. ')}.`);
         
         return insights;
     }
 
-    generateInteractiveReport() {
-        console.log('\n📝 Generating enhanced interactive report...');
+    generateInteractiveReport(outputPath = DEFAULT_OUTPUT) {
+        this.log('\n📝 Generating enhanced interactive report...');
         
-        const { versionGroups, dailyTrends, patternAnalysis, tagPatterns, totalIssues } = this.analysis;
+        const { versionGroups, dailyTrends, patternAnalysis, tagPatterns, countryCoverage, usage, totalIssues, dataQuality } = this.analysis;
         
         // Sort and prepare data
         const sortedVersions = Object.entries(versionGroups)
@@ -412,13 +1236,23 @@ class EnhancedIOSAnalyzer {
             tagBreakdown: data.tagBreakdown,
             severityCount: data.severityCount,
             criticalRate: (data.severityCount.critical / data.count * 100).toFixed(1),
+            ratePer10k: data.ratePer10k === undefined ? null : data.ratePer10k,
+            criticalPer10k: data.criticalPer10k === undefined ? null : data.criticalPer10k,
             osVersions: data.osVersions,
-            countries: data.countries
+            countries: data.countries,
+            countryCounts: data.countryCounts
         }));
+        this.assignCriticalLevels(versionChartData);
+        const usageUnit = usage ? `per 10k ${usage.unit}` : null;
+        const normalized = Boolean(usage && usage.normalize);
+        const offline = this.options.offline;
         
         const dailyChartData = sortedDates.map(date => ({
             date,
             total: dailyTrends[date].total,
+            expected: this.analysis.dailyAnomalies.days[date].expected,
+            changePercent: this.analysis.dailyAnomalies.days[date].changePercent,
+            isSpike: this.analysis.dailyAnomalies.days[date].isAnomaly,
             versions: dailyTrends[date].versions,
             patterns: dailyTrends[date].patterns,
             severity: dailyTrends[date].severity
@@ -433,91 +1267,8 @@ class EnhancedIOSAnalyzer {
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
     <title>Enhanced iOS Analysis - Version Patterns & Trends</title>
-    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
-    <style>
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
-            margin: 0; padding: 20px; background: #f5f5f7; line-height: 1.6;
-        }
-        .container { max-width: 1600px; margin: 0 auto; }
-        .header { 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-            color: white; padding: 40px; border-radius: 12px; 
-            margin-bottom: 30px; box-shadow: 0 4px 20px rgba(0,0,0,0.1); 
-        }
-        .card { 
-            background: white; padding: 25px; border-radius: 12px; 
-            margin-bottom: 25px; box-shadow: 0 2px 15px rgba(0,0,0,0.1); 
-        }
-        .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(500px, 1fr)); gap: 25px; }
-        .grid-3 { display: grid; grid-template-columns: repeat(auto-fit, minmax(350px, 1fr)); gap: 20px; }
-        .chart-container { position: relative; height: 450px; margin: 20px 0; }
-        .metric { 
-            display: inline-block; margin: 15px 25px 15px 0; 
-            padding: 20px; background: rgba(255,255,255,0.9); border-radius: 10px; 
-        }
-        .metric-value { font-size: 28px; font-weight: bold; color: #007AFF; }
-        .metric-label { font-size: 14px; color: #666; margin-top: 8px; }
-        
-        .insight-card { 
-            background: #f8f9fb; border-left: 4px solid #007AFF; 
-            padding: 20px; margin: 15px 0; border-radius: 0 8px 8px 0; 
-        }
-        .insight-text { font-size: 16px; margin-bottom: 10px; }
-        .insight-text strong { color: #1d1d1f; }
-        
-        .pattern-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 15px; }
-        .pattern-card { 
-            border-radius: 10px; padding: 18px; margin: 8px 0; color: white; 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-        }
-        .pattern-critical { background: linear-gradient(135deg, #ff416c 0%, #ff4b2b 100%); }
-        .pattern-high { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); }
-        .pattern-medium { background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%); }
-        .pattern-low { background: linear-gradient(135deg, #43e97b 0%, #38f9d7 100%); }
-        
-        .pattern-title { font-weight: bold; font-size: 16px; margin-bottom: 8px; }
-        .pattern-details { font-size: 14px; opacity: 0.9; }
-        .pattern-count { font-size: 18px; font-weight: bold; margin-top: 5px; }
-        
-        .trend-table { width: 100%; border-collapse: collapse; margin-top: 20px; }
-        .trend-table th, .trend-table td { 
-            padding: 15px; text-align: left; border-bottom: 2px solid #f0f0f0; 
-        }
-        .trend-table th { 
-            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
-            color: white; font-weight: 600; 
-        }
-        .trend-spike { background: #ffe6e6; color: #d73527; font-weight: bold; }
-        .trend-normal { background: #e6f7e6; color: #27d754; }
-        
-        .version-bar { 
-            cursor: pointer; transition: all 0.3s ease; 
-            border-radius: 6px; margin: 2px 0;
-        }
-        .version-bar:hover { 
-            transform: translateY(-2px); box-shadow: 0 4px 15px rgba(0,0,0,0.2); 
-        }
-        
-        .tooltip {
-            position: absolute; background: rgba(0,0,0,0.9); color: white;
-            padding: 15px; border-radius: 8px; font-size: 13px;
-            pointer-events: none; z-index: 1000; display: none;
-            max-width: 300px; line-height: 1.4;
-        }
-        
-        .alert-banner {
-            background: linear-gradient(135deg, #ff416c 0%, #ff4b2b 100%);
-            color: white; padding: 20px; border-radius: 10px; margin: 20px 0;
-            font-weight: bold; text-align: center; font-size: 18px;
-        }
-        
-        .warning-banner {
-            background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
-            color: white; padding: 15px; border-radius: 10px; margin: 15px 0;
-            font-weight: 600;
-        }
-    </style>
+${offline ? '' : `    <script src="https://cdn.jsdelivr.net/npm/chart.js"></script>
+`}    <style>${this.reportStyles()}    </style>
 </head>
 <body>
     <div id="tooltip" class="tooltip"></div>
@@ -529,7 +1280,7 @@ class EnhancedIOSAnalyzer {
             <div>
                 <div class="metric">
                     <div class="metric-value">${totalIssues}</div>
-                    <div class="metric-label">Total iOS Issues</div>
+                    <div class="metric-label">${this.analysis.clusterSummary.countClusters ? 'Distinct iOS Complaints' : 'Total iOS Issues'}</div>
                 </div>
                 <div class="metric">
                     <div class="metric-value">${Object.keys(versionGroups).length}</div>
@@ -551,18 +1302,23 @@ class EnhancedIOSAnalyzer {
             <h2>📋 Executive Summary & Key Insights</h2>
             ${insights.map(insight => `
                 <div class="insight-card">
-                    <div class="insight-text">${insight}</div>
+                    <div class="insight-text">${escapeHtml(insight)}</div>
                 </div>
             `).join('')}
         </div>
 
+        <!-- Data Quality -->
+        ${this.generateDataQualityPanel(dataQuality)}
+
         <!-- Interactive Charts -->
         <div class="grid">
             <div class="card">
                 <h2>📊 Interactive Version Analysis</h2>
-                <p><strong>Hover over bars</strong> to see detailed breakdown of patterns and tags</p>
+                <p><strong>Hover over bars</strong> to see detailed breakdown of patterns and tags${normalized
+                    ? `. Bars show issues ${usageUnit} (${escapeHtml(usage.period.from)} to ${escapeHtml(usage.period.to)}) and colors compare critical issues ${usageUnit} with the median version.`
+                    : ''}</p>
                 <div class="chart-container">
-                    <canvas id="versionChart"></canvas>
+                    ${offline ? this.generateVersionChartSvg(versionChartData, normalized, usageUnit) : '<canvas id="versionChart"></canvas>'}
                 </div>
             </div>
 
@@ -570,15 +1326,22 @@ class EnhancedIOSAnalyzer {
                 <h2>📈 Daily Issue Trends</h2>
                 <p><strong>Spike detection</strong> and version correlation over time</p>
                 <div class="chart-container">
-                    <canvas id="dailyChart"></canvas>
+                    ${offline ? this.generateDailyChartSvg(dailyChartData) : '<canvas id="dailyChart"></canvas>'}
                 </div>
             </div>
         </div>
 
+        <!-- History -->
+        ${this.generateHistorySection(this.analysis.history)}
+
         <!-- Pattern Detection Results -->
         <div class="card">
             <h2>🔍 Specific Pattern Detection Results</h2>
             <p>Advanced pattern matching beyond basic tags - identifying specific crash and freeze scenarios</p>
+            <p>${this.options.primaryPattern
+                ? 'Each issue is counted under its single most severe pattern.'
+                : 'An issue that matches several patterns is counted under each of them.'}</p>
+            ${this.detection === 'regex' ? '' : `<p>${this.detection === 'hybrid' ? 'Rule matches plus issues' : 'Issues'} the trained classifier scores at ${(this.options.threshold * 100).toFixed(0)}% or more. Confidence is the average over the issues counted.</p>`}
             <div class="pattern-grid">
                 ${Object.entries(patternAnalysis)
                     .sort(([,a], [,b]) => b.total - a.total)
@@ -586,14 +1349,17 @@ class EnhancedIOSAnalyzer {
                     .map(([pattern, data]) => {
                         const topVersion = Object.entries(data.versions)
                             .sort(([,a], [,b]) => b - a)[0];
+                        const topDevice = Object.entries(data.devices)
+                            .sort(([,a], [,b]) => b - a)[0];
                         return `
                         <div class="pattern-card pattern-${data.severity}">
-                            <div class="pattern-title">${this.formatPatternName(pattern)}</div>
-                            <div class="pattern-details">${data.description}</div>
-                            <div class="pattern-count">${data.total} cases</div>
+                            <div class="pattern-title">${escapeHtml(this.formatPatternName(pattern))}</div>
+                            <div class="pattern-details">${escapeHtml(data.description)}</div>
+                            <div class="pattern-count">${data.total} cases${this.detection === 'regex' ? '' : ` <span class="pattern-confidence">${(data.confidence * 100).toFixed(0)}% confidence</span>`}</div>
                             <div class="pattern-details">
-                                Most affected: Version ${topVersion[0]} (${topVersion[1]} cases)
-                                <br>Spans ${Object.keys(data.versions).length} versions
+                                Most affected: Version ${escapeHtml(topVersion[0])} (${topVersion[1]} cases)
+                                <br>Spans ${Object.keys(data.versions).length} versions${topDevice ? `
+                                <br>Top device: ${escapeHtml(topDevice[0])} (${topDevice[1]} cases)` : ''}
                             </div>
                         </div>
                         `;
@@ -604,13 +1370,13 @@ class EnhancedIOSAnalyzer {
         <!-- Daily Spike Analysis -->
         <div class="card">
             <h2>🚨 Daily Spike Analysis & Trend Detection</h2>
-            <p>Identifies unusual volume days and correlates with versions and patterns</p>
+            <p>Identifies unusual volume days and correlates with versions and patterns. Each day is compared with the ${this.analysis.dailyAnomalies.options.description} of the previous ${this.analysis.dailyAnomalies.options.window} days; a score of ${this.analysis.dailyAnomalies.options.threshold} or more is a spike.</p>
             <table class="trend-table">
                 <thead>
                     <tr>
                         <th>Date</th>
                         <th>Total Issues</th>
-                        <th>vs Average</th>
+                        <th>vs Expected</th>
                         <th>Top Version</th>
                         <th>Critical Patterns</th>
                         <th>Status</th>
@@ -622,23 +1388,44 @@ class EnhancedIOSAnalyzer {
             </table>
         </div>
 
+        <!-- Release Regressions -->
+        ${this.generateRegressionTable(this.analysis.releaseComparison)}
+
+        <!-- Issue Clusters -->
+        ${this.generateClusterTable(this.analysis.clusters, this.analysis.clusterSummary)}
+
+        <!-- Emerging Topics -->
+        ${this.generateEmergingTopicsTable(this.analysis.emergingTopics)}
+
+        <!-- OS Versions -->
+        ${this.generateOSSection(this.analysis.osGroups, patternAnalysis)}
+
+        <!-- Devices -->
+        ${this.generateDeviceSection(this.analysis.devices, patternAnalysis)}
+
+        <!-- Countries -->
+        ${this.generateCountrySection(this.analysis.countryGroups, sortedDates)}
+
+        <!-- Detection Coverage -->
+        ${this.generateCoverageTable(countryCoverage)}
+
         <!-- Version Deep Dive -->
         <div class="card">
             <h2>🎯 Version-Specific Deep Dive</h2>
             <div class="grid-3">
                 ${versionChartData.slice(0, 6).map(version => `
-                    <div class="pattern-card ${version.criticalRate > 5 ? 'pattern-critical' : version.criticalRate > 2 ? 'pattern-high' : 'pattern-medium'}">
-                        <div class="pattern-title">Version ${version.version}</div>
-                        <div class="pattern-count">${version.count} total issues</div>
+                    <div class="pattern-card pattern-${version.criticalLevel === 'low' ? 'medium' : version.criticalLevel}">
+                        <div class="pattern-title">Version ${escapeHtml(version.version)}</div>
+                        <div class="pattern-count">${version.count} total issues${usageUnit && version.ratePer10k !== null ? ` <span class="pattern-confidence">${version.ratePer10k.toFixed(1)} ${usageUnit}</span>` : ''}</div>
                         <div class="pattern-details">
-                            <strong>Critical Rate:</strong> ${version.criticalRate}%<br>
+                            <strong>Critical Rate:</strong> ${version.criticalRate}%${usageUnit && version.criticalPer10k !== null ? ` (${version.criticalPer10k.toFixed(2)} ${usageUnit})` : ''}<br>
                             <strong>Top Patterns:</strong> ${Object.entries(version.patterns)
                                 .sort(([,a], [,b]) => b - a)
                                 .slice(0, 2)
-                                .map(([pattern, count]) => `${this.formatPatternName(pattern)} (${count})`)
+                                .map(([pattern, count]) => `${escapeHtml(this.formatPatternName(pattern))} (${count})`)
                                 .join(', ') || 'None detected'}<br>
-                            <strong>iOS Versions:</strong> ${version.osVersions.slice(0, 3).join(', ')}${version.osVersions.length > 3 ? '...' : ''}<br>
-                            <strong>Countries:</strong> ${version.countries.slice(0, 4).join(', ')}${version.countries.length > 4 ? '...' : ''}
+                            <strong>iOS Versions:</strong> ${escapeHtml(version.osVersions.slice(0, 3).join(', '))}${version.osVersions.length > 3 ? '...' : ''}<br>
+                            <strong>Countries:</strong> ${version.countries.slice(0, 4).map(country => `${escapeHtml(country)} (${version.countryCounts[country]})`).join(', ')}${version.countries.length > 4 ? '...' : ''}
                         </div>
                     </div>
                 `).join('')}
@@ -646,9 +1433,303 @@ class EnhancedIOSAnalyzer {
         </div>
     </div>
 
-    <script>
-        const versionData = ${JSON.stringify(versionChartData)};
-        const dailyData = ${JSON.stringify(dailyChartData)};
+${offline ? '' : this.generateChartScript(versionChartData, dailyChartData, normalized, usageUnit)}</body>
+</html>
+        `;
+        
+        fs.writeFileSync(outputPath, html);
+        this.log(`✅ Enhanced interactive report generated: ${outputPath}`);
+    }
+
+    generateComparisonInsights() {
+        const { totals, patterns, versions, newPatterns, disappearedPatterns, severity, periods } = this.comparison;
+        const insights = [];
+        const signed = value => (value > 0 ? `+${value}` : `${value}`);
+        
+        if (periods.overlapping) {
+            insights.push(`**Overlapping Periods:** The exports cover ${periods.before.from} to ${periods.before.to} and ${periods.after.from} to ${periods.after.to}. Issues in both periods are counted on both sides, so deltas show how the open backlog changed rather than new reports.`);
+        }
+        insights.push(`**Overall:** ${totals.before} → ${totals.after} issues (${signed(totals.delta)}${totals.changePercent === null ? '' : `, ${signed(Number(totals.changePercent.toFixed(1)))}%`}).`);
+        
+        const risers = patterns.filter(row => row.delta > 0 && row.status !== 'new');
+        if (risers.length > 0) {
+            const top = risers[0];
+            insights.push(`**Biggest Increase:** "${this.formatPatternName(top.key)}" went from ${top.before} to ${top.after} issues (${signed(top.delta)}).`);
+        }
+        if (newPatterns.length > 0) {
+            insights.push(`**New Patterns:** ${newPatterns.map(row => `${this.formatPatternName(row.key)} (${row.after})`).join(', ')} did not appear in the earlier export.`);
+        }
+        if (disappearedPatterns.length > 0) {
+            insights.push(`**Disappeared Patterns:** ${disappearedPatterns.map(row => `${this.formatPatternName(row.key)} (${row.before} before)`).join(', ')} no longer appear.`);
+        }
+        
+        const critical = severity.find(row => row.severity === 'critical');
+        if (critical.before > 0 || critical.after > 0) {
+            insights.push(`**Severity Shift:** Critical issues went from ${critical.beforeShare.toFixed(1)}% to ${critical.afterShare.toFixed(1)}% of all issues (${signed(Number(critical.shareDelta.toFixed(1)))} points, ${critical.before} → ${critical.after}).`);
+        }
+        
+        const versionRiser = versions.find(row => row.delta > 0);
+        if (versionRiser) {
+            insights.push(`**Versions:** ${versionRiser.status === 'new' ? `New version ${versionRiser.key} brought ${versionRiser.after} issues` : `Version ${versionRiser.key} grew the most, ${versionRiser.before} → ${versionRiser.after} issues`}.`);
+        }
+        return insights;
+    }
+
+    formatDelta(row) {
+        const className = row.delta > 0 ? 'delta-up' : row.delta < 0 ? 'delta-down' : '';
+        const percent = row.changePercent === null ? '' : ` (${row.changePercent > 0 ? '+' : ''}${row.changePercent.toFixed(0)}%)`;
+        return `<span class="${className}">${row.delta > 0 ? '+' : ''}${row.delta}${percent}</span>`;
+    }
+
+    formatStatus(row) {
+        if (row.status === 'new') return '<span class="status-badge status-new">New</span>';
+        if (row.status === 'gone') return '<span class="status-badge status-gone">Disappeared</span>';
+        return '';
+    }
+
+    generateDeltaTable(title, description, rows, label, { limit = 20 } = {}) {
+        if (rows.length === 0) return '';
+        return `
+        <div class="card">
+            <h2>${title}</h2>
+            <p>${description}${rows.length > limit ? ` Showing the ${limit} largest changes of ${rows.length}.` : ''}</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>${escapeHtml(label.heading)}</th>
+                        <th>Earlier</th>
+                        <th>Later</th>
+                        <th>Change</th>
+                        <th></th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${rows.slice(0, limit).map(row => `
+                    <tr>
+                        <td><strong>${label.format(row)}</strong></td>
+                        <td>${row.before}</td>
+                        <td>${row.after}</td>
+                        <td>${this.formatDelta(row)}</td>
+                        <td>${this.formatStatus(row)}</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>`;
+    }
+
+    generateComparisonReport(outputPath = DEFAULT_COMPARE_OUTPUT) {
+        this.log('\n📝 Generating comparison report...');
+        
+        const { totals, patterns, versions, tags, newPatterns, disappearedPatterns, severity, periods } = this.comparison;
+        const insights = this.generateComparisonInsights();
+        const describePeriod = side => (side.from ? `${escapeHtml(side.from)} to ${escapeHtml(side.to)}` : 'no dated issues');
+        
+        const html = `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>iOS Issue Export Comparison</title>
+    <style>${this.reportStyles()}    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>🔁 iOS Issue Export Comparison</h1>
+            <p>Earlier export: ${describePeriod(periods.before)}. Later export: ${describePeriod(periods.after)}.</p>
+            <div>
+                <div class="metric">
+                    <div class="metric-value">${totals.before}</div>
+                    <div class="metric-label">Issues Before</div>
+                </div>
+                <div class="metric">
+                    <div class="metric-value">${totals.after}</div>
+                    <div class="metric-label">Issues After</div>
+                </div>
+                <div class="metric">
+                    <div class="metric-value">${totals.delta > 0 ? '+' : ''}${totals.delta}</div>
+                    <div class="metric-label">Change</div>
+                </div>
+                <div class="metric">
+                    <div class="metric-value">${newPatterns.length} / ${disappearedPatterns.length}</div>
+                    <div class="metric-label">New / Disappeared Patterns</div>
+                </div>
+            </div>
+        </div>
+
+        <div class="card">
+            <h2>📋 What Changed</h2>
+            ${insights.map(insight => `
+                <div class="insight-card">
+                    <div class="insight-text">${escapeHtml(insight)}</div>
+                </div>
+            `).join('')}
+        </div>
+
+        <div class="card">
+            <h2>⚖️ Severity Distribution</h2>
+            <p>Issues matched to a pattern of each severity, as a share of all issues on each side.</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>Severity</th>
+                        <th>Earlier</th>
+                        <th>Later</th>
+                        <th>Change</th>
+                        <th>Share Shift</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${severity.map(row => `
+                    <tr>
+                        <td><strong>${row.severity.toUpperCase()}</strong></td>
+                        <td>${row.before} (${row.beforeShare.toFixed(1)}%)</td>
+                        <td>${row.after} (${row.afterShare.toFixed(1)}%)</td>
+                        <td>${this.formatDelta({ ...row, changePercent: row.before > 0 ? (row.delta / row.before) * 100 : null })}</td>
+                        <td>${row.shareDelta > 0 ? '+' : ''}${row.shareDelta.toFixed(1)} pts</td>
+                    </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+        ${this.generateDeltaTable('🔍 Pattern Changes', 'Issues per detected pattern in each export.', patterns,
+            { heading: 'Pattern', format: row => `${escapeHtml(this.formatPatternName(row.key))} <small>(${row.severity})</small>` })}
+        ${this.generateDeltaTable('📱 Version Changes', 'Issues per app version in each export.', versions,
+            { heading: 'Version', format: row => escapeHtml(row.key) })}
+        ${this.generateDeltaTable('🏷️ Tag Changes', 'Issues per tag in each export.', tags,
+            { heading: 'Tag', format: row => escapeHtml(row.key) })}
+    </div>
+</body>
+</html>
+        `;
+        
+        fs.writeFileSync(outputPath, html);
+        this.log(`✅ Comparison report generated: ${outputPath}`);
+    }
+
+    // Stylesheet shared by the analysis and comparison reports
+    reportStyles() {
+        return `
+        body { 
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; 
+            margin: 0; padding: 20px; background: #f5f5f7; line-height: 1.6;
+        }
+        .container { max-width: 1600px; margin: 0 auto; }
+        .header { 
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+            color: white; padding: 40px; border-radius: 12px; 
+            margin-bottom: 30px; box-shadow: 0 4px 20px rgba(0,0,0,0.1); 
+        }
+        .card { 
+            background: white; padding: 25px; border-radius: 12px; 
+            margin-bottom: 25px; box-shadow: 0 2px 15px rgba(0,0,0,0.1); 
+        }
+        .grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(500px, 1fr)); gap: 25px; }
+        .grid-3 { display: grid; grid-template-columns: repeat(auto-fit, minmax(350px, 1fr)); gap: 20px; }
+        .chart-container { position: relative; height: 450px; margin: 20px 0; }
+        .svg-chart { width: 100%; height: 100%; }
+        .metric { 
+            display: inline-block; margin: 15px 25px 15px 0; 
+            padding: 20px; background: rgba(255,255,255,0.9); border-radius: 10px; 
+        }
+        .metric-value { font-size: 28px; font-weight: bold; color: #007AFF; }
+        .metric-label { font-size: 14px; color: #666; margin-top: 8px; }
+        
+        .insight-card { 
+            background: #f8f9fb; border-left: 4px solid #007AFF; 
+            padding: 20px; margin: 15px 0; border-radius: 0 8px 8px 0; 
+        }
+        .insight-text { font-size: 16px; margin-bottom: 10px; }
+        .insight-text strong { color: #1d1d1f; }
+        
+        .pattern-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 15px; }
+        .pattern-card { 
+            border-radius: 10px; padding: 18px; margin: 8px 0; color: white; 
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+        }
+        .pattern-critical { background: linear-gradient(135deg, #ff416c 0%, #ff4b2b 100%); }
+        .pattern-high { background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%); }
+        .pattern-medium { background: linear-gradient(135deg, #4facfe 0%, #00f2fe 100%); }
+        .pattern-low { background: linear-gradient(135deg, #43e97b 0%, #38f9d7 100%); }
+        
+        .pattern-title { font-weight: bold; font-size: 16px; margin-bottom: 8px; }
+        .pattern-details { font-size: 14px; opacity: 0.9; }
+        .pattern-count { font-size: 18px; font-weight: bold; margin-top: 5px; }
+        .pattern-confidence { font-size: 13px; font-weight: normal; opacity: 0.9; }
+        
+        .trend-table { width: 100%; border-collapse: collapse; margin-top: 20px; }
+        .trend-table th, .trend-table td { 
+            padding: 15px; text-align: left; border-bottom: 2px solid #f0f0f0; 
+        }
+        .trend-table th { 
+            background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); 
+            color: white; font-weight: 600; 
+        }
+        .trend-spike { background: #ffe6e6; color: #d73527; font-weight: bold; }
+        .trend-normal { background: #e6f7e6; color: #27d754; }
+        
+        .heatmap-scroll { overflow-x: auto; }
+        .country-map { width: 100%; height: auto; margin: 15px 0; }
+        .sparkline { vertical-align: middle; }
+        .heatmap { border-collapse: collapse; margin-top: 15px; font-size: 13px; }
+        .heatmap th, .heatmap td { padding: 8px 10px; border: 1px solid #f0f0f0; text-align: center; white-space: nowrap; }
+        .heatmap th { background: #f5f5f7; font-weight: 600; }
+        .heatmap th.heatmap-row { text-align: left; }
+        
+        .version-bar { 
+            cursor: pointer; transition: all 0.3s ease; 
+            border-radius: 6px; margin: 2px 0;
+        }
+        .version-bar:hover { 
+            transform: translateY(-2px); box-shadow: 0 4px 15px rgba(0,0,0,0.2); 
+        }
+        
+        .tooltip {
+            position: absolute; background: rgba(0,0,0,0.9); color: white;
+            padding: 15px; border-radius: 8px; font-size: 13px;
+            pointer-events: none; z-index: 1000; display: none;
+            max-width: 300px; line-height: 1.4;
+        }
+        
+        .alert-banner {
+            background: linear-gradient(135deg, #ff416c 0%, #ff4b2b 100%);
+            color: white; padding: 20px; border-radius: 10px; margin: 20px 0;
+            font-weight: bold; text-align: center; font-size: 18px;
+        }
+        
+        .quality-sample { font-family: Menlo, Consolas, monospace; font-size: 12px; color: #555; word-break: break-all; }
+        .quality-filtered { color: #666; }
+        
+        .warning-banner {
+            background: linear-gradient(135deg, #f093fb 0%, #f5576c 100%);
+            color: white; padding: 15px; border-radius: 10px; margin: 15px 0;
+            font-weight: 600;
+        }
+        .delta-up { color: #d73527; font-weight: bold; }
+        .delta-down { color: #1a9e3f; font-weight: bold; }
+        .status-badge { display: inline-block; padding: 2px 8px; border-radius: 10px; font-size: 12px; font-weight: 600; }
+        .status-new { background: #ffe6e6; color: #d73527; }
+        .status-gone { background: #e6f7e6; color: #1a9e3f; }
+`;
+    }
+
+    formatPatternName(pattern) {
+        if (!this.patternRules.byId.has(pattern) && this.classifier && this.classifier.patterns[pattern]) {
+            return this.classifier.patterns[pattern].name;
+        }
+        return this.patternRules.displayName(pattern);
+    }
+
+    // Client-side Chart.js setup for the version, daily and history charts
+    generateChartScript(versionChartData, dailyChartData, normalized, usageUnit) {
+        return `    <script>
+        const versionData = ${scriptJson(versionChartData)};
+        const normalized = ${scriptJson(normalized)};
+        const usageUnit = ${scriptJson(usageUnit)};
+        const dailyData = ${scriptJson(dailyChartData)};
+        const historyData = ${scriptJson(this.historyChartData(this.analysis.history))};
         
         // Enhanced Version Chart with Hover Details
         const versionCtx = document.getElementById('versionChart').getContext('2d');
@@ -657,13 +1738,13 @@ class EnhancedIOSAnalyzer {
             data: {
                 labels: versionData.map(d => d.version),
                 datasets: [{
-                    label: 'Total Issues',
-                    data: versionData.map(d => d.count),
+                    label: normalized ? \`Issues \${usageUnit}\` : 'Total Issues',
+                    data: versionData.map(d => normalized ? d.ratePer10k : d.count),
                     backgroundColor: versionData.map(d => {
-                        if (d.criticalRate > 5) return '#ff3b30';      // Critical: Red
-                        if (d.criticalRate > 2) return '#ff9500';      // High: Orange  
-                        if (d.criticalRate > 1) return '#007AFF';      // Medium: Blue
-                        return '#34c759';                              // Low: Green
+                        if (d.criticalLevel === 'critical') return '#ff3b30';  // Critical: Red
+                        if (d.criticalLevel === 'high') return '#ff9500';      // High: Orange  
+                        if (d.criticalLevel === 'medium') return '#007AFF';    // Medium: Blue
+                        return '#34c759';                                      // Low: Green
                     }),
                     borderColor: '#fff',
                     borderWidth: 2,
@@ -680,7 +1761,8 @@ class EnhancedIOSAnalyzer {
                         callbacks: {
                             title: function(context) {
                                 const version = versionData[context[0].dataIndex];
-                                return \`Version \${version.version} - \${version.count} Issues\`;
+                                return \`Version \${version.version} - \${version.count} Issues\` +
+                                    (usageUnit ? (version.ratePer10k === null ? ' (no usage data)' : \` (\${version.ratePer10k.toFixed(1)} \${usageUnit})\`) : '');
                             },
                             afterLabel: function(context) {
                                 const version = versionData[context.dataIndex];
@@ -695,7 +1777,8 @@ class EnhancedIOSAnalyzer {
                                     .map(([tag, count]) => \`  • \${tag}: \${count}\`)
                                     .join('\\n');
                                 return [
-                                    \`Critical Rate: \${version.criticalRate}%\`,
+                                    \`Critical Rate: \${version.criticalRate}%\` +
+                                        (usageUnit && version.criticalPer10k !== null ? \` (\${version.criticalPer10k.toFixed(2)} \${usageUnit})\` : ''),
                                     '',
                                     'Top Patterns:',
                                     topPatterns || '  None detected',
@@ -714,7 +1797,7 @@ class EnhancedIOSAnalyzer {
                 scales: {
                     y: {
                         beginAtZero: true,
-                        title: { display: true, text: 'Number of Issues', font: { size: 14 } },
+                        title: { display: true, text: normalized ? \`Issues \${usageUnit}\` : 'Number of Issues', font: { size: 14 } },
                         grid: { color: 'rgba(0,0,0,0.1)' }
                     },
                     x: {
@@ -731,7 +1814,6 @@ class EnhancedIOSAnalyzer {
         
         // Enhanced Daily Trend Chart
         const dailyCtx = document.getElementById('dailyChart').getContext('2d');
-        const avgDaily = dailyData.reduce((sum, d) => sum + d.total, 0) / dailyData.length;
         
         const dailyChart = new Chart(dailyCtx, {
             type: 'line',
@@ -745,16 +1827,16 @@ class EnhancedIOSAnalyzer {
                     fill: true,
                     tension: 0.4,
                     pointBackgroundColor: dailyData.map(d => 
-                        d.total > avgDaily * 1.5 ? '#ff3b30' : '#007AFF'
+                        d.isSpike ? '#ff3b30' : '#007AFF'
                     ),
                     pointBorderColor: '#fff',
                     pointBorderWidth: 2,
                     pointRadius: dailyData.map(d => 
-                        d.total > avgDaily * 1.5 ? 8 : 5
+                        d.isSpike ? 8 : 5
                     )
                 }, {
-                    label: 'Average',
-                    data: new Array(dailyData.length).fill(avgDaily),
+                    label: 'Expected',
+                    data: dailyData.map(d => d.expected),
                     borderColor: '#ff9500',
                     borderDash: [5, 5],
                     fill: false,
@@ -769,8 +1851,7 @@ class EnhancedIOSAnalyzer {
                         callbacks: {
                             title: function(context) {
                                 const day = dailyData[context[0].dataIndex];
-                                const spike = day.total > avgDaily * 1.5;
-                                return \`\${day.date} \${spike ? '🚨 SPIKE' : ''}\`;
+                                return \`\${day.date} \${day.isSpike ? '🚨 SPIKE' : ''}\`;
                             },
                             afterLabel: function(context) {
                                 const day = dailyData[context.dataIndex];
@@ -782,7 +1863,7 @@ class EnhancedIOSAnalyzer {
                                     .map(([pattern, count]) => \`  • \${pattern}: \${count}\`)
                                     .join('\\n');
                                 return [
-                                    \`vs Average: \${((day.total / avgDaily - 1) * 100).toFixed(0)}%\`,
+                                    day.changePercent === null ? 'vs Expected: n/a' : \`vs Expected: \${day.changePercent.toFixed(0)}%\`,
                                     topVersion ? \`Top Version: \${topVersion[0]} (\${topVersion[1]} issues)\` : '',
                                     '',
                                     'Top Patterns:',
@@ -812,54 +1893,739 @@ class EnhancedIOSAnalyzer {
                 }
             }
         });
+        
+        // Pattern totals per snapshot and daily totals across every recorded export
+        if (historyData) {
+            const colors = ['#ff3b30', '#007AFF', '#ff9500', '#34c759', '#af52de', '#5ac8fa'];
+            new Chart(document.getElementById('historyPatternChart').getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: historyData.exportDates,
+                    datasets: historyData.patterns.map((pattern, index) => ({
+                        label: pattern.name,
+                        data: pattern.series,
+                        borderColor: colors[index % colors.length],
+                        backgroundColor: colors[index % colors.length],
+                        fill: false,
+                        tension: 0.3
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: { beginAtZero: true, title: { display: true, text: 'Issues in Export' } },
+                        x: { title: { display: true, text: 'Export Date' }, grid: { display: false } }
+                    }
+                }
+            });
+            new Chart(document.getElementById('historyDailyChart').getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: historyData.daily.map(day => day.date),
+                    datasets: [{
+                        label: 'Daily Issues',
+                        data: historyData.daily.map(day => day.total),
+                        borderColor: '#007AFF',
+                        backgroundColor: 'rgba(0, 122, 255, 0.1)',
+                        fill: true,
+                        tension: 0.3,
+                        pointRadius: 0
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    scales: {
+                        y: { beginAtZero: true, title: { display: true, text: 'Number of Issues' } },
+                        x: { title: { display: true, text: 'Date' }, grid: { display: false } }
+                    }
+                }
+            });
+        }
     </script>
-</body>
-</html>
+`;
+    }
+
+    // Inline SVG equivalents of the Chart.js charts for offline reports, with
+    // the same hover details as native tooltips
+    generateVersionChartSvg(versionChartData, normalized, usageUnit) {
+        const colors = { critical: '#ff3b30', high: '#ff9500', medium: '#007AFF', low: '#34c759' };
+        const topEntries = (counts, limit) => Object.entries(counts)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, limit)
+            .map(([name, count]) => `  • ${name}: ${count}`)
+            .join('\n');
+        return barChart(versionChartData.map(version => ({
+            label: version.version,
+            value: normalized ? version.ratePer10k : version.count,
+            color: colors[version.criticalLevel] || colors.low,
+            tooltip: [
+                `Version ${version.version} - ${version.count} Issues` +
+                    (usageUnit ? (version.ratePer10k === null ? ' (no usage data)' : ` (${version.ratePer10k.toFixed(1)} ${usageUnit})`) : ''),
+                `Critical Rate: ${version.criticalRate}%` +
+                    (usageUnit && version.criticalPer10k !== null ? ` (${version.criticalPer10k.toFixed(2)} ${usageUnit})` : ''),
+                '',
+                'Top Patterns:',
+                topEntries(version.patterns, 4) || '  None detected',
+                '',
+                'Top Tags:',
+                topEntries(version.tagBreakdown, 3) || '  None available'
+            ].join('\n')
+        })), {
+            label: 'Issues by app version',
+            xTitle: 'App Version',
+            yTitle: normalized ? `Issues ${usageUnit}` : 'Number of Issues'
+        });
+    }
+
+    generateDailyChartSvg(dailyChartData) {
+        const tooltips = dailyChartData.map(day => {
+            const topVersion = Object.entries(day.versions).sort(([, a], [, b]) => b - a)[0];
+            const topPatterns = Object.entries(day.patterns)
+                .sort(([, a], [, b]) => b - a)
+                .slice(0, 3)
+                .map(([pattern, count]) => `  • ${pattern}: ${count}`)
+                .join('\n');
+            return [
+                `${day.date}${day.isSpike ? ' 🚨 SPIKE' : ''}`,
+                `Daily Issues: ${day.total}`,
+                day.changePercent === null ? 'vs Expected: n/a' : `vs Expected: ${day.changePercent.toFixed(0)}%`,
+                topVersion ? `Top Version: ${topVersion[0]} (${topVersion[1]} issues)` : '',
+                '',
+                'Top Patterns:',
+                topPatterns || '  None detected'
+            ].join('\n');
+        });
+        return lineChart(dailyChartData.map(day => day.date), [{
+            name: 'Daily Issues',
+            values: dailyChartData.map(day => day.total),
+            color: '#007AFF',
+            fill: 'rgba(0, 122, 255, 0.1)',
+            points: dailyChartData.map(day => (day.isSpike ? { radius: 8, color: '#ff3b30' } : { radius: 5, color: '#007AFF' })),
+            tooltips
+        }, {
+            name: 'Expected',
+            values: dailyChartData.map(day => (day.expected === undefined ? null : day.expected)),
+            color: '#ff9500',
+            dashed: true
+        }], { label: 'Daily issues with expected counts', xTitle: 'Date', yTitle: 'Number of Issues' });
+    }
+
+    generateHistoryChartsSvg(historyData) {
+        const colors = ['#ff3b30', '#007AFF', '#ff9500', '#34c759', '#af52de', '#5ac8fa'];
+        return {
+            patterns: lineChart(historyData.exportDates, historyData.patterns.map((pattern, index) => ({
+                name: pattern.name,
+                values: pattern.series,
+                color: colors[index % colors.length],
+                tooltips: pattern.series.map((total, position) => `${pattern.name}, ${historyData.exportDates[position]}: ${total}`)
+            })), { label: 'Pattern totals per export', xTitle: 'Export Date', yTitle: 'Issues in Export' }),
+            daily: lineChart(historyData.daily.map(day => day.date), [{
+                name: 'Daily Issues',
+                values: historyData.daily.map(day => day.total),
+                color: '#007AFF',
+                fill: 'rgba(0, 122, 255, 0.1)'
+            }], { label: 'Daily issues across all exports', xTitle: 'Date', yTitle: 'Number of Issues' })
+        };
+    }
+
+    // Critical share of issues: above 5% critical, 2% high, 1% medium. Normalized,
+    // critical issues per 10k users against the median version: 2x critical,
+    // 1.5x high, above median medium.
+    assignCriticalLevels(versionChartData) {
+        const normalized = Boolean(this.analysis.usage && this.analysis.usage.normalize);
+        const rates = versionChartData.map(version => version.criticalPer10k).filter(rate => rate !== null).sort((a, b) => a - b);
+        const median = rates.length > 0 ? rates[Math.floor((rates.length - 1) / 2)] : 0;
+        versionChartData.forEach(version => {
+            if (!normalized) {
+                const rate = Number(version.criticalRate);
+                version.criticalLevel = rate > 5 ? 'critical' : rate > 2 ? 'high' : rate > 1 ? 'medium' : 'low';
+            } else if (version.criticalPer10k === null || median === 0) {
+                version.criticalLevel = version.criticalPer10k > 0 ? 'high' : 'low';
+            } else {
+                const ratio = version.criticalPer10k / median;
+                version.criticalLevel = ratio > 2 ? 'critical' : ratio > 1.5 ? 'high' : ratio > 1 ? 'medium' : 'low';
+            }
+        });
+    }
+
+    generateDataQualityPanel(dataQuality) {
+        if (!dataQuality) return '';
+        
+        const { rowsRead, accepted, rejected, filtered, rejectionRate, categories, sources } = dataQuality;
+        const rejectedPercent = (rejectionRate * 100).toFixed(1);
+        const rows = Object.values(categories)
+            .sort((a, b) => (a.kind === b.kind ? b.count - a.count : a.kind === 'rejected' ? -1 : 1))
+            .map(entry => `
+                <tr class="${entry.kind === 'filtered' ? 'quality-filtered' : ''}">
+                    <td><strong>${escapeHtml(entry.label)}</strong></td>
+                    <td>${entry.kind === 'rejected' ? 'Rejected' : 'Filtered'}</td>
+                    <td>${entry.count}</td>
+                    <td>${entry.samples.map(sample => `
+                        <div class="quality-sample">
+                            ${escapeHtml(sample.source)}:${sample.line} — ${escapeHtml(sample.detail)}
+                            ${sample.sample ? `<br>${escapeHtml(sample.sample)}` : ''}
+                        </div>
+                    `).join('')}</td>
+                </tr>
+            `).join('');
+        
+        return `
+        <div class="card">
+            <h2>🧪 Data Quality</h2>
+            <p>${rowsRead} rows read from ${sources.map(source => escapeHtml(source)).join(', ')}: ${accepted} analyzed, ${rejected} rejected as malformed (${rejectedPercent}%), ${filtered} filtered out by platform or date range.</p>
+            ${rejectionRate > 0.05 ? `<div class="warning-banner">⚠️ ${rejectedPercent}% of rows were rejected. Issue counts in this report may be understated; check the export before comparing with earlier runs.</div>` : ''}
+            ${rows ? `
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>Category</th>
+                        <th>Type</th>
+                        <th>Rows</th>
+                        <th>Examples</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>` : '<p>✅ No rows were rejected or filtered.</p>'}
+        </div>
         `;
+    }
+
+    // Chart data for the history section: the patterns with the most issues at
+    // their peak, plus the merged daily series. Null with fewer than two snapshots.
+    historyChartData(history) {
+        if (!history || history.snapshots < 2) return null;
+        return {
+            exportDates: history.exportDates,
+            patterns: Object.entries(history.patterns)
+                .sort(([, a], [, b]) => b.peak - a.peak)
+                .slice(0, 6)
+                .map(([id, pattern]) => ({ name: this.formatPatternName(id), series: pattern.series })),
+            daily: Object.keys(history.daily).sort().map(date => ({ date, total: history.daily[date] }))
+        };
+    }
+
+    generateHistorySection(history) {
+        if (!history || history.snapshots < 2) return '';
+        
+        const statusLabels = { fixed: '✅ No longer reported', improving: '📉 Improving', worsening: '📈 Getting worse', stable: '➖ Stable' };
+        const rows = Object.entries(history.patterns)
+            .sort(([, a], [, b]) => b.latest - a.latest || b.peak - a.peak)
+            .map(([id, pattern]) => `
+                <tr class="${pattern.status === 'worsening' ? 'trend-spike' : ''}">
+                    <td><strong>${escapeHtml(this.formatPatternName(id))}</strong></td>
+                    <td>${escapeHtml(pattern.severity.toUpperCase())}</td>
+                    <td>${pattern.first}</td>
+                    <td>${pattern.peak}</td>
+                    <td>${pattern.latest}</td>
+                    <td>${statusLabels[pattern.status]}</td>
+                </tr>
+                `).join('');
+        const days = Object.keys(history.daily).sort();
+        const charts = this.options.offline
+            ? this.generateHistoryChartsSvg(this.historyChartData(history))
+            : { patterns: '<canvas id="historyPatternChart"></canvas>', daily: '<canvas id="historyDailyChart"></canvas>' };
         
-        fs.writeFileSync('enhanced-ios-report.html', html);
-        console.log('✅ Enhanced interactive report generated: enhanced-ios-report.html');
+        return `
+        <div class="card">
+            <h2>📚 History Across Runs</h2>
+            <p>${history.snapshots} snapshots from ${escapeHtml(history.exportDates[0])} to ${escapeHtml(history.exportDates[history.exportDates.length - 1])}, covering daily issues from ${escapeHtml(days[0])} to ${escapeHtml(days[days.length - 1])}. Stored in ${escapeHtml(history.path)}.</p>
+            <div class="grid">
+                <div>
+                    <h3>Pattern Totals per Export</h3>
+                    <div class="chart-container">${charts.patterns}</div>
+                </div>
+                <div>
+                    <h3>Daily Issues Across All Exports</h3>
+                    <div class="chart-container">${charts.daily}</div>
+                </div>
+            </div>
+            <p>A pattern is improving or getting worse when its count changed by at least 10% of its average per snapshot over the last six snapshots.</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>Pattern</th>
+                        <th>Severity</th>
+                        <th>First Count</th>
+                        <th>Peak</th>
+                        <th>Latest</th>
+                        <th>Direction</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        `;
     }
 
-    formatPatternName(pattern) {
-        const names = {
-            hardCrash: 'Hard Crashes',
-            suddenExit: 'Sudden Exit',
-            freeze: 'App Freeze',
-            rewardStuck: 'Reward Stuck',
-            loadingStuck: 'Loading Stuck',
-            progressLost: 'Progress Lost',
-            uiStuck: 'UI Stuck',
-            performanceLag: 'Performance Lag',
-            blackScreen: 'Black Screen'
+    // Weekly issue counts as a small inline line chart
+    generateSparkline(values) {
+        const max = Math.max(1, ...values);
+        const step = values.length > 1 ? 80 / (values.length - 1) : 0;
+        const points = values.map((value, index) => `${(index * step).toFixed(1)},${(18 - (value / max) * 16).toFixed(1)}`).join(' ');
+        return `<svg class="sparkline" width="80" height="20" viewBox="0 0 80 20" role="img" aria-label="Weekly issues: ${values.join(', ')}"><polyline points="${points}" fill="none" stroke="#007aff" stroke-width="1.5"/></svg>`;
+    }
+
+    // Tile grid world map: one square per country, shaded by issues (or issues
+    // per 10k users when usage covers countries); countries without data are grey
+    generateCountryMap(countryGroups, metric) {
+        const tiles = countryTiles();
+        const values = {};
+        Object.entries(countryGroups).forEach(([country, group]) => {
+            const code = country.toUpperCase();
+            const value = metric(group);
+            if (tiles[code] && value !== null) values[code] = (values[code] || 0) + value;
+        });
+        const max = Math.max(0, ...Object.values(values));
+        const size = 14;
+        const columns = Math.max(...Object.values(tiles).map(tile => tile.col)) + 1;
+        const rows = Math.max(...Object.values(tiles).map(tile => tile.row)) + 1;
+        const cells = Object.entries(tiles).map(([code, tile]) => {
+            const value = values[code];
+            const fill = value === undefined || max === 0
+                ? '#e5e5ea'
+                : `rgba(255, 59, 48, ${(0.15 + 0.85 * (value / max)).toFixed(2)})`;
+            const label = value === undefined ? 'no issues' : `${Number.isInteger(value) ? value : value.toFixed(1)}`;
+            return `<rect x="${tile.col * size}" y="${tile.row * size}" width="${size - 1}" height="${size - 1}" rx="2" fill="${fill}"><title>${escapeHtml(countryName(code))}: ${label}</title></rect>`;
+        }).join('');
+        return `<svg class="country-map" viewBox="0 0 ${columns * size} ${rows * size}" role="img" aria-label="Issues by country">${cells}</svg>`;
+    }
+
+    generateCountrySection(countryGroups, sortedDates) {
+        const entries = Object.entries(countryGroups).sort(([, a], [, b]) => b.count - a.count);
+        if (entries.length === 0 || entries.every(([country]) => country === 'Unknown')) return '';
+        
+        const totalIssues = this.analysis.totalIssues;
+        const showRates = entries.some(([, group]) => group.ratePer10k !== undefined && group.ratePer10k !== null);
+        const weeks = [...new Set(sortedDates.map(date => weekStart(date)).filter(Boolean))].sort();
+        const weekly = group => {
+            const counts = {};
+            Object.entries(group.daily).forEach(([date, count]) => {
+                const week = weekStart(date);
+                if (week) counts[week] = (counts[week] || 0) + count;
+            });
+            return weeks.map(week => counts[week] || 0);
         };
-        return names[pattern] || pattern.charAt(0).toUpperCase() + pattern.slice(1);
+        const localSpikes = entries.reduce((sum, [, group]) => sum + group.anomalies.filter(anomaly => !anomaly.globalSpike).length, 0);
+        
+        const rows = entries.slice(0, 20).map(([country, group]) => `
+                <tr class="${group.anomalies.length > 0 ? 'trend-spike' : ''}">
+                    <td><strong>${escapeHtml(country)}</strong>${country !== 'Unknown' ? `<br><small>${escapeHtml(countryName(country))}</small>` : ''}</td>
+                    <td>${group.count}</td>
+                    <td>${((group.count / totalIssues) * 100).toFixed(1)}%</td>
+                    <td>${group.severityCount.critical}</td>
+                    ${showRates ? `<td>${group.ratePer10k === null || group.ratePer10k === undefined ? 'n/a' : group.ratePer10k.toFixed(1)}</td>` : ''}
+                    <td>${Object.entries(group.patterns)
+                        .sort(([,a], [,b]) => b - a)
+                        .slice(0, 2)
+                        .map(([pattern, count]) => `${escapeHtml(this.formatPatternName(pattern))} (${count})`)
+                        .join(', ') || 'None detected'}</td>
+                    <td>${weeks.length > 1 ? this.generateSparkline(weekly(group)) : ''}</td>
+                    <td>${group.anomalies.length > 0
+                        ? group.anomalies.slice(0, 3).map(anomaly => `${escapeHtml(anomaly.date)} (${anomaly.value} vs ${anomaly.expected.toFixed(0)}${anomaly.globalSpike ? '' : ', local'})`).join('<br>')
+                        : '—'}</td>
+                </tr>
+                `).join('');
+        
+        return `
+        <div class="card">
+            <h2>🗺️ Geographic Breakdown</h2>
+            <p>Issues per country, shaded by ${showRates ? `issues per 10k ${escapeHtml(this.analysis.usage.unit)}` : 'issue count'}. Hover a tile for the country and its value.</p>
+            ${this.generateCountryMap(countryGroups, group => (showRates ? (group.ratePer10k === undefined ? null : group.ratePer10k) : group.count))}
+            <p>Each country's daily count is checked for spikes the same way as the global total (countries with at least ${MIN_COUNTRY_ANOMALY_ISSUES} issues). ${localSpikes > 0 ? `${localSpikes} spike day${localSpikes === 1 ? ' was' : 's were'} local: the global total did not flag ${localSpikes === 1 ? 'it' : 'them'}.` : 'No local spikes were found.'}</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>Country</th>
+                        <th>Issues</th>
+                        <th>Share</th>
+                        <th>Critical</th>
+                        ${showRates ? `<th>Issues per 10k ${escapeHtml(this.analysis.usage.unit)}</th>` : ''}
+                        <th>Top Patterns</th>
+                        <th>Weekly Trend</th>
+                        <th>Spike Days</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        `;
     }
 
-    generateSpikeAnalysisTable(dailyData) {
-        const avgIssues = dailyData.reduce((sum, day) => sum + day.total, 0) / dailyData.length;
+    generateCoverageTable(countryCoverage) {
+        if (!countryCoverage) return '';
+        
+        const entries = Object.entries(countryCoverage);
+        const totals = entries.reduce((sum, [, data]) => ({
+            total: sum.total + data.total,
+            unclassified: sum.unclassified + data.unclassified
+        }), { total: 0, unclassified: 0 });
+        const overallRate = totals.total > 0 ? totals.unclassified / totals.total : 0;
+        
+        const rows = entries
+            .sort(([, a], [, b]) => b.total - a.total)
+            .slice(0, 20)
+            .map(([country, data]) => {
+                const rate = data.unclassified / data.total;
+                const weak = data.total >= 10 && rate > overallRate + 0.15;
+                return `
+                <tr class="${weak ? 'trend-spike' : ''}">
+                    <td><strong>${escapeHtml(country)}</strong></td>
+                    <td>${data.total}</td>
+                    <td>${data.unclassified}</td>
+                    <td>${(rate * 100).toFixed(1)}%</td>
+                    <td>${weak ? '⚠️ Weak coverage' : '✅ OK'}</td>
+                </tr>
+                `;
+            }).join('');
         
-        return dailyData
-            .sort((a, b) => b.total - a.total)
+        return `
+        <div class="card">
+            <h2>🌐 Pattern Detection Coverage by Country</h2>
+            <p>Share of issues that matched no pattern. ${(overallRate * 100).toFixed(1)}% are unclassified overall; countries well above that usually report in a language the pattern dictionaries do not cover yet.</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>Country</th>
+                        <th>Issues</th>
+                        <th>Unclassified</th>
+                        <th>Unclassified Rate</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        `;
+    }
+
+    // One heatmap table over [key, group] rows; cell color scales with the count
+    generateHeatmap(rows, columns, cellValue, columnLabel, { corner = 'OS Version', rowLabel = key => `iOS ${key}` } = {}) {
+        const max = Math.max(1, ...rows.flatMap(row => columns.map(column => cellValue(row, column))));
+        const header = columns.map(column => `<th>${escapeHtml(columnLabel(column))}</th>`).join('');
+        const body = rows.map(([key, group]) => {
+            const cells = columns.map(column => {
+                const value = cellValue([key, group], column);
+                if (value === 0) return '<td></td>';
+                const alpha = (0.1 + 0.75 * (value / max)).toFixed(2);
+                const share = ((value / group.count) * 100).toFixed(1);
+                return `<td style="background: rgba(255, 59, 48, ${alpha}); color: ${alpha > 0.5 ? '#fff' : '#1d1d1f'}" title="${share}% of ${escapeHtml(rowLabel(key))} issues">${value}</td>`;
+            }).join('');
+            return `<tr><th class="heatmap-row">${escapeHtml(rowLabel(key))}</th>${cells}</tr>`;
+        }).join('');
+        return `
+            <div class="heatmap-scroll">
+                <table class="heatmap">
+                    <thead><tr><th class="heatmap-row">${escapeHtml(corner)}</th>${header}</tr></thead>
+                    <tbody>${body}</tbody>
+                </table>
+            </div>`;
+    }
+
+    generateOSSection(osGroups, patternAnalysis) {
+        if (!osGroups || Object.keys(osGroups).length === 0) return '';
+        
+        const totalIssues = this.analysis.totalIssues;
+        const hasVersionNumber = value => /\d/.test(value);
+        // Busiest OS versions, newest first; values without a number (Unknown) last
+        const rows = Object.entries(osGroups)
+            .sort(([,a], [,b]) => b.count - a.count)
+            .slice(0, 15)
+            .sort(([a], [b]) => (hasVersionNumber(b) - hasVersionNumber(a)) ||
+                (hasVersionNumber(a) ? compareVersions(b, a) : a.localeCompare(b)));
+        const appVersions = Object.entries(this.analysis.versionGroups)
+            .sort(([,a], [,b]) => b.count - a.count)
+            .slice(0, 8)
+            .map(([version]) => version)
+            .sort((a, b) => (hasVersionNumber(b) - hasVersionNumber(a)) ||
+                (hasVersionNumber(a) ? compareVersions(b, a) : a.localeCompare(b)));
+        const patterns = Object.entries(patternAnalysis)
+            .sort(([,a], [,b]) => b.total - a.total)
+            .map(([pattern]) => pattern);
+        const showRates = rows.some(([, group]) => group.ratePer10k !== undefined && group.ratePer10k !== null);
+        
+        const summaryRows = rows.map(([osVersion, group]) => `
+                <tr>
+                    <td><strong>iOS ${escapeHtml(osVersion)}</strong></td>
+                    <td>${group.count}</td>
+                    <td>${((group.count / totalIssues) * 100).toFixed(1)}%</td>
+                    <td>${group.severityCount.critical}</td>
+                    ${showRates ? `<td>${group.ratePer10k === null || group.ratePer10k === undefined ? 'n/a' : group.ratePer10k.toFixed(1)}</td>` : ''}
+                    <td>${Object.entries(group.patterns)
+                        .sort(([,a], [,b]) => b - a)
+                        .slice(0, 2)
+                        .map(([pattern, count]) => `${escapeHtml(this.formatPatternName(pattern))} (${count})`)
+                        .join(', ') || 'None detected'}</td>
+                </tr>
+                `).join('');
+        
+        return `
+        <div class="card">
+            <h2>📱 iOS Version Breakdown</h2>
+            <p>Each issue is counted once, under the OS version it was reported from. ${Object.keys(osGroups).length > rows.length ? `Showing the ${rows.length} busiest of ${Object.keys(osGroups).length} OS versions.` : ''}</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>OS Version</th>
+                        <th>Issues</th>
+                        <th>Share</th>
+                        <th>Critical</th>
+                        ${showRates ? `<th>Issues per 10k ${escapeHtml(this.analysis.usage.unit)}</th>` : ''}
+                        <th>Top Patterns</th>
+                    </tr>
+                </thead>
+                <tbody>${summaryRows}</tbody>
+            </table>
+            <h3>OS × App Version</h3>
+            ${this.generateHeatmap(rows, appVersions, ([, group], version) => group.versions[version] || 0, version => version)}
+            ${patterns.length > 0 ? `<h3>OS × Pattern</h3>
+            ${this.generateHeatmap(rows, patterns, ([, group], pattern) => group.patterns[pattern] || 0, pattern => this.formatPatternName(pattern))}` : ''}
+        </div>
+        `;
+    }
+
+    generateDeviceSection(devices, patternAnalysis) {
+        if (!devices || devices.withDevice === 0) return '';
+        
+        const sortedDevices = Object.entries(devices.groups)
+            .sort(([,a], [,b]) => b.count - a.count);
+        const rows = sortedDevices.slice(0, 15);
+        const patterns = Object.entries(patternAnalysis)
+            .sort(([,a], [,b]) => b.total - a.total)
+            .map(([pattern]) => pattern);
+        const tierRows = (groups, tiers) => tiers
+            .map(([, tier]) => tier)
+            .filter(tier => groups[tier])
+            .map(tier => [tier, groups[tier]]);
+        const ramRows = tierRows(devices.ram, RAM_TIERS);
+        const storageRows = tierRows(devices.storage, STORAGE_TIERS);
+        const patternHeatmap = (heatmapRows, corner, rowLabel) => this.generateHeatmap(
+            heatmapRows, patterns, ([, group], pattern) => group.patterns[pattern] || 0,
+            pattern => this.formatPatternName(pattern), { corner, rowLabel });
+        
+        const deviceRows = rows.map(([name, group]) => `
+                <tr>
+                    <td><strong>${escapeHtml(name)}</strong>${group.identifiers.length > 0 ? `<br><small>${escapeHtml(group.identifiers.join(', '))}</small>` : ''}</td>
+                    <td>${escapeHtml(group.family)}</td>
+                    <td>${group.ramTier || 'n/a'}</td>
+                    <td>${group.count}</td>
+                    <td>${((group.count / devices.withDevice) * 100).toFixed(1)}%</td>
+                    <td>${group.severityCount.critical}</td>
+                    <td>${Object.entries(group.patterns)
+                        .sort(([,a], [,b]) => b - a)
+                        .slice(0, 2)
+                        .map(([pattern, count]) => `${escapeHtml(this.formatPatternName(pattern))} (${count})`)
+                        .join(', ') || 'None detected'}</td>
+                </tr>
+                `).join('');
+        const families = Object.entries(devices.families)
+            .sort(([,a], [,b]) => b - a)
+            .map(([family, count]) => `${escapeHtml(family)} (${count})`)
+            .join(', ');
+        
+        return `
+        <div class="card">
+            <h2>📲 Device Breakdown</h2>
+            <p>${devices.withDevice} of ${this.analysis.totalIssues} issues report a device model. Hardware identifiers such as iPhone12,1 are shown by marketing name.${sortedDevices.length > rows.length ? ` Showing the ${rows.length} busiest of ${sortedDevices.length} devices.` : ''}</p>
+            <p><strong>By family:</strong> ${families}</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>Device</th>
+                        <th>Family</th>
+                        <th>RAM</th>
+                        <th>Issues</th>
+                        <th>Share</th>
+                        <th>Critical</th>
+                        <th>Top Patterns</th>
+                    </tr>
+                </thead>
+                <tbody>${deviceRows}</tbody>
+            </table>
+            ${patterns.length > 0 ? `<h3>Device × Pattern</h3>
+            ${patternHeatmap(rows, 'Device', name => name)}` : ''}
+            ${patterns.length > 0 && ramRows.length > 0 ? `<h3>RAM × Pattern</h3>
+            <p>${devices.ramFromModel > 0 ? `RAM comes from the device model's base configuration for ${devices.ramFromModel} issues without a RAM value.` : 'RAM as reported with each issue.'}</p>
+            ${patternHeatmap(ramRows, 'RAM', tier => `${tier} RAM`)}` : ''}
+            ${patterns.length > 0 && storageRows.length > 0 ? `<h3>Storage × Pattern</h3>
+            ${patternHeatmap(storageRows, 'Storage', tier => `${tier} storage`)}` : ''}
+        </div>
+        `;
+    }
+
+    generateRegressionTable(releaseComparison) {
+        if (!releaseComparison || releaseComparison.versions.length === 0) return '';
+        
+        const usageUnit = this.analysis.usage && this.analysis.usage.unit === 'users' ? 'user-days' : 'sessions';
+        const rateUnit = releaseComparison.perUser ? `per 10k ${usageUnit}` : 'per day';
+        const formatRate = (rate, perUser) => {
+            const scaled = perUser ? rate * 10000 : rate;
+            return scaled.toFixed(scaled >= 10 ? 0 : 1);
+        };
+        const formatPValue = pValue => (pValue === null ? 'n/a' : pValue < 0.001 ? '<0.001' : pValue.toFixed(3));
+        
+        const rows = releaseComparison.versions.map(comparison => {
+            const risingPatterns = comparison.patterns
+                .filter(pattern => pattern.significant)
+                .map(pattern => `${escapeHtml(this.formatPatternName(pattern.id))} (${pattern.previousCount} → ${pattern.count}${comparison.perUser ? `, ${isFinite(pattern.ratio) ? `×${pattern.ratio.toFixed(1)}` : 'new'} per user` : ''})`)
+                .join(', ');
+            const change = comparison.ratio === null ? 'n/a' : `${comparison.ratio >= 1 ? '+' : ''}${((comparison.ratio - 1) * 100).toFixed(0)}%`;
+            return `
+                <tr class="${comparison.significant ? 'trend-spike' : ''}">
+                    <td><strong>${escapeHtml(comparison.version)}</strong></td>
+                    <td>${escapeHtml(comparison.previous)}</td>
+                    <td>${comparison.days}</td>
+                    <td>${formatRate(comparison.previousRate, comparison.perUser)} → ${formatRate(comparison.rate, comparison.perUser)}${comparison.perUser === releaseComparison.perUser ? '' : ` ${comparison.perUser ? `per 10k ${usageUnit}` : 'per day'}`}</td>
+                    <td>${change}</td>
+                    <td>${formatPValue(comparison.pValue)}</td>
+                    <td>${risingPatterns || 'None'}</td>
+                    <td><strong>${comparison.significant ? '🚨 Regression' : risingPatterns ? '⚠️ Pattern rise' : '✅ OK'}</strong></td>
+                </tr>
+                `;
+        }).join('');
+        
+        return `
+        <div class="card">
+            <h2>📦 Regressions vs Previous Release</h2>
+            <p>Each version compared with the release before it (by version number) over the same number of days after launch, up to ${releaseComparison.windowDays}. Launch is the first day a version shows up in the data. Rates are issues ${rateUnit}${releaseComparison.perUser || !this.analysis.usage ? '' : ' unless noted'}; increases are flagged when a one-sided Poisson rate test stays significant after controlling the false discovery rate at ${(releaseComparison.falseDiscoveryRate * 100).toFixed(0)}%.</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>Version</th>
+                        <th>Previous</th>
+                        <th>Days Compared</th>
+                        <th>Issues ${rateUnit}</th>
+                        <th>Change</th>
+                        <th>p-value</th>
+                        <th>Patterns Rising Significantly</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        `;
+    }
+
+    generateClusterTable(clusters, clusterSummary) {
+        if (!clusters || clusters.length === 0) return '';
+        
+        const rows = clusters
+            .slice(0, 10)
+            .map((cluster, index) => {
+                const versions = Object.entries(cluster.versions)
+                    .sort(([,a], [,b]) => b - a);
+                const shownVersions = versions
+                    .slice(0, 3)
+                    .map(([version, count]) => `${escapeHtml(version)} (${count})`)
+                    .join(', ');
+                const dateSpan = cluster.firstDate === cluster.lastDate
+                    ? escapeHtml(cluster.firstDate || 'Unknown')
+                    : `${escapeHtml(cluster.firstDate)} → ${escapeHtml(cluster.lastDate)}`;
+                return `
+                <tr>
+                    <td>${index + 1}</td>
+                    <td><strong>${cluster.size}</strong></td>
+                    <td>${escapeHtml(cluster.representative)}</td>
+                    <td>${shownVersions}${versions.length > 3 ? ` +${versions.length - 3} more` : ''}</td>
+                    <td>${dateSpan}</td>
+                </tr>
+                `;
+            }).join('');
+        
+        return `
+        <div class="card">
+            <h2>🧩 Top Issue Clusters</h2>
+            <p>Near-identical titles and messages grouped together. ${clusterSummary.rows} issues collapse into ${clusterSummary.clusters} distinct complaints.
+            ${clusterSummary.countClusters
+                ? 'Counts elsewhere in this report treat each cluster as one issue.'
+                : 'Counts elsewhere in this report include every repeat.'}</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        <th>Reports</th>
+                        <th>Representative Text</th>
+                        <th>Versions</th>
+                        <th>Date Span</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        `;
+    }
+
+    generateEmergingTopicsTable(emergingTopics) {
+        if (!emergingTopics || !emergingTopics.currentWeek) return '';
+        
+        const intro = `Terms and phrases in the ${emergingTopics.issues} issues no pattern matched, comparing the 7 days from ${escapeHtml(emergingTopics.currentWeek)} to ${escapeHtml(emergingTopics.latestDate)} with the average of the ${emergingTopics.baselineWeeks.length} 7-day period${emergingTopics.baselineWeeks.length === 1 ? '' : 's'} before.`;
+        if (emergingTopics.topics.length === 0) {
+            return `
+        <div class="card">
+            <h2>🆕 New and Rising Topics</h2>
+            <p>${intro} Nothing is rising sharply.</p>
+        </div>
+        `;
+        }
+        
+        const rows = emergingTopics.topics.map(topic => `
+                <tr class="${topic.isNew ? 'trend-spike' : ''}">
+                    <td><strong>${escapeHtml(topic.term)}</strong></td>
+                    <td>${topic.current}</td>
+                    <td>${topic.baseline.toFixed(1)}</td>
+                    <td>${topic.isNew ? '🆕 New' : `×${topic.growth.toFixed(1)}`}</td>
+                    <td>${topic.samples.map(sample =>
+                        `${sample.id ? `${escapeHtml(sample.id)}: ` : ''}${escapeHtml(sample.title.length > 80 ? `${sample.title.slice(0, 80)}…` : sample.title)}`
+                    ).join('<br>')}</td>
+                </tr>
+                `).join('');
+        
+        return `
+        <div class="card">
+            <h2>🆕 New and Rising Topics</h2>
+            <p>${intro} Candidates for new pattern rules.</p>
+            <table class="trend-table">
+                <thead>
+                    <tr>
+                        <th>Term</th>
+                        <th>Last 7 Days</th>
+                        <th>Weekly Avg Before</th>
+                        <th>Change</th>
+                        <th>Sample Issues</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        </div>
+        `;
+    }
+
+    // Spike days first, then the busiest remaining days
+    generateSpikeAnalysisTable(dailyData) {
+        return [...dailyData]
+            .sort((a, b) => b.isSpike - a.isSpike || b.total - a.total)
             .slice(0, 15)
             .map(day => {
-                const changePercent = ((day.total / avgIssues - 1) * 100).toFixed(0);
-                const isSpike = day.total > avgIssues * 1.5;
+                const changePercent = day.changePercent === null ? null : day.changePercent.toFixed(0);
+                const isSpike = day.isSpike;
                 const topVersion = Object.entries(day.versions)
                     .sort(([,a], [,b]) => b - a)[0];
                 const criticalPatterns = Object.entries(day.patterns)
-                    .filter(([pattern]) => ['hardCrash', 'suddenExit', 'progressLost'].includes(pattern))
+                    .filter(([pattern]) => ['hardCrash', 'suddenExit', 'progressLost'].includes(pattern) ||
+                        (this.analysis.patternAnalysis[pattern] || {}).severity === 'critical')
                     .sort(([,a], [,b]) => b - a)
                     .slice(0, 2)
-                    .map(([pattern, count]) => `${this.formatPatternName(pattern)} (${count})`)
+                    .map(([pattern, count]) => `${escapeHtml(this.formatPatternName(pattern))} (${count})`)
                     .join(', ');
                 
                 return `
                 <tr class="${isSpike ? 'trend-spike' : 'trend-normal'}">
-                    <td><strong>${day.date}</strong></td>
+                    <td><strong>${escapeHtml(day.date)}</strong></td>
                     <td>${day.total}</td>
-                    <td>${changePercent > 0 ? '+' : ''}${changePercent}%</td>
-                    <td>${topVersion ? `${topVersion[0]} (${topVersion[1]})` : 'N/A'}</td>
+                    <td>${changePercent === null ? 'n/a' : `${changePercent > 0 ? '+' : ''}${changePercent}%`}</td>
+                    <td>${topVersion ? `${escapeHtml(topVersion[0])} (${topVersion[1]})` : 'N/A'}</td>
                     <td>${criticalPatterns || 'None detected'}</td>
                     <td><strong>${isSpike ? '🚨 SPIKE' : '📊 Normal'}</strong></td>
                 </tr>
@@ -867,30 +2633,390 @@ class EnhancedIOSAnalyzer {
             }).join('');
     }
 
-    run() {
-        console.log('🚀 Starting Enhanced iOS Analysis with Pattern Detection...\n');
+    run({ inputs = [DEFAULT_INPUT], output = DEFAULT_OUTPUT } = {}) {
+        this.log('🚀 Starting Enhanced iOS Analysis with Pattern Detection...\n');
+        
+        const result = this.analyze(inputs);
+        this.generateInteractiveReport(output);
         
-        const csvFile = 'unresolved_issues_past_3_months.csv';
-        if (!fs.existsSync(csvFile)) {
-            console.error('❌ CSV file not found:', csvFile);
-            return;
+        this.log('\n🎉 Enhanced analysis complete!');
+        this.log(`📄 Report: ${output}`);
+        this.log('\n�� New Features:');
+        this.log('  📊 Interactive charts with hover tooltips');
+        this.log(`  🔍 Advanced pattern detection (${this.patternRules.size} specific types)`);
+        this.log('  📈 Daily spike detection and trend analysis');
+        this.log('  📋 Plain English executive summary');
+        this.log('  🎯 Version-specific deep dive insights');
+        this.log('  🚨 Critical pattern alerts with severity levels');
+        
+        return result;
+    }
+}
+
+const USAGE = `Usage: node enhanced-ios-analyzer.js [options] [input ...]
+       node enhanced-ios-analyzer.js evaluate [options] <labeled-input ...>
+       node enhanced-ios-analyzer.js train [options] <input ...>
+       node enhanced-ios-analyzer.js compare [options] <earlier-input> <later-input>
+       node enhanced-ios-analyzer.js benchmark [options] [input ...]
+
+Commands:
+  (default)              Analyze exports and write the HTML report
+  evaluate               Score pattern detection against hand-labeled issues
+  train                  Train a text classifier model on labeled issues, or on
+                         regex rule matches when there is no label column
+  compare                Analyze two exports the same way and report what changed
+  benchmark              Time pattern detection on the main thread and on worker
+                         threads, and check both analyses are identical
+
+Options:
+  -i, --input <file>     Export to analyze (repeatable; default: ${DEFAULT_INPUT})
+  -o, --output <file>    HTML report path (default: ${DEFAULT_OUTPUT}; compare: ${DEFAULT_COMPARE_OUTPUT})
+  -p, --platform <name>  Only include issues for this platform, or "all" (default: ios; evaluate and train: all)
+  -f, --format <name>    Input format: auto, csv, jira-csv, json, ndjson, github-json (default: auto)
+  -d, --delimiter <char> CSV field delimiter, or "tab" (default: ,)
+  -c, --columns <file>   JSON/YAML file mapping fields to source column names
+  -r, --rules <file>     JSON/YAML pattern rules file (added to the built-in patterns)
+      --primary-pattern  Count each issue under its most severe pattern only
+      --model <file>     Classifier model to detect with (train: file to write, default: ${DEFAULT_MODEL})
+      --detection <mode> regex, classifier or hybrid (default: hybrid with --model, else regex)
+      --threshold <p>    Classifier probability needed to count a pattern (default: 0.5)
+      --count-clusters   Count each group of near-duplicate issues once
+      --cluster-similarity <s>
+                         Text similarity (0-1) for grouping near-duplicates (default: ${DEFAULT_SIMILARITY})
+      --spike-method <m> Daily spike detection: mad, zscore or seasonal (default: ${DEFAULT_ANOMALY_METHOD})
+      --spike-window <days>
+                         Trailing days each day is compared with (default: ${Object.entries(ANOMALY_METHODS).map(([method, settings]) => `${method} ${settings.window}`).join(', ')})
+      --spike-threshold <score>
+                         Score that counts as a spike (default: ${Object.entries(ANOMALY_METHODS).map(([method, settings]) => `${method} ${settings.threshold}`).join(', ')})
+      --release-window <days>
+                         Days after launch compared with the previous release (default: ${DEFAULT_RELEASE_WINDOW})
+      --usage <file>     CSV of daily active users or sessions by date and any of
+                         app_version, os_version, country; adds rates per 10k
+      --normalize        Plot versions and rate critical issues per 10k users (needs --usage)
+      --history <file>   Append this run's aggregates to a JSON-lines history file
+                         and chart every snapshot in it
+      --export-date <date>
+                         Date to record the snapshot under (default: latest issue date)
+      --state <file>     Keep detection results and report totals between runs and
+                         only fold new, changed and resolved issues into them
+      --offline          Draw charts as inline SVG so the report needs no network access
+      --workers <n>      Worker threads for pattern detection; 1 disables them
+                         (default: one per core for large exports; benchmark: at least 2)
+      --from <date>      Only include issues created on or after YYYY-MM-DD
+      --to <date>        Only include issues created on or before YYYY-MM-DD
+  -h, --help             Show this help
+
+Evaluate options:
+      --labels <column>  Column listing expected pattern ids, also used by train (default: ${DEFAULT_LABEL_COLUMN})
+      --json <file>      Also write the full results as JSON (also used by compare and benchmark)
+      --min-f1 <score>   Exit with code 7 if micro-averaged F1 is below this (0-1)
+
+Exit codes:
+  0  Report generated
+  1  Unexpected error
+  2  Invalid arguments
+  3  Input file not found
+  4  No issues matched the filters
+  5  Input file could not be parsed or lacks required columns
+  6  Invalid configuration file
+  7  Evaluation scored below --min-f1`;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const COMMANDS = ['analyze', 'evaluate', 'train', 'compare', 'benchmark'];
+
+function parseArgs(argv) {
+    const args = { command: 'analyze', inputs: [], output: null, platform: null, format: 'auto', delimiter: ',', columns: null, rules: null, primaryPattern: false, from: null, to: null, labels: DEFAULT_LABEL_COLUMN, json: null, minF1: null, model: null, detection: null, threshold: 0.5, countClusters: false, clusterSimilarity: DEFAULT_SIMILARITY, spikeMethod: DEFAULT_ANOMALY_METHOD, spikeWindow: null, spikeThreshold: null, releaseWindow: DEFAULT_RELEASE_WINDOW, usage: null, normalize: false, history: null, exportDate: null, state: null, workers: null, offline: false, help: false };
+    const valueFlags = {
+        '-i': 'input', '--input': 'input',
+        '-o': 'output', '--output': 'output',
+        '-p': 'platform', '--platform': 'platform',
+        '-f': 'format', '--format': 'format',
+        '-d': 'delimiter', '--delimiter': 'delimiter',
+        '-c': 'columns', '--columns': 'columns',
+        '-r': 'rules', '--rules': 'rules',
+        '--from': 'from',
+        '--to': 'to',
+        '--labels': 'labels',
+        '--json': 'json',
+        '--min-f1': 'minF1',
+        '--model': 'model',
+        '--detection': 'detection',
+        '--threshold': 'threshold',
+        '--cluster-similarity': 'clusterSimilarity',
+        '--spike-method': 'spikeMethod',
+        '--spike-window': 'spikeWindow',
+        '--spike-threshold': 'spikeThreshold',
+        '--release-window': 'releaseWindow',
+        '--usage': 'usage',
+        '--history': 'history',
+        '--export-date': 'exportDate',
+        '--state': 'state',
+        '--workers': 'workers'
+    };
+    
+    if (COMMANDS.includes(argv[0])) {
+        args.command = argv[0];
+        argv = argv.slice(1);
+    }
+    
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+        let value;
+        if (arg.startsWith('--') && arg.includes('=')) {
+            [arg, value] = [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)];
         }
         
-        this.parseCSV(csvFile);
-        this.analyzeEnhanced();
-        this.generateInteractiveReport();
-        
-        console.log('\n🎉 Enhanced analysis complete!');
-        console.log('📄 Report: enhanced-ios-report.html');
-        console.log('\n�� New Features:');
-        console.log('  📊 Interactive charts with hover tooltips');
-        console.log('  🔍 Advanced pattern detection (9 specific types)');
-        console.log('  📈 Daily spike detection and trend analysis');
-        console.log('  📋 Plain English executive summary');
-        console.log('  🎯 Version-specific deep dive insights');
-        console.log('  🚨 Critical pattern alerts with severity levels');
+        if (arg === '-h' || arg === '--help') {
+            args.help = true;
+        } else if (arg === '--primary-pattern') {
+            args.primaryPattern = true;
+        } else if (arg === '--count-clusters') {
+            args.countClusters = true;
+        } else if (arg === '--normalize') {
+            args.normalize = true;
+        } else if (arg === '--offline') {
+            args.offline = true;
+        } else if (valueFlags[arg]) {
+            if (value === undefined) {
+                value = argv[++i];
+            }
+            if (value === undefined || value === '') {
+                throw new AnalyzerError(`Missing value for ${arg}`, EXIT_CODES.USAGE);
+            }
+            if (valueFlags[arg] === 'input') {
+                args.inputs.push(value);
+            } else {
+                args[valueFlags[arg]] = value;
+            }
+        } else if (arg.startsWith('-')) {
+            throw new AnalyzerError(`Unknown option: ${arg}`, EXIT_CODES.USAGE);
+        } else {
+            args.inputs.push(arg);
+        }
+    }
+    
+    [['from', '--from'], ['to', '--to'], ['exportDate', '--export-date']].forEach(([key, flag]) => {
+        if (args[key] && (!DATE_PATTERN.test(args[key]) || isNaN(Date.parse(args[key])))) {
+            throw new AnalyzerError(`${flag} must be a date in YYYY-MM-DD format, got "${args[key]}"`, EXIT_CODES.USAGE);
+        }
+    });
+    if (args.exportDate && !args.history) {
+        throw new AnalyzerError('--export-date needs --history', EXIT_CODES.USAGE);
+    }
+    if (args.from && args.to && args.from > args.to) {
+        throw new AnalyzerError(`--from (${args.from}) is after --to (${args.to})`, EXIT_CODES.USAGE);
+    }
+    if (args.inputs.length === 0) {
+        if (args.command === 'evaluate' && !args.help) {
+            throw new AnalyzerError('evaluate needs a labeled input file', EXIT_CODES.USAGE);
+        }
+        args.inputs.push(DEFAULT_INPUT);
+    }
+    if (args.command === 'compare' && args.inputs.length !== 2 && !args.help) {
+        throw new AnalyzerError('compare needs two inputs: the earlier export, then the later one', EXIT_CODES.USAGE);
+    }
+    args.output = args.output || (args.command === 'compare' ? DEFAULT_COMPARE_OUTPUT : DEFAULT_OUTPUT);
+    args.platform = (args.platform || (['analyze', 'compare', 'benchmark'].includes(args.command) ? 'ios' : 'all')).toLowerCase();
+    if (args.minF1 !== null) {
+        args.minF1 = Number(args.minF1);
+        if (isNaN(args.minF1) || args.minF1 < 0 || args.minF1 > 1) {
+            throw new AnalyzerError('--min-f1 must be a number between 0 and 1', EXIT_CODES.USAGE);
+        }
+    }
+    args.threshold = Number(args.threshold);
+    if (isNaN(args.threshold) || args.threshold <= 0 || args.threshold >= 1) {
+        throw new AnalyzerError('--threshold must be a number between 0 and 1', EXIT_CODES.USAGE);
+    }
+    args.clusterSimilarity = Number(args.clusterSimilarity);
+    if (isNaN(args.clusterSimilarity) || args.clusterSimilarity <= 0 || args.clusterSimilarity > 1) {
+        throw new AnalyzerError('--cluster-similarity must be a number above 0 and up to 1', EXIT_CODES.USAGE);
+    }
+    if (!ANOMALY_METHODS[args.spikeMethod]) {
+        throw new AnalyzerError(`--spike-method must be one of: ${Object.keys(ANOMALY_METHODS).join(', ')}, got "${args.spikeMethod}"`, EXIT_CODES.USAGE);
+    }
+    if (args.spikeWindow !== null) {
+        args.spikeWindow = Number(args.spikeWindow);
+        if (!Number.isInteger(args.spikeWindow) || args.spikeWindow < 3) {
+            throw new AnalyzerError('--spike-window must be a whole number of days, at least 3', EXIT_CODES.USAGE);
+        }
+    }
+    if (args.spikeThreshold !== null) {
+        args.spikeThreshold = Number(args.spikeThreshold);
+        if (isNaN(args.spikeThreshold) || args.spikeThreshold <= 0) {
+            throw new AnalyzerError('--spike-threshold must be a positive number', EXIT_CODES.USAGE);
+        }
+    }
+    if (args.workers !== null) {
+        args.workers = Number(args.workers);
+        if (!Number.isInteger(args.workers) || args.workers < 1) {
+            throw new AnalyzerError('--workers must be a whole number, at least 1', EXIT_CODES.USAGE);
+        }
+    }
+    args.releaseWindow = Number(args.releaseWindow);
+    if (!Number.isInteger(args.releaseWindow) || args.releaseWindow < 1) {
+        throw new AnalyzerError('--release-window must be a whole number of days, at least 1', EXIT_CODES.USAGE);
+    }
+    if (args.normalize && !args.usage) {
+        throw new AnalyzerError('--normalize needs --usage', EXIT_CODES.USAGE);
+    }
+    if (args.detection !== null && !DETECTION_MODES.includes(args.detection)) {
+        throw new AnalyzerError(`--detection must be one of: ${DETECTION_MODES.join(', ')}, got "${args.detection}"`, EXIT_CODES.USAGE);
+    }
+    if (args.detection && args.detection !== 'regex' && !args.model && args.command !== 'train') {
+        throw new AnalyzerError(`--detection ${args.detection} needs --model`, EXIT_CODES.USAGE);
+    }
+    if (args.format !== 'auto' && !adapters[args.format]) {
+        throw new AnalyzerError(`--format must be one of: auto, ${Object.keys(adapters).join(', ')}, got "${args.format}"`, EXIT_CODES.USAGE);
+    }
+    if (args.delimiter === 'tab' || args.delimiter === '\\t') {
+        args.delimiter = '\t';
+    }
+    if (args.delimiter.length !== 1 || args.delimiter === '"' || /[\r\n]/.test(args.delimiter)) {
+        throw new AnalyzerError(`--delimiter must be a single character other than a quote or newline, got "${args.delimiter}"`, EXIT_CODES.USAGE);
+    }
+    
+    return args;
+}
+
+function analyzerOptions(args) {
+    return {
+        platform: args.platform,
+        delimiter: args.delimiter,
+        format: args.format,
+        columnMapping: args.columns,
+        patternRules: args.rules,
+        primaryPattern: args.primaryPattern,
+        classifierModel: args.model,
+        detection: args.detection,
+        threshold: args.threshold,
+        countClusters: args.countClusters,
+        clusterSimilarity: args.clusterSimilarity,
+        anomalyMethod: args.spikeMethod,
+        anomalyWindow: args.spikeWindow,
+        anomalyThreshold: args.spikeThreshold,
+        releaseWindow: args.releaseWindow,
+        usage: args.usage,
+        normalize: args.normalize,
+        history: args.history,
+        exportDate: args.exportDate,
+        incrementalState: args.state,
+        workers: args.workers,
+        offline: args.offline,
+        from: args.from,
+        to: args.to
+    };
+}
+
+function evaluateCommand(args) {
+    // Labeled sets often have no version, date or platform columns
+    const analyzer = new EnhancedIOSAnalyzer({
+        ...analyzerOptions(args),
+        optionalFields: ['appVersion', 'createdDate', 'platform']
+    });
+    const results = analyzer.evaluate(args.inputs, { labelColumn: args.labels });
+    
+    console.log(`\n${formatEvaluation(results)}`);
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(results, null, 2));
+        console.log(`\n📄 Results: ${args.json}`);
+    }
+    if (args.minF1 !== null && results.micro.f1 < args.minF1) {
+        throw new AnalyzerError(
+            `Micro-averaged F1 ${results.micro.f1.toFixed(3)} is below --min-f1 ${args.minF1}`,
+            EXIT_CODES.EVALUATION_FAILED
+        );
+    }
+}
+
+function trainCommand(args) {
+    // Same relaxed columns as evaluate; the model only reads issue text
+    const analyzer = new EnhancedIOSAnalyzer({
+        ...analyzerOptions(args),
+        classifierModel: null,
+        detection: null,
+        optionalFields: ['appVersion', 'createdDate', 'platform']
+    });
+    const classifier = analyzer.train(args.inputs, { labelColumn: args.labels });
+    
+    const model = args.model || DEFAULT_MODEL;
+    classifier.save(model);
+    Object.entries(classifier.patterns).forEach(([id, pattern]) => {
+        console.log(`  ${id}: ${pattern.documentCount} examples`);
+    });
+    console.log(`\n📄 Model: ${model}`);
+}
+
+function compareCommand(args) {
+    const analyzer = new EnhancedIOSAnalyzer(analyzerOptions(args));
+    const [before, after] = args.inputs;
+    const comparison = analyzer.compare(before, after);
+    analyzer.generateComparisonReport(args.output);
+    
+    console.log(`\n📊 ${comparison.totals.before} → ${comparison.totals.after} issues; ${comparison.newPatterns.length} new and ${comparison.disappearedPatterns.length} disappeared pattern${comparison.disappearedPatterns.length === 1 ? '' : 's'}`);
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(comparison, null, 2));
+        console.log(`📄 Results: ${args.json}`);
     }
+    console.log(`📄 Report: ${args.output}`);
+}
+
+function benchmarkCommand(args) {
+    const analyzer = new EnhancedIOSAnalyzer(analyzerOptions(args));
+    const results = analyzer.benchmark(args.inputs, { workers: args.workers });
+    
+    console.log(`\n⏱️  ${results.issues} issues, ${results.cores} core${results.cores === 1 ? '' : 's'}`);
+    results.runs.forEach(run => {
+        console.log(`  ${run.workers === 1 ? 'main thread' : `${run.workers} workers`}: ${Math.round(run.issuesPerSecond)} issues/s detection, ${Math.round(run.analysisMs)} ms full analysis`);
+    });
+    if (args.json) {
+        fs.writeFileSync(args.json, JSON.stringify(results, null, 2));
+        console.log(`📄 Results: ${args.json}`);
+    }
+    if (!results.identical) {
+        throw new AnalyzerError('Parallel analysis differs from the main-thread analysis', EXIT_CODES.ERROR);
+    }
+    console.log('✅ Parallel and main-thread analyses are identical');
+}
+
+function main(argv) {
+    try {
+        const args = parseArgs(argv);
+        if (args.help) {
+            console.log(USAGE);
+            return EXIT_CODES.OK;
+        }
+        
+        if (args.command === 'evaluate') {
+            evaluateCommand(args);
+        } else if (args.command === 'train') {
+            trainCommand(args);
+        } else if (args.command === 'compare') {
+            compareCommand(args);
+        } else if (args.command === 'benchmark') {
+            benchmarkCommand(args);
+        } else {
+            const analyzer = new EnhancedIOSAnalyzer(analyzerOptions(args));
+            analyzer.run({ inputs: args.inputs, output: args.output });
+        }
+        return EXIT_CODES.OK;
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        if (error.exitCode === EXIT_CODES.USAGE) {
+            console.error(`\n${USAGE}`);
+        }
+        return error.exitCode || EXIT_CODES.ERROR;
+    }
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
 }
 
-const analyzer = new EnhancedIOSAnalyzer();
-analyzer.run();
+module.exports = {
+    EnhancedIOSAnalyzer,
+    AnalyzerError,
+    EXIT_CODES,
+    parseArgs,
+    main
+};
@@ -0,0 +1,125 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAD_SCALE = 1.4826;
+const MIN_HISTORY = 3;
+
+// window: trailing days compared against; threshold: robust z-score to flag
+const METHODS = {
+    mad: { window: 14, threshold: 3.5, description: 'rolling median and MAD' },
+    zscore: { window: 14, threshold: 3, description: 'trailing mean and standard deviation' },
+    seasonal: { window: 28, threshold: 3.5, description: 'day-of-week adjusted rolling median and MAD' }
+};
+// Issue volume usually follows the week, so plain rolling methods flag every
+// busy weekend
+const DEFAULT_METHOD = 'seasonal';
+const DEFAULT_MIN_COUNT = 5;
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function mean(values) {
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+// Counts are roughly Poisson, so a flat history still allows sqrt(expected)
+// of noise; without this floor a quiet week turns any bump into a spike
+function noiseFloor(expected) {
+    return Math.sqrt(Math.max(expected, 1));
+}
+
+function madBaseline(history) {
+    const center = median(history);
+    const spread = MAD_SCALE * median(history.map(value => Math.abs(value - center)));
+    return { expected: center, spread };
+}
+
+function zscoreBaseline(history) {
+    const center = mean(history);
+    const spread = Math.sqrt(mean(history.map(value => (value - center) ** 2)));
+    return { expected: center, spread };
+}
+
+// Weekday factors from the trailing window (mean of that weekday over the
+// overall mean), then a median/MAD baseline on the adjusted history. Null until
+// the window holds the same weekday at least once.
+function seasonalBaseline(history, weekdays, weekday) {
+    if (!weekdays.includes(weekday)) return null;
+    const overall = mean(history) || 1;
+    const factors = {};
+    for (let day = 0; day < 7; day++) {
+        const values = history.filter((_, index) => weekdays[index] === day);
+        factors[day] = values.length > 0 ? (mean(values) + 1) / (overall + 1) : 1;
+    }
+    const adjusted = history.map((value, index) => value / factors[weekdays[index]]);
+    const { expected, spread } = madBaseline(adjusted);
+    return { expected: expected * factors[weekday], spread: spread * factors[weekday] };
+}
+
+function resolveOptions({ method = DEFAULT_METHOD, window = null, threshold = null, minCount = DEFAULT_MIN_COUNT } = {}) {
+    if (!METHODS[method]) {
+        throw new Error(`Unknown anomaly method "${method}" (expected ${Object.keys(METHODS).join(', ')})`);
+    }
+    return {
+        method,
+        window: window || METHODS[method].window,
+        threshold: threshold || METHODS[method].threshold,
+        minCount,
+        description: METHODS[method].description
+    };
+}
+
+// Scores each day of `series` ([{ date: 'YYYY-MM-DD', value }]) against the
+// days before it. Missing calendar days count as zero. A day is an anomaly when
+// its score reaches the threshold and its value is at least minCount; only
+// rises are flagged. Days with unparseable dates or too little history get a
+// null expected value and are never flagged.
+// Returns { options, days: { [date]: { value, expected, score, changePercent, isAnomaly } } }
+function detectAnomalies(series, options = {}) {
+    const resolved = resolveOptions(options);
+    const values = new Map();
+    series.forEach(({ date, value }) => {
+        const time = Date.parse(String(date).slice(0, 10));
+        if (!isNaN(time)) values.set(time, (values.get(time) || 0) + value);
+    });
+
+    const firstTime = Math.min(...values.keys());
+    const days = {};
+    series.forEach(({ date, value }) => {
+        days[date] = { value, expected: null, score: 0, changePercent: null, isAnomaly: false };
+        const time = Date.parse(String(date).slice(0, 10));
+        if (isNaN(time)) return;
+
+        const history = [];
+        const weekdays = [];
+        for (let offset = resolved.window; offset >= 1; offset--) {
+            const historyTime = time - offset * DAY_MS;
+            if (historyTime < firstTime) continue;
+            history.push(values.get(historyTime) || 0);
+            weekdays.push(new Date(historyTime).getUTCDay());
+        }
+        if (history.length < MIN_HISTORY) return;
+
+        const baseline = resolved.method === 'seasonal'
+            ? seasonalBaseline(history, weekdays, new Date(time).getUTCDay())
+            : resolved.method === 'zscore' ? zscoreBaseline(history) : madBaseline(history);
+        if (!baseline) return;
+        const { expected, spread } = baseline;
+        const score = (value - expected) / Math.max(spread, noiseFloor(expected));
+        Object.assign(days[date], {
+            expected,
+            score,
+            changePercent: expected > 0 ? (value / expected - 1) * 100 : null,
+            isAnomaly: score >= resolved.threshold && value >= resolved.minCount
+        });
+    });
+
+    return { options: resolved, days };
+}
+
+module.exports = {
+    detectAnomalies,
+    METHODS,
+    DEFAULT_METHOD
+};
@@ -0,0 +1,115 @@
+const { readConfigFile } = require('./config-file');
+const { AnalyzerError, EXIT_CODES } = require('./errors');
+
+// Logical fields the analyzer understands. `key` is the property name issues
+// carry internally, which is also the default source column. `quiet` fields are
+// absent from many exports, so a missing column is not worth a warning.
+const FIELDS = {
+    id: { key: 's_issue_id', required: false, quiet: true },
+    title: { key: 's_issue_title', required: true },
+    messages: { key: 's_messages', required: false },
+    tags: { key: 'a_tags', required: false },
+    appVersion: { key: 's_meta_application_version', required: true },
+    createdDate: { key: 'd_created_date', required: true },
+    platform: { key: 's_meta_other_platform', required: true },
+    osVersion: { key: 's_meta_other_os_version', required: false },
+    countryCode: { key: 's_meta_other_country_code', required: false },
+    deviceModel: { key: 's_meta_other_device_model', required: false, quiet: true },
+    deviceRam: { key: 's_meta_other_device_ram', required: false, quiet: true },
+    deviceStorage: { key: 's_meta_other_device_storage', required: false, quiet: true }
+};
+
+function invalid(message, source) {
+    return new AnalyzerError(`Invalid column mapping${source ? ` in ${source}` : ''}: ${message}`, EXIT_CODES.CONFIG_INVALID);
+}
+
+// Maps source columns onto the internal issue shape. A mapping config looks like
+//   { "columns": { "title": "Summary", "createdDate": ["Created", "created_at"] },
+//     "required": ["title", "createdDate"] }
+// Fields left out keep their default column; "required" replaces the default list.
+class ColumnMapping {
+    constructor(config = {}, source = null) {
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw invalid('expected an object with "columns" and/or "required"', source);
+        }
+        const unknownKeys = Object.keys(config).filter(key => !['columns', 'required'].includes(key));
+        if (unknownKeys.length > 0) {
+            throw invalid(`unknown setting(s) ${unknownKeys.join(', ')}`, source);
+        }
+
+        const columns = config.columns || {};
+        if (typeof columns !== 'object' || Array.isArray(columns)) {
+            throw invalid('"columns" must map field names to column names', source);
+        }
+        const unknownFields = Object.keys(columns).filter(field => !FIELDS[field]);
+        if (unknownFields.length > 0) {
+            throw invalid(`unknown field(s) ${unknownFields.join(', ')}. Known fields: ${Object.keys(FIELDS).join(', ')}`, source);
+        }
+
+        this.fields = {};
+        Object.entries(FIELDS).forEach(([field, definition]) => {
+            const mapped = columns[field] === undefined ? definition.key : columns[field];
+            const candidates = Array.isArray(mapped) ? mapped : [mapped];
+            if (candidates.length === 0 || candidates.some(column => typeof column !== 'string' || column.trim() === '')) {
+                throw invalid(`"${field}" must be a column name or a non-empty list of column names`, source);
+            }
+            this.fields[field] = { key: definition.key, columns: candidates, required: definition.required };
+        });
+
+        if (config.required !== undefined) {
+            if (!Array.isArray(config.required) || config.required.some(field => !FIELDS[field])) {
+                throw invalid(`"required" must be a list of known fields (${Object.keys(FIELDS).join(', ')})`, source);
+            }
+            Object.entries(this.fields).forEach(([field, entry]) => {
+                entry.required = config.required.includes(field);
+            });
+        }
+    }
+
+    static fromFile(filePath) {
+        return new ColumnMapping(readConfigFile(filePath), filePath);
+    }
+
+    // Resolves each field to the first candidate column present in `available`.
+    // Throws when a required field (other than those in `optional`) has no column.
+    resolve(available, source, { optional = [] } = {}) {
+        const present = new Set(available);
+        const resolved = {};
+        const missingRequired = [];
+        const missingOptional = [];
+
+        Object.entries(this.fields).forEach(([field, entry]) => {
+            const column = entry.columns.find(candidate => present.has(candidate));
+            if (column !== undefined) {
+                resolved[field] = column;
+            } else if (entry.required && !optional.includes(field)) {
+                missingRequired.push(`${field} (${entry.columns.join(' | ')})`);
+            } else if (!FIELDS[field].quiet) {
+                missingOptional.push(field);
+            }
+        });
+
+        if (missingRequired.length > 0) {
+            throw new AnalyzerError(
+                `${source} is missing required column(s): ${missingRequired.join(', ')}. ` +
+                'Update the column mapping file if the export schema changed.',
+                EXIT_CODES.INVALID_INPUT
+            );
+        }
+        return { columns: resolved, missingOptional };
+    }
+
+    // Copies every source value and then writes mapped fields under their internal keys
+    apply(record, resolved) {
+        const issue = { ...record };
+        Object.entries(resolved.columns).forEach(([field, column]) => {
+            issue[this.fields[field].key] = record[column] === undefined ? '' : record[column];
+        });
+        return issue;
+    }
+}
+
+module.exports = {
+    ColumnMapping,
+    FIELDS
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+const path = require('path');
+const { AnalyzerError, EXIT_CODES } = require('./errors');
+
+// Reads .json config files as JSON and .yaml/.yml files with a small YAML
+// subset: nested maps, block lists ("- item", including lists of maps), inline
+// lists ([a, b]), quoted strings, numbers, booleans, null and # comments.
+// Anchors, multi-line strings and flow maps are not supported.
+function readConfigFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        throw new AnalyzerError(`Config file not found: ${filePath}`, EXIT_CODES.CONFIG_INVALID);
+    }
+    const text = fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, '');
+    const extension = path.extname(filePath).toLowerCase();
+
+    try {
+        return extension === '.yaml' || extension === '.yml' ? parseYAML(text) : JSON.parse(text);
+    } catch (error) {
+        throw new AnalyzerError(`Could not parse config file ${filePath}: ${error.message}`, EXIT_CODES.CONFIG_INVALID);
+    }
+}
+
+function stripComment(line) {
+    let quote = null;
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') i++;
+            else if (char === quote) quote = null;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+        } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+            return line.slice(0, i);
+        }
+    }
+    return line;
+}
+
+function splitInlineList(text) {
+    const items = [];
+    let current = '';
+    let quote = null;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quote) {
+            if (char === '\\' && quote === '"') {
+                current += char + text[++i];
+                continue;
+            }
+            if (char === quote) quote = null;
+            current += char;
+        } else if (char === '"' || char === '\'') {
+            quote = char;
+            current += char;
+        } else if (char === ',') {
+            items.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (quote) throw new Error(`Unterminated quote in [${text}]`);
+    if (current.trim() !== '' || items.length > 0) items.push(current);
+    return items.map(item => parseScalar(item.trim()));
+}
+
+function parseScalar(text) {
+    if (text === '') return null;
+    if (text.startsWith('"')) {
+        if (!text.endsWith('"') || text.length < 2) throw new Error(`Unterminated string: ${text}`);
+        return JSON.parse(text);
+    }
+    if (text.startsWith('\'')) {
+        if (!text.endsWith('\'') || text.length < 2) throw new Error(`Unterminated string: ${text}`);
+        return text.slice(1, -1).replace(/''/g, '\'');
+    }
+    if (text.startsWith('[')) {
+        if (!text.endsWith(']')) throw new Error(`Unterminated list: ${text}`);
+        return splitInlineList(text.slice(1, -1));
+    }
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (text === 'null' || text === '~') return null;
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return text;
+}
+
+function parseYAML(text) {
+    const lines = text.split(/\r?\n/)
+        .map((raw, index) => {
+            const content = stripComment(raw).replace(/\s+$/, '');
+            if (/^\s*\t/.test(content)) throw new Error(`Tabs are not allowed for indentation (line ${index + 1})`);
+            return { indent: content.length - content.trimStart().length, text: content.trim(), number: index + 1 };
+        })
+        .filter(line => line.text !== '' && line.text !== '---');
+
+    if (lines.length === 0) return {};
+    const [value, next] = parseBlock(lines, 0, lines[0].indent);
+    if (next < lines.length) {
+        throw new Error(`Unexpected indentation at line ${lines[next].number}`);
+    }
+    return value;
+}
+
+function parseBlock(lines, start, indent) {
+    return lines[start].text.startsWith('- ') || lines[start].text === '-'
+        ? parseList(lines, start, indent)
+        : parseMap(lines, start, indent);
+}
+
+function parseList(lines, start, indent) {
+    const list = [];
+    let i = start;
+    while (i < lines.length && lines[i].indent === indent && (lines[i].text.startsWith('- ') || lines[i].text === '-')) {
+        const itemText = lines[i].text.slice(1).trim();
+        if (itemText === '') {
+            if (i + 1 < lines.length && lines[i + 1].indent > indent) {
+                const [value, next] = parseBlock(lines, i + 1, lines[i + 1].indent);
+                list.push(value);
+                i = next;
+            } else {
+                list.push(null);
+                i++;
+            }
+        } else if (/^[^'"[][^:]*:(\s|$)/.test(itemText)) {
+            // "- key: value" starts a map whose keys line up after the dash
+            const itemIndent = indent + (lines[i].text.length - itemText.length);
+            lines[i] = { ...lines[i], indent: itemIndent, text: itemText };
+            const [value, next] = parseMap(lines, i, itemIndent);
+            list.push(value);
+            i = next;
+        } else {
+            list.push(parseScalar(itemText));
+            i++;
+        }
+    }
+    return [list, i];
+}
+
+function parseMap(lines, start, indent) {
+    const map = {};
+    let i = start;
+    while (i < lines.length && lines[i].indent === indent) {
+        const line = lines[i];
+        const match = line.text.match(/^("[^"]*"|'[^']*'|[^:]+?)\s*:(?:\s+(.*))?$/);
+        if (!match) throw new Error(`Expected "key: value" at line ${line.number}`);
+        const key = String(parseScalar(match[1]));
+
+        if (match[2] !== undefined && match[2] !== '') {
+            map[key] = parseScalar(match[2]);
+            i++;
+        } else if (i + 1 < lines.length && lines[i + 1].indent > indent) {
+            const [value, next] = parseBlock(lines, i + 1, lines[i + 1].indent);
+            map[key] = value;
+            i = next;
+        } else if (i + 1 < lines.length && lines[i + 1].indent === indent && lines[i + 1].text.startsWith('- ')) {
+            // Block lists may sit at the same indentation as their key
+            const [value, next] = parseList(lines, i + 1, indent);
+            map[key] = value;
+            i = next;
+        } else {
+            map[key] = null;
+            i++;
+        }
+    }
+    if (i < lines.length && lines[i].indent > indent) {
+        throw new Error(`Unexpected indentation at line ${lines[i].number}`);
+    }
+    return [map, i];
+}
+
+module.exports = {
+    readConfigFile,
+    parseYAML
+};
@@ -0,0 +1,120 @@
+// Approximate centroids (latitude, longitude) of ISO 3166-1 alpha-2 countries,
+// used only to lay out the tile grid map
+const CENTROIDS = {
+    // Europe
+    AD: [42.5, 1.5], AL: [41, 20], AT: [47.5, 14.5], BA: [44, 18], BE: [50.8, 4.5], BG: [42.7, 25.5],
+    BY: [53.7, 28], CH: [46.8, 8.2], CY: [35, 33], CZ: [49.8, 15.5], DE: [51, 10.5], DK: [56, 10],
+    EE: [58.7, 25.5], ES: [40, -4], FI: [64, 26], FR: [46.5, 2.5], GB: [54, -2], GR: [39, 22],
+    HR: [45.2, 15.5], HU: [47, 19.5], IE: [53, -8], IS: [65, -18], IT: [42.8, 12.5], LI: [47.2, 9.5],
+    LT: [55.2, 24], LU: [49.8, 6.1], LV: [57, 25], MC: [43.7, 7.4], MD: [47, 28.5], ME: [42.7, 19.3],
+    MK: [41.6, 21.7], MT: [35.9, 14.4], NL: [52.2, 5.5], NO: [61, 9], PL: [52, 19.5], PT: [39.5, -8],
+    RO: [46, 25], RS: [44, 21], RU: [58, 60], SE: [62, 15], SI: [46.1, 14.8], SK: [48.7, 19.5],
+    SM: [43.9, 12.5], UA: [49, 32], XK: [42.6, 20.9],
+    // Middle East and Central Asia
+    AE: [24, 54], AF: [33, 66], AM: [40, 45], AZ: [40.5, 47.5], BH: [26, 50.5], GE: [42, 43.5],
+    IL: [31.5, 35], IQ: [33, 44], IR: [32, 53], JO: [31, 36], KG: [41.5, 75], KW: [29.3, 47.6],
+    KZ: [48, 67], LB: [33.9, 35.9], OM: [21, 57], PS: [31.9, 35.2], QA: [25.3, 51.2], SA: [24, 45],
+    SY: [35, 38], TJ: [39, 71], TM: [39, 59.5], TR: [39, 35], UZ: [41.5, 64], YE: [15.5, 48],
+    // Asia
+    BD: [24, 90], BN: [4.5, 114.7], BT: [27.5, 90.5], CN: [35, 103], HK: [22.3, 114.2], ID: [-2, 118],
+    IN: [22, 79], JP: [36, 138], KH: [12.5, 105], KP: [40, 127], KR: [36.5, 128], LA: [18, 103],
+    LK: [7.8, 80.7], MM: [21, 96], MN: [46.8, 103], MO: [22.2, 113.5], MV: [3.2, 73.2], MY: [3.8, 102],
+    NP: [28.2, 84], PH: [12.5, 122], PK: [30, 70], SG: [1.35, 103.8], TH: [15, 101], TL: [-8.8, 125.7],
+    TW: [23.7, 121], VN: [16, 107],
+    // Oceania
+    AU: [-25, 134], FJ: [-17.8, 178], NC: [-21.3, 165.5], NZ: [-41, 174], PF: [-17.6, -149.4],
+    PG: [-6.5, 145], SB: [-9.5, 160], TO: [-21.2, -175.2], VU: [-16, 167], WS: [-13.7, -172],
+    // Africa
+    AO: [-12.3, 17.5], BF: [12.3, -1.7], BI: [-3.4, 29.9], BJ: [9.3, 2.3], BW: [-22.3, 24.7],
+    CD: [-2.9, 23.6], CF: [6.6, 20.9], CG: [-0.7, 15.2], CI: [7.5, -5.5], CM: [5.7, 12.7], CV: [16, -24],
+    DJ: [11.8, 42.6], DZ: [28, 2.6], EG: [26.5, 30], EH: [24.5, -13], ER: [15.2, 39.8], ET: [8.6, 39.6],
+    GA: [-0.6, 11.6], GH: [7.9, -1], GM: [13.4, -15.4], GN: [10.4, -10.9], GQ: [1.6, 10.3], GW: [12, -15],
+    KE: [0.5, 37.9], KM: [-11.9, 43.9], LR: [6.4, -9.4], LS: [-29.6, 28.2], LY: [27, 17], MA: [31.8, -7],
+    MG: [-19.4, 46.7], ML: [17.3, -3.5], MR: [20.2, -10.3], MU: [-20.3, 57.6], MW: [-13.2, 34.3],
+    MZ: [-17.3, 35.5], NA: [-22.1, 17.2], NE: [17.4, 9.4], NG: [9.6, 8.1], RE: [-21.1, 55.5], RW: [-2, 29.9],
+    SC: [-4.7, 55.5], SD: [16, 30], SL: [8.6, -11.8], SN: [14.4, -14.5], SO: [6, 46], SS: [7.3, 30.3],
+    ST: [0.2, 6.6], SZ: [-26.5, 31.5], TD: [15.3, 18.7], TG: [8.5, 0.9], TN: [34, 9.6], TZ: [-6.3, 34.8],
+    UG: [1.3, 32.4], ZA: [-29, 25], ZM: [-13.5, 27.8], ZW: [-19, 29.8],
+    // Americas
+    AG: [17.1, -61.8], AR: [-35, -65], AW: [12.5, -70], BB: [13.2, -59.5], BM: [32.3, -64.8], BO: [-16.7, -64.7],
+    BR: [-10, -53], BS: [24.5, -77.5], BZ: [17.2, -88.7], CA: [56, -100], CL: [-30, -71], CO: [4, -73],
+    CR: [9.9, -84.2], CU: [21.6, -79], CW: [12.2, -69], DM: [15.4, -61.3], DO: [18.8, -70.5], EC: [-1.5, -78.4],
+    GD: [12.1, -61.7], GF: [4, -53], GL: [72, -40], GP: [16.2, -61.6], GT: [15.7, -90.3], GY: [4.8, -58.9],
+    HN: [14.8, -86.6], HT: [19, -72.7], JM: [18.1, -77.3], KN: [17.3, -62.7], KY: [19.3, -81.3], LC: [13.9, -61],
+    MQ: [14.6, -61], MX: [23, -102], NI: [12.9, -85], PA: [8.5, -80], PE: [-9.2, -75], PR: [18.2, -66.5],
+    PY: [-23.2, -58.4], SR: [4, -56], SV: [13.8, -88.9], TT: [10.5, -61.3], US: [39, -98], UY: [-32.8, -56],
+    VC: [13.2, -61.2], VE: [7, -66]
+};
+// Degrees of longitude and latitude per tile
+const TILE_DEGREES = 5;
+
+let tiles = null;
+
+// Nearest cell to `target` that is not taken, by straight-line distance
+function nearestFreeCell(target, taken) {
+    let best = null;
+    for (let radius = 0; best === null || radius * radius <= best.distance; radius++) {
+        for (let dRow = -radius; dRow <= radius; dRow++) {
+            for (let dCol = -radius; dCol <= radius; dCol++) {
+                if (Math.max(Math.abs(dRow), Math.abs(dCol)) !== radius) continue;
+                const col = target.col + dCol;
+                const row = target.row + dRow;
+                const distance = (col - target.x) ** 2 + (row - target.y) ** 2;
+                if (!taken.has(`${col}:${row}`) && (best === null || distance < best.distance)) {
+                    best = { col, row, distance };
+                }
+            }
+        }
+    }
+    return best;
+}
+
+// Snaps each centroid to a grid cell. Countries are placed greedily, the one
+// closest to a free cell first, so crowded regions spread out around their
+// real position. Returns { [code]: { col, row } } with both starting at 0.
+function countryTiles() {
+    if (tiles) return tiles;
+    const taken = new Set();
+    const placed = {};
+    let pending = Object.keys(CENTROIDS).sort().map(code => {
+        const [lat, lon] = CENTROIDS[code];
+        const x = (lon + 180) / TILE_DEGREES;
+        const y = (90 - lat) / TILE_DEGREES;
+        return { code, x, y, col: Math.round(x), row: Math.round(y) };
+    });
+    while (pending.length > 0) {
+        let next = null;
+        pending.forEach(target => {
+            const cell = nearestFreeCell(target, taken);
+            if (next === null || cell.distance < next.cell.distance) next = { target, cell };
+        });
+        taken.add(`${next.cell.col}:${next.cell.row}`);
+        placed[next.target.code] = { col: next.cell.col, row: next.cell.row };
+        pending = pending.filter(target => target !== next.target);
+    }
+    const minCol = Math.min(...Object.values(placed).map(tile => tile.col));
+    const minRow = Math.min(...Object.values(placed).map(tile => tile.row));
+    tiles = {};
+    Object.entries(placed).forEach(([code, tile]) => {
+        tiles[code] = { col: tile.col - minCol, row: tile.row - minRow };
+    });
+    return tiles;
+}
+
+let displayNames;
+
+// English country name for an alpha-2 code, or the code itself when unknown
+function countryName(code) {
+    if (!/^[A-Z]{2}$/i.test(code)) return code;
+    try {
+        displayNames = displayNames || new Intl.DisplayNames(['en'], { type: 'region' });
+        return displayNames.of(code.toUpperCase()) || code;
+    } catch (error) {
+        return code;
+    }
+}
+
+module.exports = {
+    countryTiles,
+    countryName
+};
@@ -0,0 +1,145 @@
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+
+const CHUNK_SIZE = 64 * 1024;
+
+// Incremental RFC 4180 parser: feed it text in arbitrary chunks and it calls
+// onRecord(fields, info) once per complete record. Quoted fields may contain
+// delimiters, escaped quotes ("") and line breaks; CRLF, LF and bare CR all end
+// a record. info.line is the physical line the record started on.
+class CSVParser {
+    constructor(options = {}, onRecord) {
+        this.delimiter = options.delimiter || ',';
+        this.quote = options.quote || '"';
+        this.onRecord = onRecord;
+
+        this.field = '';
+        this.record = [];
+        this.inQuotes = false;
+        this.afterQuote = false;
+        this.prevChar = '';
+        this.atStart = true;
+        this.line = 1;
+        this.recordLine = 1;
+        this.recordCount = 0;
+    }
+
+    write(text) {
+        let i = 0;
+        if (this.atStart && text.length > 0) {
+            if (text.charCodeAt(0) === 0xFEFF) i = 1;
+            this.atStart = false;
+        }
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+            const prevChar = this.prevChar;
+            this.prevChar = char;
+
+            if (char === '\r' || (char === '\n' && prevChar !== '\r')) {
+                this.line++;
+            }
+
+            if (this.inQuotes) {
+                if (char === this.quote) {
+                    this.inQuotes = false;
+                    this.afterQuote = true;
+                } else {
+                    this.field += char;
+                }
+                continue;
+            }
+
+            if (this.afterQuote) {
+                this.afterQuote = false;
+                if (char === this.quote) {
+                    // Escaped quote inside a quoted field
+                    this.field += char;
+                    this.inQuotes = true;
+                    continue;
+                }
+            }
+
+            if (char === this.quote && this.field === '') {
+                this.inQuotes = true;
+            } else if (char === this.delimiter) {
+                this.record.push(this.field);
+                this.field = '';
+            } else if (char === '\n' && prevChar === '\r') {
+                // Second half of CRLF; the record already ended on CR
+            } else if (char === '\r' || char === '\n') {
+                this.endRecord();
+            } else {
+                this.field += char;
+            }
+        }
+    }
+
+    end(text = '') {
+        this.write(text);
+        const unterminated = this.inQuotes;
+        this.inQuotes = false;
+        this.afterQuote = false;
+        if (this.field !== '' || this.record.length > 0) {
+            this.emit(unterminated ? { unterminatedQuote: true } : {});
+        }
+        return this.recordCount;
+    }
+
+    endRecord() {
+        // Blank lines produce no record
+        if (this.field !== '' || this.record.length > 0) {
+            this.emit({});
+        }
+        this.recordLine = this.line;
+    }
+
+    emit(extra) {
+        this.record.push(this.field);
+        const fields = this.record;
+        this.field = '';
+        this.record = [];
+        this.recordCount++;
+        this.onRecord(fields, { line: this.recordLine, ...extra });
+    }
+}
+
+// Decodes a UTF-8 file in fixed-size chunks so memory use stays flat
+// regardless of file size. onText is called with each decoded chunk.
+function readTextChunks(filePath, onText) {
+    const decoder = new StringDecoder('utf8');
+    const buffer = Buffer.alloc(CHUNK_SIZE);
+    const fd = fs.openSync(filePath, 'r');
+
+    try {
+        let bytesRead;
+        while ((bytesRead = fs.readSync(fd, buffer, 0, CHUNK_SIZE, null)) > 0) {
+            onText(decoder.write(buffer.subarray(0, bytesRead)));
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+
+    onText(decoder.end());
+}
+
+// Returns the number of records emitted
+function readCSVFile(filePath, options, onRecord) {
+    const parser = new CSVParser(options, onRecord);
+    readTextChunks(filePath, text => parser.write(text));
+    return parser.end();
+}
+
+function parseCSVText(text, options = {}) {
+    const records = [];
+    const parser = new CSVParser(options, fields => records.push(fields));
+    parser.end(text);
+    return records;
+}
+
+module.exports = {
+    CSVParser,
+    readTextChunks,
+    readCSVFile,
+    parseCSVText
+};
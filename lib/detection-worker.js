@@ -0,0 +1,33 @@
+const { workerData } = require('worker_threads');
+
+// Worker side of lib/parallel-detection.js: rebuilds the analyzer's detection
+// from plain options, detects patterns for one shard, counting each issue in
+// `progress` so the main thread can tell a slow worker from a dead one, and
+// always bumps the finished counter, even on failure
+const { setup, issues, port, finished, progress, shardIndex } = workerData;
+try {
+    const { EnhancedIOSAnalyzer } = require('../enhanced-ios-analyzer');
+    const { TextClassifier } = require('./text-classifier');
+    const { foundPatterns } = require('./parallel-detection');
+
+    const analyzer = new EnhancedIOSAnalyzer({
+        patternRules: { includeDefaults: false, patterns: setup.rules },
+        classifierModel: setup.model ? new TextClassifier(setup.model) : null,
+        detection: setup.detection,
+        threshold: setup.threshold,
+        primaryPattern: setup.primaryPattern,
+        logger: null
+    });
+    port.postMessage({
+        results: issues.map(issue => {
+            const found = foundPatterns(analyzer.detectSpecificPatterns(issue));
+            Atomics.add(progress, shardIndex, 1);
+            return found;
+        })
+    });
+} catch (error) {
+    port.postMessage({ error: error.message });
+} finally {
+    Atomics.add(finished, 0, 1);
+    Atomics.notify(finished, 0);
+}
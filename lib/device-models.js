@@ -0,0 +1,165 @@
+// Hardware identifiers (as reported by uname / sysctl hw.machine) to marketing
+// name, generation family and RAM in GB of the base configuration
+const MODELS = {
+    'iPhone8,1': ['iPhone 6s', 'iPhone 6s', 2],
+    'iPhone8,2': ['iPhone 6s Plus', 'iPhone 6s', 2],
+    'iPhone8,4': ['iPhone SE (1st generation)', 'iPhone SE', 2],
+    'iPhone9,1': ['iPhone 7', 'iPhone 7', 2],
+    'iPhone9,3': ['iPhone 7', 'iPhone 7', 2],
+    'iPhone9,2': ['iPhone 7 Plus', 'iPhone 7', 3],
+    'iPhone9,4': ['iPhone 7 Plus', 'iPhone 7', 3],
+    'iPhone10,1': ['iPhone 8', 'iPhone 8', 2],
+    'iPhone10,4': ['iPhone 8', 'iPhone 8', 2],
+    'iPhone10,2': ['iPhone 8 Plus', 'iPhone 8', 3],
+    'iPhone10,5': ['iPhone 8 Plus', 'iPhone 8', 3],
+    'iPhone10,3': ['iPhone X', 'iPhone X', 3],
+    'iPhone10,6': ['iPhone X', 'iPhone X', 3],
+    'iPhone11,2': ['iPhone XS', 'iPhone XS', 4],
+    'iPhone11,4': ['iPhone XS Max', 'iPhone XS', 4],
+    'iPhone11,6': ['iPhone XS Max', 'iPhone XS', 4],
+    'iPhone11,8': ['iPhone XR', 'iPhone XR', 3],
+    'iPhone12,1': ['iPhone 11', 'iPhone 11', 4],
+    'iPhone12,3': ['iPhone 11 Pro', 'iPhone 11', 4],
+    'iPhone12,5': ['iPhone 11 Pro Max', 'iPhone 11', 4],
+    'iPhone12,8': ['iPhone SE (2nd generation)', 'iPhone SE', 3],
+    'iPhone13,1': ['iPhone 12 mini', 'iPhone 12', 4],
+    'iPhone13,2': ['iPhone 12', 'iPhone 12', 4],
+    'iPhone13,3': ['iPhone 12 Pro', 'iPhone 12', 6],
+    'iPhone13,4': ['iPhone 12 Pro Max', 'iPhone 12', 6],
+    'iPhone14,4': ['iPhone 13 mini', 'iPhone 13', 4],
+    'iPhone14,5': ['iPhone 13', 'iPhone 13', 4],
+    'iPhone14,2': ['iPhone 13 Pro', 'iPhone 13', 6],
+    'iPhone14,3': ['iPhone 13 Pro Max', 'iPhone 13', 6],
+    'iPhone14,6': ['iPhone SE (3rd generation)', 'iPhone SE', 4],
+    'iPhone14,7': ['iPhone 14', 'iPhone 14', 6],
+    'iPhone14,8': ['iPhone 14 Plus', 'iPhone 14', 6],
+    'iPhone15,2': ['iPhone 14 Pro', 'iPhone 14', 6],
+    'iPhone15,3': ['iPhone 14 Pro Max', 'iPhone 14', 6],
+    'iPhone15,4': ['iPhone 15', 'iPhone 15', 6],
+    'iPhone15,5': ['iPhone 15 Plus', 'iPhone 15', 6],
+    'iPhone16,1': ['iPhone 15 Pro', 'iPhone 15', 8],
+    'iPhone16,2': ['iPhone 15 Pro Max', 'iPhone 15', 8],
+    'iPhone17,3': ['iPhone 16', 'iPhone 16', 8],
+    'iPhone17,4': ['iPhone 16 Plus', 'iPhone 16', 8],
+    'iPhone17,1': ['iPhone 16 Pro', 'iPhone 16', 8],
+    'iPhone17,2': ['iPhone 16 Pro Max', 'iPhone 16', 8],
+    'iPhone17,5': ['iPhone 16e', 'iPhone 16', 8],
+    'iPod9,1': ['iPod touch (7th generation)', 'iPod touch', 2],
+    'iPad7,5': ['iPad (6th generation)', 'iPad', 2],
+    'iPad7,6': ['iPad (6th generation)', 'iPad', 2],
+    'iPad7,11': ['iPad (7th generation)', 'iPad', 3],
+    'iPad7,12': ['iPad (7th generation)', 'iPad', 3],
+    'iPad11,6': ['iPad (8th generation)', 'iPad', 3],
+    'iPad11,7': ['iPad (8th generation)', 'iPad', 3],
+    'iPad12,1': ['iPad (9th generation)', 'iPad', 3],
+    'iPad12,2': ['iPad (9th generation)', 'iPad', 3],
+    'iPad13,18': ['iPad (10th generation)', 'iPad', 4],
+    'iPad13,19': ['iPad (10th generation)', 'iPad', 4],
+    'iPad11,1': ['iPad mini (5th generation)', 'iPad mini', 3],
+    'iPad11,2': ['iPad mini (5th generation)', 'iPad mini', 3],
+    'iPad14,1': ['iPad mini (6th generation)', 'iPad mini', 4],
+    'iPad14,2': ['iPad mini (6th generation)', 'iPad mini', 4],
+    'iPad11,3': ['iPad Air (3rd generation)', 'iPad Air', 3],
+    'iPad11,4': ['iPad Air (3rd generation)', 'iPad Air', 3],
+    'iPad13,1': ['iPad Air (4th generation)', 'iPad Air', 4],
+    'iPad13,2': ['iPad Air (4th generation)', 'iPad Air', 4],
+    'iPad13,16': ['iPad Air (5th generation)', 'iPad Air', 8],
+    'iPad13,17': ['iPad Air (5th generation)', 'iPad Air', 8],
+    'iPad8,1': ['iPad Pro 11-inch (1st generation)', 'iPad Pro', 4],
+    'iPad8,2': ['iPad Pro 11-inch (1st generation)', 'iPad Pro', 4],
+    'iPad8,3': ['iPad Pro 11-inch (1st generation)', 'iPad Pro', 4],
+    'iPad8,4': ['iPad Pro 11-inch (1st generation)', 'iPad Pro', 4],
+    'iPad8,5': ['iPad Pro 12.9-inch (3rd generation)', 'iPad Pro', 4],
+    'iPad8,6': ['iPad Pro 12.9-inch (3rd generation)', 'iPad Pro', 4],
+    'iPad8,7': ['iPad Pro 12.9-inch (3rd generation)', 'iPad Pro', 4],
+    'iPad8,8': ['iPad Pro 12.9-inch (3rd generation)', 'iPad Pro', 4],
+    'iPad8,9': ['iPad Pro 11-inch (2nd generation)', 'iPad Pro', 6],
+    'iPad8,10': ['iPad Pro 11-inch (2nd generation)', 'iPad Pro', 6],
+    'iPad8,11': ['iPad Pro 12.9-inch (4th generation)', 'iPad Pro', 6],
+    'iPad8,12': ['iPad Pro 12.9-inch (4th generation)', 'iPad Pro', 6],
+    'iPad13,4': ['iPad Pro 11-inch (3rd generation)', 'iPad Pro', 8],
+    'iPad13,5': ['iPad Pro 11-inch (3rd generation)', 'iPad Pro', 8],
+    'iPad13,6': ['iPad Pro 11-inch (3rd generation)', 'iPad Pro', 8],
+    'iPad13,7': ['iPad Pro 11-inch (3rd generation)', 'iPad Pro', 8],
+    'iPad13,8': ['iPad Pro 12.9-inch (5th generation)', 'iPad Pro', 8],
+    'iPad13,9': ['iPad Pro 12.9-inch (5th generation)', 'iPad Pro', 8],
+    'iPad13,10': ['iPad Pro 12.9-inch (5th generation)', 'iPad Pro', 8],
+    'iPad13,11': ['iPad Pro 12.9-inch (5th generation)', 'iPad Pro', 8],
+    'iPad14,3': ['iPad Pro 11-inch (4th generation)', 'iPad Pro', 8],
+    'iPad14,4': ['iPad Pro 11-inch (4th generation)', 'iPad Pro', 8],
+    'iPad14,5': ['iPad Pro 12.9-inch (6th generation)', 'iPad Pro', 8],
+    'iPad14,6': ['iPad Pro 12.9-inch (6th generation)', 'iPad Pro', 8]
+};
+const SIMULATORS = ['i386', 'x86_64', 'arm64'];
+const IDENTIFIER = /^(iPhone|iPad|iPod)\d+,\d+$/i;
+
+const RAM_TIERS = [[2, '≤2 GB'], [3, '3 GB'], [4, '4 GB'], [6, '6 GB'], [Infinity, '8 GB+']];
+const STORAGE_TIERS = [[32, '≤32 GB'], [64, '64 GB'], [128, '128 GB'], [256, '256 GB'], [Infinity, '512 GB+']];
+
+const MODEL_INDEX = new Map(Object.keys(MODELS).map(identifier => [identifier.toLowerCase(), identifier]));
+
+// Generation family of a marketing name: "iPhone 12 Pro Max" -> "iPhone 12"
+function familyOf(name) {
+    const match = name.match(/^(iPhone (?:\d+|X[SR]?|SE)|iPad (?:mini|Air|Pro)|iPad|iPod touch)\b/i);
+    return match ? match[1] : 'Other';
+}
+
+// Resolves a raw device value to { identifier, name, family, ramGB }. Unknown
+// hardware identifiers keep their product line as the family; marketing names
+// pass through. Returns null for an empty value.
+function resolveDevice(value) {
+    const raw = String(value || '').trim();
+    if (!raw) return null;
+    const identifier = MODEL_INDEX.get(raw.toLowerCase());
+    if (identifier) {
+        const [name, family, ramGB] = MODELS[identifier];
+        return { identifier, name, family, ramGB };
+    }
+    if (SIMULATORS.includes(raw.toLowerCase())) {
+        return { identifier: raw, name: 'Simulator', family: 'Simulator', ramGB: null };
+    }
+    if (IDENTIFIER.test(raw)) {
+        const line = raw.match(IDENTIFIER)[1];
+        const product = line.toLowerCase() === 'ipod' ? 'iPod touch' : `iP${line.slice(2).toLowerCase()}`;
+        return { identifier: raw, name: `${product} (${raw})`, family: product, ramGB: null };
+    }
+    return { identifier: null, name: raw, family: familyOf(raw), ramGB: null };
+}
+
+// Parses "3", "3 GB", "3072 MB" or a byte count into GB; null when unreadable.
+// Bare numbers over `maxGigabytes` are taken as MB and over a million as bytes.
+function parseGigabytes(value, { maxGigabytes = 64 } = {}) {
+    const match = String(value || '').trim().match(/^(\d+(?:\.\d+)?)\s*(tb|gb|g|mb|m|kb|k|b)?$/i);
+    if (!match) return null;
+    const amount = Number(match[1]);
+    const unit = (match[2] || '').toLowerCase();
+    if (unit.startsWith('t')) return amount * 1024;
+    if (unit.startsWith('g')) return amount;
+    if (unit.startsWith('m')) return amount / 1024;
+    if (unit.startsWith('k')) return amount / (1024 * 1024);
+    if (unit === 'b' || amount > 1e6) return amount / (1024 ** 3);
+    return amount > maxGigabytes ? amount / 1024 : amount;
+}
+
+function tierOf(gigabytes, tiers) {
+    if (gigabytes === null || gigabytes === undefined) return null;
+    // Reported RAM sits a little under the nominal size
+    return tiers.find(([limit]) => gigabytes <= limit * 1.05)[1];
+}
+
+function ramTier(gigabytes) {
+    return tierOf(gigabytes, RAM_TIERS);
+}
+
+function storageTier(gigabytes) {
+    return tierOf(gigabytes, STORAGE_TIERS);
+}
+
+module.exports = {
+    resolveDevice,
+    parseGigabytes,
+    ramTier,
+    storageTier,
+    RAM_TIERS,
+    STORAGE_TIERS
+};
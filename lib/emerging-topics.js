@@ -0,0 +1,137 @@
+const { tokenize, issueText } = require('./text-classifier');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BASELINE_WEEKS = 4;
+const MIN_COUNT = 3;
+const MIN_GROWTH = 2;
+const MAX_TOPICS = 15;
+const MAX_SAMPLES = 3;
+
+// Words too common to name a topic on their own. Word pairs are kept unless
+// both halves are listed here.
+const STOPWORDS = new Set([
+    'a', 'about', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+    'be', 'been', 'before', 'being', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+    'even', 'every', 'for', 'from', 'get', 'got', 'had', 'has', 'have', 'he', 'her', 'here', 'him',
+    'his', 'how', 'i', 'i\'m', 'if', 'in', 'into', 'is', 'it', 'it\'s', 'its', 'just', 'me', 'more',
+    'my', 'no', 'not', 'now', 'of', 'on', 'once', 'only', 'or', 'other', 'our', 'out', 'please',
+    'so', 'some', 'still', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+    'they', 'this', 'to', 'too', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+    'while', 'who', 'why', 'will', 'with', 'would', 'you', 'your',
+    'app', 'game', 'issue', 'problem', 'help', 'hi', 'hello', 'thanks'
+]);
+
+function isUsefulTerm(term) {
+    const words = term.split(' ');
+    if (words.every(word => STOPWORDS.has(word) || /^\d+$/.test(word))) return false;
+    return words.length > 1 || Array.from(term).length >= 3 || /[^\u0000-\u024F]/.test(term);
+}
+
+// Monday of the week containing a YYYY-MM-DD date, or null when unparseable
+function weekStart(dateText) {
+    const time = Date.parse(String(dateText || '').slice(0, 10));
+    if (isNaN(time)) return null;
+    const dayOfWeek = (new Date(time).getUTCDay() + 6) % 7;
+    return new Date(time - dayOfWeek * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Days since the epoch for a YYYY-MM-DD date, or null when unparseable
+function dayNumber(dateText) {
+    const time = Date.parse(String(dateText || '').slice(0, 10));
+    return isNaN(time) ? null : Math.floor(time / DAY_MS);
+}
+
+function dayDate(day) {
+    return new Date(day * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Finds terms and word pairs whose issue count in the last 7 days of the data
+// rose well above the average of the BASELINE_WEEKS 7-day periods before it.
+// Periods are counted back from the latest date rather than by calendar week,
+// so an export taken mid-week still compares seven days with seven days; only
+// periods the export fully covers are used as baseline. Meant for issues no
+// pattern matched, so new event names, devices or features show up before
+// anyone writes a rule. A term counts once per issue.
+function findEmergingTopics(issues, { minCount = MIN_COUNT, minGrowth = MIN_GROWTH, maxTopics = MAX_TOPICS } = {}) {
+    const days = issues.map(issue => dayNumber(issue.d_created_date));
+    const known = days.filter(day => day !== null);
+    if (known.length === 0) {
+        return { currentWeek: null, latestDate: null, baselineWeeks: [], issues: issues.length, topics: [] };
+    }
+    const latest = known.reduce((max, day) => Math.max(max, day));
+    const earliest = known.reduce((min, day) => Math.min(min, day));
+    // Period 0 is the last 7 days, period 1 the 7 before that, and so on
+    const periodStart = period => dayDate(latest - 7 * period - 6);
+    const baselineCount = Math.max(0, Math.min(BASELINE_WEEKS, Math.floor((latest - earliest + 1) / 7) - 1));
+    const currentWeek = periodStart(0);
+    const baselineWeeks = Array.from({ length: baselineCount }, (_, index) => periodStart(baselineCount - index));
+    if (baselineCount === 0) {
+        return { currentWeek, latestDate: dayDate(latest), baselineWeeks, issues: issues.length, topics: [] };
+    }
+
+    const terms = new Map();
+    issues.forEach((issue, index) => {
+        if (days[index] === null) return;
+        const period = Math.floor((latest - days[index]) / 7);
+        if (period > baselineCount) return;
+        const week = periodStart(period);
+        new Set(tokenize(issueText(issue))).forEach(term => {
+            if (!isUsefulTerm(term)) return;
+            if (!terms.has(term)) terms.set(term, { weeks: {}, samples: [] });
+            const entry = terms.get(term);
+            entry.weeks[week] = (entry.weeks[week] || 0) + 1;
+            if (week === currentWeek && entry.samples.length < MAX_SAMPLES) {
+                entry.samples.push(issue);
+            }
+        });
+    });
+
+    const candidates = [];
+    terms.forEach((entry, term) => {
+        const current = entry.weeks[currentWeek] || 0;
+        if (current < minCount) return;
+        const baseline = baselineWeeks.reduce((sum, week) => sum + (entry.weeks[week] || 0), 0) / baselineWeeks.length;
+        // +1 keeps brand-new terms finite and damps noise from rare ones
+        const growth = (current + 1) / (baseline + 1);
+        if (growth < minGrowth) return;
+        candidates.push({
+            term,
+            current,
+            baseline,
+            growth,
+            isNew: baseline === 0,
+            score: current * Math.log(growth),
+            weekly: [...baselineWeeks, currentWeek].map(week => ({ week, count: entry.weeks[week] || 0 })),
+            samples: entry.samples.map(issue => ({
+                id: issue.s_issue_id || '',
+                title: issue.s_issue_title || issue.s_messages || '',
+                date: String(issue.d_created_date || '').slice(0, 10)
+            }))
+        });
+    });
+
+    // A single word that only rises as part of a selected pair adds nothing;
+    // pairs win ties since they read as a topic
+    const topics = [];
+    candidates
+        .sort((a, b) => b.score - a.score ||
+            b.term.split(' ').length - a.term.split(' ').length ||
+            a.term.localeCompare(b.term))
+        .forEach(candidate => {
+            if (topics.length >= maxTopics) return;
+            const covered = topics.some(topic => {
+                const [shorter, longer] = topic.term.length < candidate.term.length ? [topic, candidate] : [candidate, topic];
+                return longer.term.split(' ').length > 1 &&
+                    longer.term.split(' ').includes(shorter.term) &&
+                    shorter.current <= longer.current * 1.25;
+            });
+            if (!covered) topics.push(candidate);
+        });
+
+    return { currentWeek, latestDate: dayDate(latest), baselineWeeks, issues: issues.length, topics };
+}
+
+module.exports = {
+    findEmergingTopics,
+    weekStart
+};
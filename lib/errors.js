@@ -0,0 +1,23 @@
+const EXIT_CODES = {
+    OK: 0,
+    ERROR: 1,
+    USAGE: 2,
+    INPUT_NOT_FOUND: 3,
+    NO_ISSUES: 4,
+    INVALID_INPUT: 5,
+    CONFIG_INVALID: 6,
+    EVALUATION_FAILED: 7
+};
+
+class AnalyzerError extends Error {
+    constructor(message, exitCode = EXIT_CODES.ERROR) {
+        super(message);
+        this.name = 'AnalyzerError';
+        this.exitCode = exitCode;
+    }
+}
+
+module.exports = {
+    AnalyzerError,
+    EXIT_CODES
+};
@@ -0,0 +1,188 @@
+const NONE = '(none)';
+const MAX_LISTED_ERRORS = 10;
+
+// Expected labels may be a JSON array or ids separated by ; , or |.
+// "none" or "-" means the issue should match no pattern.
+function parseLabels(value, knownIds) {
+    const text = String(value || '').trim();
+    let labels;
+    if (text.startsWith('[')) {
+        try {
+            labels = JSON.parse(text);
+        } catch (error) {
+            labels = text.replace(/[[\]"]/g, '').split(',');
+        }
+    } else {
+        labels = text.split(/[;,|]/);
+    }
+
+    const byLowerCase = new Map(knownIds.map(id => [id.toLowerCase(), id]));
+    return [...new Set(labels
+        .map(label => String(label).trim())
+        .filter(label => label !== '' && !['none', '-'].includes(label.toLowerCase()))
+        .map(label => byLowerCase.get(label.toLowerCase()) || label))];
+}
+
+function ratio(numerator, denominator) {
+    return denominator > 0 ? numerator / denominator : 0;
+}
+
+function f1(precision, recall) {
+    return precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : 0;
+}
+
+// Scores detection against hand labels. `cases` is a list of
+// { id, title, expected: [patternId], predicted: [patternId] }.
+//
+// Confusion matrix rows are expected patterns and columns predicted ones. A
+// correctly found label counts on the diagonal; a missed label counts against
+// each wrongly predicted pattern on the same issue, or against (none) when
+// nothing else was predicted. Wrong predictions on issues labeled with no
+// pattern count in the (none) row.
+function evaluateDetection(cases, patternIds) {
+    const ids = [...new Set([...patternIds, ...cases.flatMap(item => [...item.expected, ...item.predicted])])];
+    const perPattern = {};
+    ids.forEach(id => {
+        perPattern[id] = { truePositives: 0, falsePositives: [], falseNegatives: [], support: 0 };
+    });
+
+    const labels = [...ids, NONE];
+    const matrix = {};
+    labels.forEach(row => {
+        matrix[row] = {};
+        labels.forEach(column => {
+            matrix[row][column] = 0;
+        });
+    });
+
+    let exactMatches = 0;
+    cases.forEach(item => {
+        const expected = new Set(item.expected);
+        const predicted = new Set(item.predicted);
+        const extra = item.predicted.filter(id => !expected.has(id));
+        const example = { id: item.id, title: item.title, expected: item.expected, predicted: item.predicted };
+
+        item.expected.forEach(id => {
+            perPattern[id].support++;
+            if (predicted.has(id)) {
+                perPattern[id].truePositives++;
+                matrix[id][id]++;
+            } else {
+                perPattern[id].falseNegatives.push(example);
+                (extra.length > 0 ? extra : [NONE]).forEach(column => {
+                    matrix[id][column]++;
+                });
+            }
+        });
+        extra.forEach(id => {
+            perPattern[id].falsePositives.push(example);
+            if (expected.size === 0) {
+                matrix[NONE][id]++;
+            }
+        });
+        if (expected.size === 0 && predicted.size === 0) {
+            matrix[NONE][NONE]++;
+        }
+        if (extra.length === 0 && item.expected.every(id => predicted.has(id))) {
+            exactMatches++;
+        }
+    });
+
+    let totalTP = 0;
+    let totalFP = 0;
+    let totalFN = 0;
+    const patterns = {};
+    ids.forEach(id => {
+        const { truePositives, falsePositives, falseNegatives, support } = perPattern[id];
+        const precision = ratio(truePositives, truePositives + falsePositives.length);
+        const recall = ratio(truePositives, truePositives + falseNegatives.length);
+        totalTP += truePositives;
+        totalFP += falsePositives.length;
+        totalFN += falseNegatives.length;
+        patterns[id] = {
+            support,
+            truePositives,
+            falsePositiveCount: falsePositives.length,
+            falseNegativeCount: falseNegatives.length,
+            precision,
+            recall,
+            f1: f1(precision, recall),
+            falsePositives,
+            falseNegatives
+        };
+    });
+
+    // Macro averages only cover patterns that appear in the labels or predictions
+    const scored = ids.filter(id => patterns[id].support > 0 || patterns[id].falsePositiveCount > 0);
+    const microPrecision = ratio(totalTP, totalTP + totalFP);
+    const microRecall = ratio(totalTP, totalTP + totalFN);
+    return {
+        cases: cases.length,
+        exactMatchRate: ratio(exactMatches, cases.length),
+        micro: { precision: microPrecision, recall: microRecall, f1: f1(microPrecision, microRecall) },
+        macro: {
+            precision: ratio(scored.reduce((sum, id) => sum + patterns[id].precision, 0), scored.length),
+            recall: ratio(scored.reduce((sum, id) => sum + patterns[id].recall, 0), scored.length),
+            f1: ratio(scored.reduce((sum, id) => sum + patterns[id].f1, 0), scored.length)
+        },
+        patterns,
+        confusionMatrix: { labels, counts: matrix }
+    };
+}
+
+function percent(value) {
+    return `${(value * 100).toFixed(1)}%`.padStart(7);
+}
+
+function describeCase(item) {
+    const title = item.title.length > 70 ? `${item.title.slice(0, 70)}…` : item.title;
+    return `${item.id}: "${title}" expected [${item.expected.join(', ')}] got [${item.predicted.join(', ')}]`;
+}
+
+function formatEvaluation(results) {
+    const lines = [];
+    const ids = Object.keys(results.patterns);
+    const width = Math.max(...ids.map(id => id.length), NONE.length, 7);
+
+    lines.push(`Evaluated ${results.cases} labeled issues (exact match ${percent(results.exactMatchRate).trim()})`);
+    lines.push('');
+    lines.push(`${'Pattern'.padEnd(width)}  Support       TP   FP   FN  Precision  Recall      F1`);
+    ids.forEach(id => {
+        const p = results.patterns[id];
+        lines.push(`${id.padEnd(width)}  ${String(p.support).padStart(7)}  ${String(p.truePositives).padStart(7)} ` +
+            `${String(p.falsePositiveCount).padStart(4)} ${String(p.falseNegativeCount).padStart(4)}    ` +
+            `${percent(p.precision)} ${percent(p.recall)} ${percent(p.f1)}`);
+    });
+    lines.push(`${'micro avg'.padEnd(width)}  ${''.padStart(26)}    ${percent(results.micro.precision)} ${percent(results.micro.recall)} ${percent(results.micro.f1)}`);
+    lines.push(`${'macro avg'.padEnd(width)}  ${''.padStart(26)}    ${percent(results.macro.precision)} ${percent(results.macro.recall)} ${percent(results.macro.f1)}`);
+
+    const { labels, counts } = results.confusionMatrix;
+    const cell = Math.max(5, String(labels.length).length + 3);
+    lines.push('');
+    lines.push('Confusion matrix (rows: expected, columns: predicted)');
+    lines.push(`${''.padEnd(width + 4)}${labels.map((label, index) => `[${index + 1}]`.padStart(cell)).join(' ')}`);
+    labels.forEach((row, index) => {
+        lines.push(`${`[${index + 1}] ${row}`.padEnd(width + 4).slice(0, width + 4)}${labels.map(column => String(counts[row][column]).padStart(cell)).join(' ')}`);
+    });
+
+    ids.forEach(id => {
+        const p = results.patterns[id];
+        [['False positives', p.falsePositives], ['False negatives', p.falseNegatives]].forEach(([label, list]) => {
+            if (list.length === 0) return;
+            lines.push('');
+            lines.push(`${label} for ${id} (${list.length}):`);
+            list.slice(0, MAX_LISTED_ERRORS).forEach(item => lines.push(`  - ${describeCase(item)}`));
+            if (list.length > MAX_LISTED_ERRORS) {
+                lines.push(`  … ${list.length - MAX_LISTED_ERRORS} more`);
+            }
+        });
+    });
+
+    return lines.join('\n');
+}
+
+module.exports = {
+    parseLabels,
+    evaluateDetection,
+    formatEvaluation
+};
@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+const { AnalyzerError, EXIT_CODES } = require('./errors');
+
+const SCHEMA_VERSION = 1;
+// Snapshots used to judge whether a pattern is trending up or down
+const TREND_SNAPSHOTS = 6;
+// Change per snapshot, relative to the pattern's average, that counts as a trend
+const TREND_THRESHOLD = 0.1;
+
+// Aggregates of one run, small enough to keep months of them: daily totals with
+// severity and pattern counts, per-version and per-pattern totals
+function snapshotFromAnalysis(analysis, { exportDate, sources = [], platform = null } = {}) {
+    const daily = {};
+    Object.entries(analysis.dailyTrends).forEach(([date, day]) => {
+        daily[date.slice(0, 10)] = { total: day.total, severity: day.severity, patterns: day.patterns };
+    });
+    const versions = {};
+    Object.entries(analysis.versionGroups).forEach(([version, group]) => {
+        versions[version] = { count: group.count, critical: group.severityCount.critical };
+    });
+    const patterns = {};
+    Object.entries(analysis.patternAnalysis).forEach(([id, data]) => {
+        patterns[id] = { total: data.total, severity: data.severity };
+    });
+    return {
+        schema: SCHEMA_VERSION,
+        exportDate,
+        recordedAt: new Date().toISOString(),
+        sources,
+        platform,
+        totalIssues: analysis.totalIssues,
+        daily,
+        versions,
+        patterns
+    };
+}
+
+// Least-squares slope of values over their index
+function slope(values) {
+    const n = values.length;
+    const meanX = (n - 1) / 2;
+    const meanY = values.reduce((sum, value) => sum + value, 0) / n;
+    let numerator = 0;
+    let denominator = 0;
+    values.forEach((value, index) => {
+        numerator += (index - meanX) * (value - meanY);
+        denominator += (index - meanX) ** 2;
+    });
+    return denominator > 0 ? numerator / denominator : 0;
+}
+
+// Append-only history of analysis snapshots, one JSON object per line. A
+// snapshot recorded again for the same export date replaces the earlier one
+// when read, so re-running an export does not double it.
+class HistoryStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.skipped = 0;
+    }
+
+    append(snapshot) {
+        try {
+            const directory = path.dirname(this.filePath);
+            if (!fs.existsSync(directory)) fs.mkdirSync(directory, { recursive: true });
+            fs.appendFileSync(this.filePath, `${JSON.stringify(snapshot)}\n`);
+        } catch (error) {
+            throw new AnalyzerError(`Could not write history file ${this.filePath}: ${error.message}`, EXIT_CODES.ERROR);
+        }
+    }
+
+    // Snapshots sorted by export date, latest recording per date. Lines that are
+    // not valid snapshots are skipped and counted in this.skipped.
+    read() {
+        this.skipped = 0;
+        if (!fs.existsSync(this.filePath)) return [];
+        const byDate = new Map();
+        fs.readFileSync(this.filePath, 'utf8').split('\n').forEach(line => {
+            if (line.trim() === '') return;
+            let snapshot;
+            try {
+                snapshot = JSON.parse(line);
+            } catch (error) {
+                this.skipped++;
+                return;
+            }
+            if (!snapshot || snapshot.schema !== SCHEMA_VERSION || typeof snapshot.exportDate !== 'string') {
+                this.skipped++;
+                return;
+            }
+            byDate.set(snapshot.exportDate, snapshot);
+        });
+        return [...byDate.values()].sort((a, b) => a.exportDate.localeCompare(b.exportDate));
+    }
+
+    // Summary for the report: per-pattern totals at each export date, daily
+    // totals merged across snapshots (the latest export wins for a day both
+    // cover), and whether each pattern is trending down over recent snapshots
+    static summarize(snapshots) {
+        const exportDates = snapshots.map(snapshot => snapshot.exportDate);
+        const patternIds = [...new Set(snapshots.flatMap(snapshot => Object.keys(snapshot.patterns)))];
+
+        const daily = {};
+        snapshots.forEach(snapshot => {
+            Object.entries(snapshot.daily).forEach(([date, day]) => {
+                daily[date] = day.total;
+            });
+        });
+
+        const patterns = {};
+        patternIds.forEach(id => {
+            const series = snapshots.map(snapshot => (snapshot.patterns[id] ? snapshot.patterns[id].total : 0));
+            const recent = series.slice(-TREND_SNAPSHOTS);
+            const average = recent.reduce((sum, value) => sum + value, 0) / recent.length;
+            const change = average > 0 ? slope(recent) / average : 0;
+            const latest = series[series.length - 1];
+            let status = 'stable';
+            if (latest === 0 && series.some(value => value > 0)) status = 'fixed';
+            else if (recent.length >= 3 && change <= -TREND_THRESHOLD) status = 'improving';
+            else if (recent.length >= 3 && change >= TREND_THRESHOLD) status = 'worsening';
+            const severity = snapshots.map(snapshot => snapshot.patterns[id]).filter(Boolean).pop().severity;
+            patterns[id] = { severity, series, first: series.find(value => value > 0) || 0, latest, peak: Math.max(...series), change, status };
+        });
+
+        return {
+            snapshots: snapshots.length,
+            exportDates,
+            totals: snapshots.map(snapshot => snapshot.totalIssues),
+            daily,
+            patterns
+        };
+    }
+}
+
+module.exports = {
+    HistoryStore,
+    snapshotFromAnalysis
+};
@@ -0,0 +1,27 @@
+// Escaping for values placed in the HTML reports. Versions, tags, countries,
+// titles and file names come straight from user-submitted exports, and rule
+// names from config files, so every interpolated value goes through one of
+// these unless it is markup the report built itself.
+
+// Text content and quoted attribute values, in HTML and inline SVG
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// JSON for an inline <script> block. "<", ">" and "&" become \u escapes so a
+// string holding "</script>" or "<!--" cannot end the block early. U+2028 and
+// U+2029 are escaped too since older engines read them as line breaks. The
+// result parses to the same value.
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/[<>&\u2028\u2029]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, '0')}`);
+}
+
+module.exports = {
+    escapeHtml,
+    scriptJson
+};
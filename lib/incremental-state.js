@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { FIELDS } = require('./column-mapping');
+const { AnalyzerError, EXIT_CODES } = require('./errors');
+
+const SCHEMA_VERSION = 2;
+// The fields EnhancedIOSAnalyzer.foldIssue() reads; kept per counted issue so
+// the issue can be taken back out of the totals after it leaves the export
+const FACT_KEYS = [
+    'appVersion', 'createdDate', 'tags', 'osVersion', 'countryCode',
+    'deviceModel', 'deviceRam', 'deviceStorage'
+].map(field => FIELDS[field].key);
+
+function sha1(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Hash of every mapped field, so any edit to an issue marks it as changed
+function contentHash(issue) {
+    return sha1(Object.values(FIELDS).map(field => String(issue[field.key] || '')).join('\u0000'));
+}
+
+// Issues keep their tracker ID across exports; without one, identical content
+// is the same issue
+function issueKey(issue, hash) {
+    return issue.s_issue_id ? `id:${issue.s_issue_id}` : `hash:${hash}`;
+}
+
+function isObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// What an incremental run keeps between runs:
+// - `issues`: pattern detection results keyed by issue identity. An issue whose
+//   content hash is unchanged reuses its result instead of running every rule.
+// - `totals`: the analyzer's running totals (EnhancedIOSAnalyzer.emptyTotals()).
+// - `counted`: how many times each content hash was counted into `totals`,
+//   with `facts` holding what it takes to count that content back out.
+// The next run compares what it counts with `counted` and only folds the
+// difference into `totals`. Totals depend on content alone, so they are kept
+// per content hash, while the new/changed/resolved stats follow issue IDs.
+// Everything is dropped when the detection settings (rules, model, threshold)
+// differ from the run that wrote it.
+class IncrementalState {
+    constructor(filePath, fingerprint, saved = {}, { discarded = null } = {}) {
+        this.filePath = filePath;
+        this.fingerprint = fingerprint;
+        this.previous = saved.issues || {};
+        this.totals = saved.totals || null;
+        this.previousCounted = saved.totals ? saved.counted : {};
+        this.previousFacts = saved.totals ? saved.facts : {};
+        this.entries = {};
+        this.counted = {};
+        this.facts = {};
+        this.discarded = discarded;
+        this.hashes = new WeakMap();
+        this.looked = new Set();
+        this.stats = { unchanged: 0, changed: 0, new: 0, resolved: 0, folded: 0 };
+    }
+
+    static fingerprintOf(settings) {
+        return sha1(JSON.stringify(settings));
+    }
+
+    // Missing, unreadable or outdated state files start empty; `discarded`
+    // says why an existing one was not used
+    static load(filePath, fingerprint) {
+        if (!fs.existsSync(filePath)) return new IncrementalState(filePath, fingerprint);
+        let state;
+        try {
+            state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return new IncrementalState(filePath, fingerprint, {}, { discarded: `unreadable (${error.message})` });
+        }
+        const complete = state && state.schema === SCHEMA_VERSION &&
+            isObject(state.issues) && isObject(state.totals) && isObject(state.counted) && isObject(state.facts) &&
+            Object.keys(state.counted).every(hash => isObject(state.facts[hash]));
+        if (!complete) {
+            return new IncrementalState(filePath, fingerprint, {}, { discarded: 'written by an incompatible version' });
+        }
+        if (state.fingerprint !== fingerprint) {
+            return new IncrementalState(filePath, fingerprint, {}, { discarded: 'detection settings changed' });
+        }
+        return new IncrementalState(filePath, fingerprint, state);
+    }
+
+    identify(issue) {
+        if (!this.hashes.has(issue)) this.hashes.set(issue, contentHash(issue));
+        const hash = this.hashes.get(issue);
+        return { hash, key: issueKey(issue, hash) };
+    }
+
+    // Stored { patternId: confidence } for an unchanged issue, or null when the
+    // issue is new or changed and has to be detected again
+    lookup(issue) {
+        const { hash, key } = this.identify(issue);
+        const current = this.entries[key] || this.previous[key];
+        const firstLookup = !this.looked.has(key);
+        this.looked.add(key);
+        if (current && current[0] === hash) {
+            if (firstLookup) this.stats.unchanged++;
+            this.entries[key] = current;
+            return current[1];
+        }
+        if (firstLookup) {
+            this.stats[this.previous[key] ? 'changed' : 'new']++;
+        }
+        return null;
+    }
+
+    store(issue, found) {
+        const { hash, key } = this.identify(issue);
+        this.entries[key] = [hash, found];
+    }
+
+    // Compares the issues counted this run with those counted into the saved
+    // totals. Returns `added`: [index into `counted`, times] for content to
+    // fold in, and `removed`: [facts, times] for content to take back out
+    // (resolved, changed or now filtered out). Call remember() for each added one.
+    countedChanges(counted) {
+        const firstIndex = {};
+        counted.forEach((issue, index) => {
+            const { hash } = this.identify(issue);
+            if (this.counted[hash] === undefined) {
+                this.counted[hash] = 0;
+                firstIndex[hash] = index;
+            }
+            this.counted[hash]++;
+        });
+
+        const added = [];
+        const removed = [];
+        Object.entries(this.counted).forEach(([hash, times]) => {
+            const before = this.previousCounted[hash] || 0;
+            if (times > before) added.push([firstIndex[hash], times - before]);
+            if (times < before) removed.push([this.previousFacts[hash], before - times]);
+            if (before > 0) this.facts[hash] = this.previousFacts[hash];
+        });
+        Object.entries(this.previousCounted).forEach(([hash, before]) => {
+            if (this.counted[hash] === undefined) removed.push([this.previousFacts[hash], before]);
+        });
+        this.stats.folded = [...added, ...removed].reduce((sum, [, times]) => sum + times, 0);
+        return { added, removed };
+    }
+
+    // Keeps what it takes to count `issue` back out of the totals later
+    remember(issue, found) {
+        const { hash } = this.identify(issue);
+        const fields = {};
+        FACT_KEYS.forEach(key => {
+            if (issue[key] !== undefined && issue[key] !== '') fields[key] = issue[key];
+        });
+        this.facts[hash] = { fields, found };
+    }
+
+    // Writes the state for `issues`, the analyzed part of the current export,
+    // `excluded`, the rows that were read but filtered out (e.g. by
+    // --from/--to or platform), and `totals` as folded this run. Unchanged
+    // issues that were not looked up this run (e.g. folded into a cluster, or
+    // excluded) keep their detection result; issues from the last run that are
+    // gone from the export entirely count as resolved and are dropped.
+    save(issues, excluded = [], totals = null) {
+        const present = new Set();
+        [...issues, ...excluded].forEach(issue => {
+            const { hash, key } = this.identify(issue);
+            present.add(key);
+            const previous = this.previous[key];
+            if (!this.entries[key] && previous && previous[0] === hash) this.entries[key] = previous;
+        });
+        this.stats.resolved = Object.keys(this.previous).filter(key => !present.has(key)).length;
+        const state = {
+            schema: SCHEMA_VERSION,
+            fingerprint: this.fingerprint,
+            savedAt: new Date().toISOString(),
+            issues: this.entries,
+            totals,
+            counted: this.counted,
+            facts: this.facts
+        };
+        const temporary = `${this.filePath}.tmp`;
+        try {
+            const directory = path.dirname(this.filePath);
+            if (!fs.existsSync(directory)) fs.mkdirSync(directory, { recursive: true });
+            fs.writeFileSync(temporary, JSON.stringify(state));
+            fs.renameSync(temporary, this.filePath);
+        } catch (error) {
+            throw new AnalyzerError(`Could not write incremental state ${this.filePath}: ${error.message}`, EXIT_CODES.ERROR);
+        }
+        return this.stats;
+    }
+}
+
+module.exports = {
+    IncrementalState,
+    contentHash,
+    issueKey
+};
@@ -0,0 +1,78 @@
+const MAX_SAMPLES = 5;
+const MAX_SAMPLE_LENGTH = 160;
+
+// Rejected rows are malformed data; filtered rows were parsed fine but excluded
+// on purpose (platform/date options, pull requests and similar non-issues).
+const CATEGORIES = {
+    unterminatedQuote: { label: 'Unterminated quoted field', kind: 'rejected' },
+    invalidRecord: { label: 'Unparseable record', kind: 'rejected' },
+    columnMismatch: { label: 'Column count mismatch', kind: 'rejected' },
+    missingRequired: { label: 'Missing required fields', kind: 'rejected' },
+    invalidDate: { label: 'Unparseable created date', kind: 'rejected' },
+    platformFiltered: { label: 'Other platform', kind: 'filtered' },
+    dateFiltered: { label: 'Outside date range', kind: 'filtered' },
+    unsupportedRecord: { label: 'Not an issue record', kind: 'filtered' }
+};
+
+class IngestionDiagnostics {
+    constructor() {
+        this.rowsRead = 0;
+        this.accepted = 0;
+        this.sources = [];
+        this.categories = {};
+    }
+
+    startSource(source) {
+        this.sources.push(source);
+    }
+
+    accept() {
+        this.rowsRead++;
+        this.accepted++;
+    }
+
+    skip(category, { source = null, line = null, detail = '', sample = '' } = {}) {
+        if (!CATEGORIES[category]) {
+            throw new Error(`Unknown diagnostics category: ${category}`);
+        }
+        this.rowsRead++;
+
+        if (!this.categories[category]) {
+            this.categories[category] = { ...CATEGORIES[category], count: 0, samples: [] };
+        }
+        const entry = this.categories[category];
+        entry.count++;
+        if (entry.samples.length < MAX_SAMPLES) {
+            entry.samples.push({
+                source,
+                line,
+                detail,
+                sample: sample.length > MAX_SAMPLE_LENGTH ? `${sample.slice(0, MAX_SAMPLE_LENGTH)}…` : sample
+            });
+        }
+    }
+
+    countByKind(kind) {
+        return Object.values(this.categories)
+            .filter(entry => entry.kind === kind)
+            .reduce((sum, entry) => sum + entry.count, 0);
+    }
+
+    summary() {
+        const rejected = this.countByKind('rejected');
+        return {
+            sources: [...this.sources],
+            rowsRead: this.rowsRead,
+            accepted: this.accepted,
+            rejected,
+            filtered: this.countByKind('filtered'),
+            rejectionRate: this.rowsRead > 0 ? rejected / this.rowsRead : 0,
+            categories: JSON.parse(JSON.stringify(this.categories))
+        };
+    }
+}
+
+module.exports = {
+    IngestionDiagnostics,
+    CATEGORIES
+};
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const { readTextChunks, readCSVFile, parseCSVText } = require('./csv-parser');
+const { AnalyzerError, EXIT_CODES } = require('./errors');
+
+// Exports may drop up to this many trailing empty columns from a row
+const COLUMN_TOLERANCE = 5;
+const SNIFF_BYTES = 16 * 1024;
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 };
+
+function pad(number) {
+    return String(number).padStart(2, '0');
+}
+
+// Normalizes ISO timestamps and Jira's "18/Jul/25 3:04 PM" style to YYYY-MM-DD.
+// Unrecognized values are returned unchanged so validation can report them.
+function normalizeDate(value) {
+    const text = String(value || '').trim();
+    if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+        return text.slice(0, 10);
+    }
+    const jira = text.match(/^(\d{1,2})\/([A-Za-z]{3})\/(\d{2}|\d{4})\b/);
+    if (jira && MONTHS[jira[2].toLowerCase()]) {
+        const year = jira[3].length === 2 ? `20${jira[3]}` : jira[3];
+        return `${year}-${pad(MONTHS[jira[2].toLowerCase()])}-${pad(jira[1])}`;
+    }
+    const parsed = Date.parse(text);
+    if (text && !isNaN(parsed)) {
+        const date = new Date(parsed);
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+    return text;
+}
+
+function toText(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object') return JSON.stringify(value);
+    return String(value);
+}
+
+function findPlatform(values) {
+    const match = values.map(value => String(value).toLowerCase())
+        .find(value => /\b(ios|ipados|iphone|ipad|android)\b/.test(value));
+    if (!match) return '';
+    return /\bandroid\b/.test(match) ? 'android' : 'ios';
+}
+
+function findOSVersion(values) {
+    for (const value of values) {
+        const match = String(value).match(/\b(?:ios|ipados)\s*[-_ ]?\s*(\d+(?:\.\d+){0,2})\b/i);
+        if (match) return match[1];
+    }
+    return '';
+}
+
+// Hardware identifiers such as "iPhone12,1" in labels or environment text
+function findDeviceModel(values) {
+    for (const value of values) {
+        const match = String(value).match(/\b((?:iPhone|iPad|iPod)\d+,\d+)\b/i);
+        if (match) return match[1];
+    }
+    return '';
+}
+
+function findAppVersion(values) {
+    for (const value of values) {
+        const match = String(value).match(/^(?:v|version[: ]\s*)?(\d+(?:\.\d+){1,3})$/i);
+        if (match) return match[1];
+    }
+    return '';
+}
+
+// Resolves the column mapping against the header row, or the keys of a JSON
+// file, and warns about optional fields the source does not provide
+function resolveMapping(options, handlers, available, source) {
+    const resolved = options.columnMapping.resolve(available, source, { optional: options.optionalFields });
+    if (resolved.missingOptional.length > 0 && handlers.onWarning) {
+        handlers.onWarning(`${source} has no column for: ${resolved.missingOptional.join(', ')}`);
+    }
+    return resolved;
+}
+
+// Shared header/row handling for CSV-based formats. mapRow receives the trimmed
+// values and the header list, so formats with repeated headers can see them all.
+function readCSVRows(filePath, options, handlers, mapRow) {
+    let headers = null;
+    let recordCount = 0;
+
+    readCSVFile(filePath, { delimiter: options.delimiter }, (fields, { line, unterminatedQuote }) => {
+        const values = fields.map(field => field.trim());
+        if (!headers) {
+            headers = values;
+            handlers.onHeaders && handlers.onHeaders(headers);
+            return;
+        }
+
+        const location = { source: filePath, line };
+        if (unterminatedQuote) {
+            handlers.onSkip('unterminatedQuote', {
+                ...location,
+                detail: 'Quoted field runs to end of file',
+                sample: fields.join(options.delimiter)
+            });
+        } else if (values.length < headers.length - COLUMN_TOLERANCE || values.length > headers.length) {
+            handlers.onSkip('columnMismatch', {
+                ...location,
+                detail: `Expected ${headers.length} columns, found ${values.length}`,
+                sample: fields.join(options.delimiter)
+            });
+        } else {
+            handlers.onIssue(mapRow(values, headers), location);
+        }
+
+        recordCount++;
+        handlers.onProgress && handlers.onProgress(recordCount);
+    });
+
+    return recordCount;
+}
+
+function readJSONFile(filePath) {
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8').replace(/^\uFEFF/, ''));
+        const records = Array.isArray(data) ? data : data && (data.issues || data.items);
+        if (!Array.isArray(records)) {
+            throw new Error('expected an array of issues or an object with an "issues" array');
+        }
+        return records;
+    } catch (error) {
+        throw new AnalyzerError(`Could not read ${filePath} as JSON: ${error.message}`, EXIT_CODES.INVALID_INPUT);
+    }
+}
+
+function isObject(record) {
+    return Boolean(record) && typeof record === 'object' && !Array.isArray(record);
+}
+
+function readJSONRecords(filePath, handlers, mapRecord, records = readJSONFile(filePath)) {
+    records.forEach((record, index) => {
+        const location = { source: filePath, line: index + 1 };
+        if (!isObject(record)) {
+            handlers.onSkip('invalidRecord', { ...location, detail: 'Array entry is not an object', sample: toText(record) });
+            return;
+        }
+        mapRecord(record, location);
+    });
+    return records.length;
+}
+
+// JSON records laid out like the native export, renamed through the column
+// mapping. Tags may be given as an array and non-string values are stringified.
+function mapNativeRecord(record, options, resolved) {
+    const issue = {};
+    Object.entries(record).forEach(([key, value]) => {
+        issue[key] = toText(value);
+    });
+    return options.columnMapping.apply(issue, resolved);
+}
+
+// JSON exports often leave out null fields, so no single record shows every
+// column. Each record is mapped by the columns it has, and required columns
+// are checked once against the keys of the whole file (see check()).
+function nativeRecordMapper(options, handlers, source) {
+    const everyField = Object.keys(options.columnMapping.fields);
+    const byKeys = new Map();
+    const seen = new Set();
+    return {
+        map(record) {
+            const keys = Object.keys(record);
+            keys.forEach(key => seen.add(key));
+            const signature = keys.join('\u0000');
+            if (!byKeys.has(signature)) {
+                byKeys.set(signature, options.columnMapping.resolve(keys, source, { optional: everyField }));
+            }
+            return mapNativeRecord(record, options, byKeys.get(signature));
+        },
+        // Throws when a required column appears in no record and warns once
+        // about optional ones. Files without records are left to the caller.
+        check(keys = seen) {
+            if (keys.size === 0) return;
+            resolveMapping(options, handlers, [...keys], source);
+        }
+    };
+}
+
+// Every adapter turns its source format into issues keyed by the native export
+// column names that analyzeEnhanced() reads. read() reports each issue through
+// handlers.onIssue(issue, location) and each unusable row through
+// handlers.onSkip(category, details), and returns the number of records read.
+const adapters = {
+    csv: {
+        description: 'native issue export CSV',
+        read(filePath, options, handlers) {
+            let resolved;
+            const csvHandlers = {
+                ...handlers,
+                onHeaders: headers => {
+                    resolved = resolveMapping(options, handlers, headers, filePath);
+                    handlers.onHeaders && handlers.onHeaders(headers);
+                }
+            };
+            return readCSVRows(filePath, options, csvHandlers, (values, headers) => {
+                const record = {};
+                headers.forEach((header, index) => {
+                    record[header] = values[index] || '';
+                });
+                return options.columnMapping.apply(record, resolved);
+            });
+        }
+    },
+
+    'jira-csv': {
+        description: 'Jira CSV export',
+        read(filePath, options, handlers) {
+            return readCSVRows(filePath, options, handlers, (values, headers) => {
+                const column = name => values[headers.indexOf(name)] || '';
+                const columns = pattern => headers
+                    .map((header, index) => (pattern.test(header) ? values[index] : ''))
+                    .filter(Boolean);
+
+                const labels = columns(/^(Labels|Component\/s)$/);
+                const environment = column('Environment');
+                const platformField = columns(/^Custom field \((Platform|OS)\)$/i);
+                const osField = columns(/^Custom field \(OS Version\)$/i);
+
+                return {
+                    s_issue_id: column('Issue key'),
+                    s_issue_title: column('Summary'),
+                    a_tags: JSON.stringify(labels),
+                    s_messages: [column('Description'), environment].filter(Boolean).join('\n'),
+                    s_meta_application_version: columns(/^Affects Version\/s$/)[0] || '',
+                    d_created_date: normalizeDate(column('Created')),
+                    s_meta_other_platform: findPlatform([...platformField, ...labels, environment]),
+                    s_meta_other_os_version: osField[0] || findOSVersion([environment, ...labels]),
+                    s_meta_other_country_code: columns(/^Custom field \(Country( Code)?\)$/i)[0] || '',
+                    s_meta_other_device_model: columns(/^Custom field \(Device( Model)?\)$/i)[0] || findDeviceModel([environment, ...labels])
+                };
+            });
+        }
+    },
+
+    json: {
+        description: 'JSON array of issues',
+        read(filePath, options, handlers) {
+            const records = readJSONFile(filePath);
+            const mapper = nativeRecordMapper(options, handlers, filePath);
+            mapper.check(new Set(records.flatMap(record => (isObject(record) ? Object.keys(record) : []))));
+            return readJSONRecords(filePath, handlers, (record, location) => {
+                handlers.onIssue(mapper.map(record), location);
+            }, records);
+        }
+    },
+
+    ndjson: {
+        description: 'newline-delimited JSON',
+        read(filePath, options, handlers) {
+            let buffered = '';
+            let line = 0;
+            let recordCount = 0;
+            const mapper = nativeRecordMapper(options, handlers, filePath);
+
+            const handleLine = text => {
+                line++;
+                if (text.trim() === '') return;
+                const location = { source: filePath, line };
+                recordCount++;
+                let record;
+                try {
+                    record = JSON.parse(text);
+                } catch (error) {
+                    handlers.onSkip('invalidRecord', { ...location, detail: error.message, sample: text });
+                    return;
+                }
+                if (!isObject(record)) {
+                    handlers.onSkip('invalidRecord', { ...location, detail: 'Line is not a JSON object', sample: text });
+                    return;
+                }
+                handlers.onIssue(mapper.map(record), location);
+                handlers.onProgress && handlers.onProgress(recordCount);
+            };
+
+            readTextChunks(filePath, text => {
+                buffered += text;
+                let newline;
+                while ((newline = buffered.indexOf('\n')) !== -1) {
+                    handleLine(buffered.slice(0, newline).replace(/\r$/, '').replace(/^\uFEFF/, ''));
+                    buffered = buffered.slice(newline + 1);
+                }
+            });
+            if (buffered !== '') {
+                handleLine(buffered.replace(/\r$/, ''));
+            }
+            mapper.check();
+            return recordCount;
+        }
+    },
+
+    'github-json': {
+        description: 'GitHub Issues JSON',
+        read(filePath, options, handlers) {
+            return readJSONRecords(filePath, handlers, (record, location) => {
+                if (record.pull_request) {
+                    handlers.onSkip('unsupportedRecord', { ...location, detail: 'Pull request', sample: toText(record.title) });
+                    return;
+                }
+                const labels = (record.labels || []).map(label => (typeof label === 'string' ? label : label.name)).filter(Boolean);
+                const milestone = record.milestone && record.milestone.title;
+
+                handlers.onIssue({
+                    s_issue_id: toText(record.number || record.id),
+                    s_issue_title: toText(record.title),
+                    a_tags: JSON.stringify(labels),
+                    s_messages: toText(record.body),
+                    s_meta_application_version: findAppVersion([...labels, milestone || '']),
+                    d_created_date: normalizeDate(record.created_at),
+                    s_meta_other_platform: findPlatform(labels),
+                    s_meta_other_os_version: findOSVersion(labels),
+                    s_meta_other_country_code: '',
+                    s_meta_other_device_model: findDeviceModel(labels)
+                }, location);
+            });
+        }
+    }
+};
+
+function readHead(filePath) {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const bytesRead = fs.readSync(fd, buffer, 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead).toString('utf8').replace(/^\uFEFF/, '');
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+// Picks an adapter from the file extension, then from the first few KB of content
+function detectFormat(filePath, options = {}) {
+    const extension = path.extname(filePath).toLowerCase();
+    const head = readHead(filePath);
+    const firstChar = head.trimStart()[0];
+
+    if (extension === '.ndjson' || extension === '.jsonl') {
+        return 'ndjson';
+    }
+    if (extension === '.json' || firstChar === '[' || firstChar === '{') {
+        if (firstChar === '{' && /}\s*\r?\n\s*{/.test(head)) {
+            return 'ndjson';
+        }
+        return /"html_url"\s*:\s*"https:\/\/github\.com\/[^"]+\/issues\/\d+"/.test(head) ? 'github-json' : 'json';
+    }
+
+    const [headers = []] = parseCSVText(head.split(/\r?\n/)[0], { delimiter: options.delimiter });
+    if (headers.includes('Issue key') && headers.includes('Summary')) {
+        return 'jira-csv';
+    }
+    return 'csv';
+}
+
+function resolveAdapter(filePath, format = 'auto', options = {}) {
+    const name = format === 'auto' ? detectFormat(filePath, options) : format;
+    if (!adapters[name]) {
+        throw new AnalyzerError(`Unknown input format "${format}". Expected one of: auto, ${Object.keys(adapters).join(', ')}`, EXIT_CODES.USAGE);
+    }
+    return { name, ...adapters[name] };
+}
+
+module.exports = {
+    adapters,
+    detectFormat,
+    resolveAdapter,
+    normalizeDate
+};
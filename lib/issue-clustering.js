@@ -0,0 +1,183 @@
+const { normalizeText } = require('./pattern-rules');
+
+const SHINGLE_SIZE = 5;
+const MAX_MESSAGE_LENGTH = 300;
+const BANDS = 20;
+const ROWS_PER_BAND = 3;
+// Distinct texts compared per LSH bucket; keeps a complaint filed thousands of
+// times from turning a bucket into a quadratic scan
+const MAX_BUCKET_LEADERS = 50;
+const DEFAULT_SIMILARITY = 0.6;
+
+const HASH_SEEDS = Array.from({ length: BANDS * ROWS_PER_BAND }, (_, index) => fmix32(index + 0x9e3779b9));
+
+// murmur3 finalizer
+function fmix32(value) {
+    let h = value >>> 0;
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
+}
+
+// FNV-1a over UTF-16 code units
+function hashString(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// Title plus the start of the messages, lowercased with punctuation and
+// digits dropped so "Crash #12" and "crash #13" compare as the same text
+function clusterText(issue) {
+    const messages = (issue.s_messages || '').slice(0, MAX_MESSAGE_LENGTH);
+    return normalizeText(`${issue.s_issue_title || ''} ${messages}`)
+        .replace(/[^\p{L}\s]+/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Sorted, distinct hashes of overlapping character SHINGLE_SIZE-grams
+function shingleHashes(text) {
+    const hashes = new Set();
+    if (text.length <= SHINGLE_SIZE) {
+        hashes.add(hashString(text));
+    } else {
+        for (let i = 0; i <= text.length - SHINGLE_SIZE; i++) {
+            hashes.add(hashString(text.slice(i, i + SHINGLE_SIZE)));
+        }
+    }
+    return Uint32Array.from(hashes).sort();
+}
+
+function minHashSignature(hashes) {
+    return HASH_SEEDS.map(seed => {
+        let min = 0xffffffff;
+        hashes.forEach(hash => {
+            const value = fmix32(hash ^ seed);
+            if (value < min) min = value;
+        });
+        return min;
+    });
+}
+
+function jaccard(a, b) {
+    let i = 0;
+    let j = 0;
+    let shared = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            shared++;
+            i++;
+            j++;
+        } else if (a[i] < b[j]) {
+            i++;
+        } else {
+            j++;
+        }
+    }
+    const union = a.length + b.length - shared;
+    return union > 0 ? shared / union : 1;
+}
+
+function find(parents, index) {
+    while (parents[index] !== index) {
+        parents[index] = parents[parents[index]];
+        index = parents[index];
+    }
+    return index;
+}
+
+// Groups issues whose text shingles overlap by at least `similarity` (Jaccard).
+// Identical texts are merged first; MinHash banding then proposes candidate
+// pairs among the distinct texts and each pair is confirmed on the exact
+// shingle sets. Returns lists of issue indexes, largest cluster first.
+function clusterIssues(issues, { similarity = DEFAULT_SIMILARITY } = {}) {
+    const textIndex = new Map();
+    const texts = [];
+    const membersByText = [];
+    issues.forEach((issue, index) => {
+        const text = clusterText(issue);
+        if (!textIndex.has(text)) {
+            textIndex.set(text, texts.length);
+            texts.push(text);
+            membersByText.push([]);
+        }
+        membersByText[textIndex.get(text)].push(index);
+    });
+
+    const parents = texts.map((_, index) => index);
+    const shingles = texts.map(text => (text === '' ? null : shingleHashes(text)));
+    const buckets = new Map();
+    shingles.forEach((hashes, textId) => {
+        if (!hashes) return;
+        const signature = minHashSignature(hashes);
+        for (let band = 0; band < BANDS; band++) {
+            const key = `${band}:${signature.slice(band * ROWS_PER_BAND, (band + 1) * ROWS_PER_BAND).join(',')}`;
+            const leaders = buckets.get(key) || [];
+            const match = leaders.find(leader => jaccard(hashes, shingles[leader]) >= similarity);
+            if (match !== undefined) {
+                parents[find(parents, textId)] = find(parents, match);
+            } else if (leaders.length < MAX_BUCKET_LEADERS) {
+                leaders.push(textId);
+                buckets.set(key, leaders);
+            }
+        }
+    });
+
+    const groups = new Map();
+    texts.forEach((_, textId) => {
+        const root = find(parents, textId);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(...membersByText[textId]);
+    });
+    return [...groups.values()]
+        .map(members => members.sort((a, b) => a - b))
+        .sort((a, b) => b.length - a.length || a[0] - b[0]);
+}
+
+// Size, representative text (the most common wording, shortest on ties),
+// per-version counts and date span of one cluster
+function describeCluster(issues, members) {
+    const wordings = new Map();
+    const versions = {};
+    let firstDate = null;
+    let lastDate = null;
+    members.forEach(index => {
+        const issue = issues[index];
+        const text = (issue.s_issue_title || issue.s_messages || '').trim();
+        wordings.set(text, (wordings.get(text) || 0) + 1);
+
+        const version = issue.s_meta_application_version || 'Unknown';
+        versions[version] = (versions[version] || 0) + 1;
+
+        const date = (issue.d_created_date || '').slice(0, 10);
+        if (date) {
+            if (firstDate === null || date < firstDate) firstDate = date;
+            if (lastDate === null || date > lastDate) lastDate = date;
+        }
+    });
+    const [representative] = [...wordings.entries()]
+        .sort(([a, countA], [b, countB]) => countB - countA || a.length - b.length)[0];
+
+    return {
+        size: members.length,
+        representative,
+        versions,
+        firstDate,
+        lastDate,
+        issueIds: members.slice(0, 20).map(index => issues[index].s_issue_id).filter(Boolean)
+    };
+}
+
+module.exports = {
+    clusterIssues,
+    describeCluster,
+    clusterText,
+    DEFAULT_SIMILARITY
+};
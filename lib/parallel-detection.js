@@ -0,0 +1,123 @@
+const os = require('os');
+const path = require('path');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
+const { FIELDS } = require('./column-mapping');
+const { AnalyzerError, EXIT_CODES } = require('./errors');
+
+const WORKER_FILE = path.join(__dirname, 'detection-worker.js');
+// Below this many issues per worker, starting workers costs more than it saves
+const MIN_ISSUES_PER_WORKER = 2000;
+const ISSUE_KEYS = Object.values(FIELDS).map(field => field.key);
+// How long the main thread sleeps between checks on the workers
+const POLL_MS = 200;
+// Workers that detect nothing for this long are taken for dead (e.g. out of
+// memory), since a dead worker cannot be noticed any other way while the main
+// thread is blocked
+const STALL_TIMEOUT_MS = 60 * 1000;
+
+// Cores to use when no worker count is given
+function availableCores() {
+    return typeof os.availableParallelism === 'function' ? os.availableParallelism() : os.cpus().length;
+}
+
+// Workers to shard `issueCount` issues across. An explicit count is used as
+// given (capped at one issue per worker); null picks one per core, but only as
+// many as have MIN_ISSUES_PER_WORKER issues each. 1 means detect serially.
+function workerCount(issueCount, requested = null) {
+    if (requested !== null && requested !== undefined) {
+        return Math.max(1, Math.min(requested, issueCount));
+    }
+    return Math.max(1, Math.min(availableCores(), Math.floor(issueCount / MIN_ISSUES_PER_WORKER)));
+}
+
+// Compact form of a detectSpecificPatterns() result: { patternId: confidence }
+// for found patterns only, in detection order
+function foundPatterns(detected) {
+    const found = {};
+    Object.entries(detected).forEach(([patternName, patternData]) => {
+        if (patternData.found) found[patternName] = patternData.confidence;
+    });
+    return found;
+}
+
+// Only the mapped fields are copied to workers; rules and the classifier read nothing else
+function mappedFields(issue) {
+    const copy = {};
+    ISSUE_KEYS.forEach(key => {
+        if (issue[key] !== undefined) copy[key] = issue[key];
+    });
+    return copy;
+}
+
+// Runs detection for `issues` on `workers` threads, each taking one contiguous
+// shard, and returns foundPatterns() results in input order. `setup` holds the
+// analyzer options a worker needs to rebuild the same detection (see
+// lib/detection-worker.js). Blocks until every shard is done, so callers stay
+// synchronous: workers count each detected issue in `progress`, post their
+// results and then bump `finished`, which the main thread waits on between
+// polls of the result ports. If no worker makes progress for
+// STALL_TIMEOUT_MS, all of them are stopped and detection fails.
+function detectInParallel(issues, { workers, setup, stallTimeout = STALL_TIMEOUT_MS }) {
+    const shardSize = Math.ceil(issues.length / workers);
+    const shards = [];
+    for (let start = 0; start < issues.length; start += shardSize) {
+        shards.push(issues.slice(start, start + shardSize).map(mappedFields));
+    }
+
+    const finished = new Int32Array(new SharedArrayBuffer(4));
+    const progress = new Int32Array(new SharedArrayBuffer(4 * shards.length));
+    const running = shards.map((shard, shardIndex) => {
+        const { port1, port2 } = new MessageChannel();
+        const worker = new Worker(WORKER_FILE, {
+            workerData: { setup, issues: shard, port: port2, finished, progress, shardIndex },
+            transferList: [port2]
+        });
+        return { worker, port: port1 };
+    });
+    const stopAll = () => running.forEach(({ worker, port }) => {
+        port.close();
+        worker.terminate();
+    });
+
+    const replies = running.map(() => null);
+    let detected = -1;
+    let lastProgressAt = Date.now();
+    for (;;) {
+        const done = Atomics.load(finished, 0);
+        running.forEach(({ port }, index) => {
+            if (replies[index]) return;
+            const reply = receiveMessageOnPort(port);
+            if (reply) replies[index] = reply.message;
+        });
+        if (replies.every(Boolean)) break;
+
+        const total = progress.reduce((sum, count) => sum + count, 0);
+        if (total !== detected) {
+            detected = total;
+            lastProgressAt = Date.now();
+        } else if (Date.now() - lastProgressAt > stallTimeout) {
+            stopAll();
+            const stalled = replies.filter(reply => !reply).length;
+            throw new AnalyzerError(
+                `Pattern detection stopped: ${stalled} worker thread(s) made no progress for ${Math.round(stallTimeout / 1000)}s ` +
+                'and were stopped; one may have run out of memory. Retry with more --workers for smaller shards, or with --workers 1.',
+                EXIT_CODES.ERROR
+            );
+        }
+        Atomics.wait(finished, 0, done, POLL_MS);
+    }
+    stopAll();
+
+    const failed = replies.find(reply => reply.error);
+    if (failed) {
+        throw new AnalyzerError(`Pattern detection worker failed: ${failed.error}`, EXIT_CODES.ERROR);
+    }
+    return replies.flatMap(reply => reply.results);
+}
+
+module.exports = {
+    availableCores,
+    detectInParallel,
+    foundPatterns,
+    workerCount
+};
@@ -0,0 +1,289 @@
+const path = require('path');
+const { readConfigFile } = require('./config-file');
+const { FIELDS } = require('./column-mapping');
+const { AnalyzerError, EXIT_CODES } = require('./errors');
+
+const DEFAULT_RULES_FILE = path.join(__dirname, 'default-patterns.json');
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+const DEFAULT_FIELDS = ['title', 'tags', 'messages'];
+const RULE_KEYS = ['id', 'name', 'severity', 'description', 'regex', 'keywords', 'locales', 'exclude', 'negation', 'fields', 'disabled'];
+
+// A match is discarded when one of these words appears within NEGATION_WINDOW
+// words before it in the same clause ("it doesn't crash anymore", "kein Absturz").
+// "can't"/"cannot" are left out on purpose: "can't stop crashing" is a crash.
+// Clauses also end at "and"/"then" and their translations, so "does not load
+// and crashes" still counts; "or"/"nor" do not end one ("doesn't freeze or crash").
+const NEGATION_WINDOW = 3;
+const NEGATION_CUES = new Set([
+    'no', 'not', 'never', 'without', 'nor', 'don\'t', 'dont', 'doesn\'t', 'doesnt', 'didn\'t', 'didnt',
+    'isn\'t', 'isnt', 'wasn\'t', 'wasnt', 'aren\'t', 'won\'t', 'hasn\'t', 'haven\'t',
+    'kein', 'keine', 'keinen', 'nicht', 'nie', 'niemals', 'ohne',
+    'nunca', 'sin',
+    'ne', 'n\'', 'pas', 'jamais', 'sans',
+    'non', 'mai', 'senza',
+    'não', 'nao', 'sem'
+]);
+const CLAUSE_BREAK = /[.,;:!?()\n]|(?<![\p{L}])(but|aber|pero|mais|mas|ma|however|and|then|und|dann|y|luego|et|puis|e|poi|depois|и|потом)(?![\p{L}])/u;
+const SEVERITY_RANK = { critical: 0, high: 1, medium: 2, low: 3 };
+
+// Scripts written without spaces between words, where a word boundary check
+// would never match mid-sentence
+const UNSPACED_SCRIPT = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+function invalid(message, source) {
+    return new AnalyzerError(`Invalid pattern rules${source ? ` in ${source}` : ''}: ${message}`, EXIT_CODES.CONFIG_INVALID);
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Issue text and keywords are compared in NFKC form so full-width and
+// composed/decomposed characters line up
+function normalizeText(text) {
+    return text.normalize('NFKC').toLowerCase();
+}
+
+// \b only understands ASCII letters, so keywords in other alphabets use Unicode
+// letter/number lookarounds instead, and unspaced scripts match as substrings
+function keywordPattern(keyword) {
+    const normalized = normalizeText(keyword.trim());
+    const escaped = escapeRegex(normalized).replace(/\s+/g, '\\s+');
+    if (UNSPACED_SCRIPT.test(normalized)) {
+        return escaped;
+    }
+    return `(?<![\\p{L}\\p{N}_])${escaped}(?![\\p{L}\\p{N}_])`;
+}
+
+function isNegated(text, index) {
+    const clause = text.slice(Math.max(0, index - 80), index).split(CLAUSE_BREAK).pop();
+    return clause.trim().split(/\s+/)
+        .slice(-NEGATION_WINDOW)
+        .map(word => word.replace(/[’`]/g, '\'').replace(/^[^\p{L}]+|[^\p{L}']+$/gu, ''))
+        .some(word => NEGATION_CUES.has(word) || (word.startsWith('n\'') && NEGATION_CUES.has('n\'')));
+}
+
+function findSpans(regex, text) {
+    const spans = [];
+    regex.lastIndex = 0;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+        spans.push([match.index, match.index + match[0].length]);
+        if (match[0] === '') regex.lastIndex++;
+    }
+    return spans;
+}
+
+function toList(value) {
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value : [value];
+}
+
+function defaultName(id) {
+    return id.charAt(0).toUpperCase() + id.slice(1);
+}
+
+// Validates one rule definition and precompiles its matchers. Regexes and
+// keywords are matched case-insensitively against the selected fields joined
+// with spaces; keywords must match whole words. `locales` maps a language code
+// to more keywords, and every locale is tried since report language does not
+// follow the reporter's country. Matches inside an `exclude` term, or preceded
+// by a negation unless `negation` is false, do not count.
+function compileRule(rule, source) {
+    if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+        throw invalid('each pattern must be an object', source);
+    }
+    const label = rule.id ? `pattern "${rule.id}"` : 'pattern';
+    if (typeof rule.id !== 'string' || !/^[A-Za-z][\w-]*$/.test(rule.id)) {
+        throw invalid(`${label} needs an "id" made of letters, digits, "_" or "-"`, source);
+    }
+    const unknownKeys = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknownKeys.length > 0) {
+        throw invalid(`${label} has unknown key(s) ${unknownKeys.join(', ')}`, source);
+    }
+    if (rule.disabled === true) {
+        return { id: rule.id, disabled: true };
+    }
+    if (!SEVERITIES.includes(rule.severity)) {
+        throw invalid(`${label} needs a "severity" of ${SEVERITIES.join(', ')}`, source);
+    }
+    ['name', 'description'].forEach(key => {
+        if (rule[key] !== undefined && typeof rule[key] !== 'string') {
+            throw invalid(`${label} "${key}" must be a string`, source);
+        }
+    });
+
+    if (rule.locales !== undefined && (!rule.locales || typeof rule.locales !== 'object' || Array.isArray(rule.locales))) {
+        throw invalid(`${label} "locales" must map language codes to keyword lists`, source);
+    }
+    const localeKeywords = Object.entries(rule.locales || {}).reduce((list, [locale, entries]) => {
+        if (!/^[a-z]{2,3}(-[A-Za-z0-9]+)*$/.test(locale)) {
+            throw invalid(`${label} has an invalid locale code "${locale}"`, source);
+        }
+        return list.concat(toList(entries));
+    }, []);
+
+    const regexes = toList(rule.regex);
+    const keywords = toList(rule.keywords).concat(localeKeywords);
+    if (regexes.length === 0 && keywords.length === 0) {
+        throw invalid(`${label} needs at least one "regex" or "keywords" entry`, source);
+    }
+    if ([...regexes, ...keywords].some(entry => typeof entry !== 'string' || entry === '')) {
+        throw invalid(`${label} "regex", "keywords" and "locales" entries must be non-empty strings`, source);
+    }
+
+    const matchers = regexes.map(pattern => {
+        try {
+            return new RegExp(pattern, 'gi');
+        } catch (error) {
+            throw invalid(`${label} has an invalid regex /${pattern}/: ${error.message}`, source);
+        }
+    });
+    if (keywords.length > 0) {
+        matchers.push(new RegExp(keywords.map(keywordPattern).join('|'), 'giu'));
+    }
+
+    const exclude = toList(rule.exclude);
+    if (exclude.some(entry => typeof entry !== 'string' || entry.trim() === '')) {
+        throw invalid(`${label} "exclude" entries must be non-empty strings`, source);
+    }
+    if (rule.negation !== undefined && typeof rule.negation !== 'boolean') {
+        throw invalid(`${label} "negation" must be true or false`, source);
+    }
+
+    const fields = rule.fields === undefined ? DEFAULT_FIELDS : toList(rule.fields);
+    const unknownFields = fields.filter(field => !FIELDS[field]);
+    if (fields.length === 0 || unknownFields.length > 0) {
+        throw invalid(`${label} "fields" must list known fields (${Object.keys(FIELDS).join(', ')})`, source);
+    }
+
+    return {
+        id: rule.id,
+        name: rule.name || defaultName(rule.id),
+        severity: rule.severity,
+        description: rule.description || rule.name || defaultName(rule.id),
+        fields,
+        keys: fields.map(field => FIELDS[field].key),
+        matchers,
+        exclusion: exclude.length > 0 ? new RegExp(exclude.map(keywordPattern).join('|'), 'giu') : null,
+        negation: rule.negation !== false
+    };
+}
+
+// Compiled, validated pattern rules. A rules file is either a list of patterns
+// or { "includeDefaults": true, "patterns": [...] }. With defaults included,
+// a pattern whose id matches a default replaces it and { "id": ..., "disabled": true }
+// removes it.
+class PatternRules {
+    constructor(patterns, source = null) {
+        if (!Array.isArray(patterns)) {
+            throw invalid('expected a list of patterns', source);
+        }
+        const seen = new Set();
+        // Configs as given, so callers can tell whether two rule sets differ
+        this.definitions = patterns;
+        this.rules = [];
+        patterns.forEach(pattern => {
+            const rule = compileRule(pattern, source);
+            if (seen.has(rule.id)) {
+                throw invalid(`duplicate pattern id "${rule.id}"`, source);
+            }
+            seen.add(rule.id);
+            if (!rule.disabled) {
+                this.rules.push(rule);
+            }
+        });
+        this.byId = new Map(this.rules.map(rule => [rule.id, rule]));
+    }
+
+    static defaults() {
+        return PatternRules.fromConfig(readConfigFile(DEFAULT_RULES_FILE), DEFAULT_RULES_FILE, { includeDefaults: false });
+    }
+
+    static fromConfig(config, source = null, { includeDefaults } = {}) {
+        const patterns = Array.isArray(config) ? config : config && config.patterns;
+        if (!Array.isArray(patterns)) {
+            throw invalid('expected a list of patterns or an object with a "patterns" list', source);
+        }
+        const withDefaults = includeDefaults !== undefined
+            ? includeDefaults
+            : Array.isArray(config) || config.includeDefaults !== false;
+        if (!withDefaults) {
+            return new PatternRules(patterns, source);
+        }
+
+        const defaults = readConfigFile(DEFAULT_RULES_FILE).patterns;
+        const overrides = new Map(patterns.filter(pattern => pattern && pattern.id).map(pattern => [pattern.id, pattern]));
+        const merged = defaults
+            .map(pattern => overrides.get(pattern.id) || pattern)
+            .concat(patterns.filter(pattern => !pattern || !defaults.some(base => base.id === pattern.id)));
+        return new PatternRules(merged, source);
+    }
+
+    static fromFile(filePath) {
+        return PatternRules.fromConfig(readConfigFile(filePath), filePath);
+    }
+
+    // Same shape detectSpecificPatterns has always returned:
+    // { [id]: { found, severity, description } }
+    detect(issue) {
+        const texts = {};
+        const detected = {};
+        this.rules.forEach(rule => {
+            const cacheKey = rule.keys.join('\u0000');
+            if (texts[cacheKey] === undefined) {
+                texts[cacheKey] = normalizeText(rule.keys.map(key => issue[key] || '').join(' '));
+            }
+            detected[rule.id] = {
+                found: this.matches(rule, texts[cacheKey]),
+                severity: rule.severity,
+                description: rule.description
+            };
+        });
+        return detected;
+    }
+
+    // True when any match survives the exclusion and negation checks
+    matches(rule, text) {
+        let excludedSpans = null;
+        return rule.matchers.some(matcher => findSpans(matcher, text).some(([start, end]) => {
+            if (rule.exclusion) {
+                excludedSpans = excludedSpans || findSpans(rule.exclusion, text);
+                if (excludedSpans.some(([excludeStart, excludeEnd]) => start < excludeEnd && excludeStart < end)) {
+                    return false;
+                }
+            }
+            return !(rule.negation && isNegated(text, start));
+        }));
+    }
+
+    // Keeps only the most severe detected pattern, breaking ties by rule order,
+    // so an issue counts once toward severity totals. `detected` lists patterns in
+    // rule order, followed by any the classifier model adds.
+    selectPrimary(detected) {
+        const [primary] = Object.entries(detected)
+            .filter(([, data]) => data.found)
+            .sort(([, a], [, b]) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+        const selected = {};
+        Object.entries(detected).forEach(([id, data]) => {
+            selected[id] = { ...data, found: primary !== undefined && id === primary[0] };
+        });
+        return selected;
+    }
+
+    displayName(id) {
+        const rule = this.byId.get(id);
+        return rule ? rule.name : defaultName(id);
+    }
+
+    get size() {
+        return this.rules.length;
+    }
+}
+
+module.exports = {
+    PatternRules,
+    SEVERITIES,
+    UNSPACED_SCRIPT,
+    normalizeText
+};
@@ -0,0 +1,187 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 14;
+const DEFAULT_FALSE_DISCOVERY_RATE = 0.05;
+// Too few issues in a window to tell anything apart
+const MIN_TESTED_COUNT = 5;
+
+// "3.12.1" sorts after "3.9.4"; returns null for versions without numbers
+function versionKey(version) {
+    const parts = String(version).match(/\d+/g);
+    return parts ? parts.map(Number) : null;
+}
+
+function compareVersions(a, b) {
+    const keyA = versionKey(a);
+    const keyB = versionKey(b);
+    for (let i = 0; i < Math.max(keyA.length, keyB.length); i++) {
+        const difference = (keyA[i] || 0) - (keyB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return String(a).localeCompare(String(b));
+}
+
+// Lanczos approximation
+function logGamma(x) {
+    const g = 7;
+    const c = [0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+        -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7];
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    x -= 1;
+    let sum = c[0];
+    for (let i = 1; i < g + 2; i++) sum += c[i] / (x + i);
+    const t = x + g + 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// P(X >= k) for X ~ Binomial(n, p)
+function binomialUpperTail(k, n, p) {
+    if (k <= 0) return 1;
+    if (k > n) return 0;
+    if (p <= 0) return 0;
+    if (p >= 1) return 1;
+    let logTerm = logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1) + k * Math.log(p) + (n - k) * Math.log(1 - p);
+    let total = 0;
+    for (let i = k; i <= n; i++) {
+        const term = Math.exp(logTerm);
+        total += term;
+        if (term < total * 1e-12 && i > n * p) break;
+        logTerm += Math.log((n - i) / (i + 1)) + Math.log(p / (1 - p));
+    }
+    return Math.min(1, total);
+}
+
+// One-sided test that `count` over `exposure` is a higher Poisson rate than
+// `previousCount` over `previousExposure`: conditional on the combined count,
+// the new release's share is binomial under equal rates
+function rateIncreasePValue(count, exposure, previousCount, previousExposure) {
+    if (count + previousCount < MIN_TESTED_COUNT || exposure <= 0 || previousExposure <= 0) return null;
+    return binomialUpperTail(count, count + previousCount, exposure / (exposure + previousExposure));
+}
+
+// Benjamini-Hochberg: marks which p-values stay significant with the expected
+// share of false alarms held at `rate` across every test in the report
+function markSignificant(tests, rate) {
+    const ranked = tests.filter(test => test.pValue !== null).sort((a, b) => a.pValue - b.pValue);
+    let cutoff = -1;
+    ranked.forEach((test, index) => {
+        if (test.pValue <= ((index + 1) / ranked.length) * rate) cutoff = index;
+    });
+    ranked.forEach((test, index) => {
+        test.significant = index <= cutoff && test.ratio > 1;
+    });
+}
+
+function addDays(date, days) {
+    return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Compares each version with the release before it, over the same number of
+// days after each one's launch (its first reported issue). `records` are
+// { version, date: 'YYYY-MM-DD', patterns: [patternId] }. `exposure(version,
+// fromDate, toDate)` may return user-days to compare rates per user; a pair
+// where either side has no usage falls back to rates per day live.
+function compareReleases(records, {
+    windowDays = DEFAULT_WINDOW_DAYS,
+    falseDiscoveryRate = DEFAULT_FALSE_DISCOVERY_RATE,
+    exposure = null
+} = {}) {
+    const dated = records.filter(record => versionKey(record.version) && !isNaN(Date.parse(record.date)));
+    if (dated.length === 0) return { windowDays, falseDiscoveryRate, perUser: false, versions: [] };
+    const dataEnd = dated.reduce((latest, record) => (record.date > latest ? record.date : latest), dated[0].date);
+
+    const byVersion = {};
+    dated.forEach(record => {
+        if (!byVersion[record.version]) byVersion[record.version] = [];
+        byVersion[record.version].push(record);
+    });
+    const launches = {};
+    Object.entries(byVersion).forEach(([version, list]) => {
+        launches[version] = list.reduce((earliest, record) => (record.date < earliest ? record.date : earliest), list[0].date);
+    });
+
+    // Issues in the first `days` days after launch, in total and per pattern
+    const windowCounts = (version, days) => {
+        const end = addDays(launches[version], days - 1);
+        const inWindow = byVersion[version].filter(record => record.date <= end);
+        const patterns = {};
+        inWindow.forEach(record => record.patterns.forEach(id => {
+            patterns[id] = (patterns[id] || 0) + 1;
+        }));
+        const users = exposure ? exposure(version, launches[version], end) : null;
+        return { total: inWindow.length, patterns, users: users > 0 ? users : null, end };
+    };
+
+    const ordered = Object.keys(byVersion).sort(compareVersions);
+    const comparisons = [];
+    const tests = [];
+    ordered.forEach((version, index) => {
+        if (index === 0) return;
+        const previous = ordered[index - 1];
+        const daysLive = Math.round((Date.parse(dataEnd) - Date.parse(launches[version])) / DAY_MS) + 1;
+        const days = Math.min(windowDays, daysLive);
+        const current = windowCounts(version, days);
+        const before = windowCounts(previous, days);
+        const perUser = current.users !== null && before.users !== null;
+        current.exposure = perUser ? current.users : days;
+        before.exposure = perUser ? before.users : days;
+
+        const rate = current.total / current.exposure;
+        const previousRate = before.total / before.exposure;
+        const comparison = {
+            version,
+            previous,
+            launchDate: launches[version],
+            previousLaunchDate: launches[previous],
+            days,
+            perUser,
+            exposure: current.exposure,
+            previousExposure: before.exposure,
+            count: current.total,
+            previousCount: before.total,
+            rate,
+            previousRate,
+            ratio: previousRate > 0 ? rate / previousRate : null,
+            pValue: rateIncreasePValue(current.total, current.exposure, before.total, before.exposure),
+            significant: false
+        };
+        tests.push(comparison);
+
+        const patternIds = [...new Set([...Object.keys(current.patterns), ...Object.keys(before.patterns)])];
+        const patterns = patternIds.map(id => {
+            const count = current.patterns[id] || 0;
+            const previousCount = before.patterns[id] || 0;
+            const rate = count / current.exposure;
+            const previousRate = previousCount / before.exposure;
+            const test = {
+                id,
+                count,
+                previousCount,
+                rate,
+                previousRate,
+                ratio: previousRate > 0 ? rate / previousRate : (count > 0 ? Infinity : null),
+                pValue: rateIncreasePValue(count, current.exposure, previousCount, before.exposure),
+                significant: false
+            };
+            tests.push(test);
+            return test;
+        });
+
+        comparison.patterns = patterns.sort((a, b) => (a.pValue === null) - (b.pValue === null) || a.pValue - b.pValue);
+        comparisons.push(comparison);
+    });
+
+    markSignificant(tests, falseDiscoveryRate);
+    return {
+        windowDays,
+        falseDiscoveryRate,
+        perUser: comparisons.length > 0 && comparisons.every(comparison => comparison.perUser),
+        versions: comparisons.reverse()
+    };
+}
+
+module.exports = {
+    compareReleases,
+    compareVersions,
+    binomialUpperTail,
+    DEFAULT_WINDOW_DAYS
+};
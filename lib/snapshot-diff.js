@@ -0,0 +1,97 @@
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Compares two { key: count } maps. Rows are sorted by the size of the change;
+// status is new, gone, up, down or same.
+function diffCounts(before, after) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys
+        .map(key => {
+            const previous = before[key] || 0;
+            const current = after[key] || 0;
+            let status = 'same';
+            if (previous === 0 && current > 0) status = 'new';
+            else if (previous > 0 && current === 0) status = 'gone';
+            else if (current > previous) status = 'up';
+            else if (current < previous) status = 'down';
+            return {
+                key,
+                before: previous,
+                after: current,
+                delta: current - previous,
+                changePercent: previous > 0 ? ((current - previous) / previous) * 100 : null,
+                status
+            };
+        })
+        .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || b.after - a.after || a.key.localeCompare(b.key));
+}
+
+function countsOf(groups, field) {
+    const counts = {};
+    Object.entries(groups).forEach(([key, group]) => {
+        counts[key] = group[field];
+    });
+    return counts;
+}
+
+// Matched pattern severities summed over versions, as in the executive summary
+function severityTotals(analysis) {
+    const totals = { critical: 0, high: 0, medium: 0, low: 0 };
+    Object.values(analysis.versionGroups).forEach(version => {
+        SEVERITIES.forEach(severity => {
+            totals[severity] += version.severityCount[severity];
+        });
+    });
+    return totals;
+}
+
+function period(analysis) {
+    const dates = Object.keys(analysis.dailyTrends)
+        .map(date => date.slice(0, 10))
+        .filter(date => !isNaN(Date.parse(date)))
+        .sort();
+    return { from: dates[0] || null, to: dates[dates.length - 1] || null };
+}
+
+// Diff between two analyzeEnhanced() results: the earlier export first. Share
+// deltas for severities are in percentage points of each side's total issues.
+function diffAnalyses(before, after) {
+    const patterns = diffCounts(countsOf(before.patternAnalysis, 'total'), countsOf(after.patternAnalysis, 'total'))
+        .map(row => {
+            const data = after.patternAnalysis[row.key] || before.patternAnalysis[row.key];
+            return { ...row, severity: data.severity, description: data.description };
+        });
+    const beforeSeverity = severityTotals(before);
+    const afterSeverity = severityTotals(after);
+    const share = (count, total) => (total > 0 ? (count / total) * 100 : 0);
+    const beforePeriod = period(before);
+    const afterPeriod = period(after);
+
+    return {
+        periods: {
+            before: beforePeriod,
+            after: afterPeriod,
+            overlapping: Boolean(beforePeriod.to && afterPeriod.from && beforePeriod.to >= afterPeriod.from &&
+                afterPeriod.to >= beforePeriod.from)
+        },
+        totals: diffCounts({ issues: before.totalIssues }, { issues: after.totalIssues })[0],
+        versions: diffCounts(countsOf(before.versionGroups, 'count'), countsOf(after.versionGroups, 'count')),
+        patterns,
+        tags: diffCounts(countsOf(before.tagPatterns, 'count'), countsOf(after.tagPatterns, 'count')),
+        newPatterns: patterns.filter(row => row.status === 'new'),
+        disappearedPatterns: patterns.filter(row => row.status === 'gone'),
+        severity: SEVERITIES.map(severity => ({
+            severity,
+            before: beforeSeverity[severity],
+            after: afterSeverity[severity],
+            delta: afterSeverity[severity] - beforeSeverity[severity],
+            beforeShare: share(beforeSeverity[severity], before.totalIssues),
+            afterShare: share(afterSeverity[severity], after.totalIssues),
+            shareDelta: share(afterSeverity[severity], after.totalIssues) - share(beforeSeverity[severity], before.totalIssues)
+        }))
+    };
+}
+
+module.exports = {
+    diffAnalyses,
+    diffCounts
+};
@@ -0,0 +1,125 @@
+const { escapeHtml } = require('./html-escape');
+
+// Static SVG versions of the report charts, for reports that must work without
+// loading Chart.js. Hover details are native <title> tooltips.
+const WIDTH = 800;
+const HEIGHT = 420;
+const MARGIN = { top: 40, right: 20, bottom: 80, left: 70 };
+const PLOT_WIDTH = WIDTH - MARGIN.left - MARGIN.right;
+const PLOT_HEIGHT = HEIGHT - MARGIN.top - MARGIN.bottom;
+// Most x-axis labels drawn; the rest are skipped evenly
+const MAX_X_LABELS = 16;
+
+function round(value) {
+    return Number(value.toFixed(1));
+}
+
+// Axis maximum and tick step: a 1, 2 or 5 multiple of a power of ten, about
+// five ticks up to at least `max`
+function niceScale(max) {
+    if (!(max > 0)) return { max: 1, step: 0.2 };
+    const rough = max / 5;
+    const magnitude = 10 ** Math.floor(Math.log10(rough));
+    const step = [1, 2, 5, 10].map(factor => factor * magnitude).find(candidate => candidate >= rough);
+    return { max: Math.ceil(max / step) * step, step };
+}
+
+// Horizontal grid lines, y tick labels and both axis titles
+function axes(scale, { xTitle, yTitle }) {
+    const parts = [];
+    const decimals = Math.max(0, -Math.floor(Math.log10(scale.step)));
+    const formatTick = value => value.toFixed(decimals);
+    for (let tick = 0; tick <= Math.round(scale.max / scale.step); tick++) {
+        const value = tick * scale.step;
+        const y = round(MARGIN.top + PLOT_HEIGHT - (value / scale.max) * PLOT_HEIGHT);
+        parts.push(`<line x1="${MARGIN.left}" y1="${y}" x2="${WIDTH - MARGIN.right}" y2="${y}" stroke="rgba(0,0,0,0.1)"/>`);
+        parts.push(`<text x="${MARGIN.left - 8}" y="${y + 4}" text-anchor="end" font-size="12" fill="#666">${formatTick(value)}</text>`);
+    }
+    parts.push(`<text x="${MARGIN.left + PLOT_WIDTH / 2}" y="${HEIGHT - 8}" text-anchor="middle" font-size="14" fill="#333">${escapeHtml(xTitle)}</text>`);
+    parts.push(`<text transform="translate(16 ${MARGIN.top + PLOT_HEIGHT / 2}) rotate(-90)" text-anchor="middle" font-size="14" fill="#333">${escapeHtml(yTitle)}</text>`);
+    return parts.join('');
+}
+
+// Category labels under the plot, slanted so dates and versions fit
+function xLabels(labels, xOf) {
+    const every = Math.ceil(labels.length / MAX_X_LABELS);
+    const baseline = MARGIN.top + PLOT_HEIGHT + 14;
+    return labels.map((label, index) => {
+        if (index % every !== 0) return '';
+        const x = round(xOf(index));
+        return `<text transform="translate(${x} ${baseline}) rotate(-35)" text-anchor="end" font-size="11" fill="#666">${escapeHtml(label)}</text>`;
+    }).join('');
+}
+
+function svg(content, label) {
+    return `<svg class="svg-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${escapeHtml(label)}" font-family="-apple-system, BlinkMacSystemFont, sans-serif">${content}</svg>`;
+}
+
+// bars: [{ label, value, color, tooltip }]
+function barChart(bars, { label, xTitle, yTitle }) {
+    const scale = niceScale(Math.max(0, ...bars.map(bar => bar.value || 0)));
+    const slot = PLOT_WIDTH / Math.max(1, bars.length);
+    const barWidth = Math.max(1, slot * 0.75);
+    const xOf = index => MARGIN.left + slot * index + slot / 2;
+    const rects = bars.map((bar, index) => {
+        const height = ((bar.value || 0) / scale.max) * PLOT_HEIGHT;
+        return `<rect x="${round(xOf(index) - barWidth / 2)}" y="${round(MARGIN.top + PLOT_HEIGHT - height)}" width="${round(barWidth)}" height="${round(height)}" rx="${Math.min(6, round(barWidth / 4))}" fill="${bar.color}"><title>${escapeHtml(bar.tooltip)}</title></rect>`;
+    }).join('');
+    return svg(axes(scale, { xTitle, yTitle }) + rects + xLabels(bars.map(bar => bar.label), xOf), label);
+}
+
+// series: [{ name, values, color, fill, dashed, points: [{ radius, color }],
+// tooltips }]. A null value leaves a gap in the line. A legend is drawn when
+// there is more than one series.
+function lineChart(labels, series, { label, xTitle, yTitle }) {
+    const scale = niceScale(Math.max(0, ...series.flatMap(line => line.values.filter(value => value !== null))));
+    const step = labels.length > 1 ? PLOT_WIDTH / (labels.length - 1) : 0;
+    const xOf = index => MARGIN.left + (labels.length > 1 ? step * index : PLOT_WIDTH / 2);
+    const yOf = value => MARGIN.top + PLOT_HEIGHT - (value / scale.max) * PLOT_HEIGHT;
+    const bottom = MARGIN.top + PLOT_HEIGHT;
+
+    const lines = series.map(line => {
+        const segments = [];
+        let current = [];
+        line.values.forEach((value, index) => {
+            if (value === null || value === undefined) {
+                if (current.length > 0) segments.push(current);
+                current = [];
+            } else {
+                current.push([round(xOf(index)), round(yOf(value))]);
+            }
+        });
+        if (current.length > 0) segments.push(current);
+
+        const parts = segments.map(points => {
+            const path = points.map(([x, y]) => `${x},${y}`).join(' ');
+            const area = line.fill
+                ? `<polygon points="${points[0][0]},${bottom} ${path} ${points[points.length - 1][0]},${bottom}" fill="${line.fill}"/>`
+                : '';
+            return `${area}<polyline points="${path}" fill="none" stroke="${line.color}" stroke-width="2"${line.dashed ? ' stroke-dasharray="5 5"' : ''}/>`;
+        });
+        if (line.points || line.tooltips) {
+            line.values.forEach((value, index) => {
+                if (value === null || value === undefined) return;
+                const point = (line.points && line.points[index]) || { radius: 3, color: line.color };
+                const tooltip = line.tooltips ? `<title>${escapeHtml(line.tooltips[index])}</title>` : '';
+                parts.push(`<circle cx="${round(xOf(index))}" cy="${round(yOf(value))}" r="${point.radius}" fill="${point.color}" stroke="#fff" stroke-width="${point.radius > 0 ? 2 : 0}">${tooltip}</circle>`);
+            });
+        }
+        return parts.join('');
+    }).join('');
+
+    const legend = series.length > 1
+        ? series.map((line, index) => {
+            const x = MARGIN.left + (index % 4) * (PLOT_WIDTH / 4);
+            const y = 12 + Math.floor(index / 4) * 14;
+            return `<rect x="${round(x)}" y="${y - 9}" width="12" height="10" fill="${line.color}"/><text x="${round(x + 16)}" y="${y}" font-size="11" fill="#333">${escapeHtml(line.name)}</text>`;
+        }).join('')
+        : '';
+    return svg(axes(scale, { xTitle, yTitle }) + lines + xLabels(labels, xOf) + legend, label);
+}
+
+module.exports = {
+    barChart,
+    lineChart
+};
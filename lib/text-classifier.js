@@ -0,0 +1,154 @@
+const fs = require('fs');
+const { normalizeText, UNSPACED_SCRIPT } = require('./pattern-rules');
+const { FIELDS } = require('./column-mapping');
+const { AnalyzerError, EXIT_CODES } = require('./errors');
+
+const MODEL_TYPE = 'naive-bayes';
+const MODEL_VERSION = 1;
+const SMOOTHING = 1;
+const TEXT_FIELDS = ['title', 'tags', 'messages'];
+
+// Words plus adjacent word pairs, so "kicks me out" and "goes dark" carry more
+// signal than their parts. Runs of unspaced scripts become character bigrams.
+function tokenize(text) {
+    const words = normalizeText(text).match(/[\p{L}\p{N}][\p{L}\p{N}'’]*/gu) || [];
+    const tokens = [];
+    words.forEach((word, index) => {
+        if (UNSPACED_SCRIPT.test(word)) {
+            const chars = Array.from(word);
+            if (chars.length === 1) tokens.push(word);
+            for (let i = 0; i < chars.length - 1; i++) {
+                tokens.push(chars[i] + chars[i + 1]);
+            }
+            return;
+        }
+        tokens.push(word);
+        const next = words[index + 1];
+        if (next && !UNSPACED_SCRIPT.test(next)) {
+            tokens.push(`${word} ${next}`);
+        }
+    });
+    return tokens;
+}
+
+// The classifier reads the same fields pattern rules match by default
+function issueText(issue) {
+    return TEXT_FIELDS.map(field => issue[FIELDS[field].key] || '').join(' ');
+}
+
+// Token tables are keyed by arbitrary words, so "constructor" or "__proto__"
+// must never resolve to Object.prototype members
+function countOf(counts, token) {
+    return Object.hasOwn(counts, token) ? counts[token] : 0;
+}
+
+// One-vs-rest naive Bayes over token presence: for each pattern the model
+// compares how often each token appears in issues with and without that label.
+// Trained models are plain JSON so they can be saved next to the rules file.
+class TextClassifier {
+    constructor(model) {
+        if (!model || model.type !== MODEL_TYPE || model.version !== MODEL_VERSION) {
+            throw new AnalyzerError(`Unsupported classifier model (expected ${MODEL_TYPE} v${MODEL_VERSION})`, EXIT_CODES.CONFIG_INVALID);
+        }
+        this.model = model;
+        this.vocabularySize = Object.keys(model.documentFrequency).length;
+    }
+
+    // documents: [{ text, labels: [patternId] }]
+    // patterns: { [id]: { name, severity, description } } for every label to learn
+    static train(documents, patterns, { minDocumentFrequency = documents.length >= 500 ? 2 : 1 } = {}) {
+        const tokenSets = documents.map(document => new Set(tokenize(document.text)));
+
+        const documentFrequency = Object.create(null);
+        tokenSets.forEach(tokens => tokens.forEach(token => {
+            documentFrequency[token] = countOf(documentFrequency, token) + 1;
+        }));
+        Object.keys(documentFrequency).forEach(token => {
+            if (documentFrequency[token] < minDocumentFrequency) delete documentFrequency[token];
+        });
+
+        const modelPatterns = {};
+        Object.entries(patterns).forEach(([id, meta]) => {
+            const tokenCounts = Object.create(null);
+            let documentCount = 0;
+            let tokenTotal = 0;
+            documents.forEach((document, index) => {
+                if (!document.labels.includes(id)) return;
+                documentCount++;
+                tokenSets[index].forEach(token => {
+                    if (!Object.hasOwn(documentFrequency, token)) return;
+                    tokenCounts[token] = countOf(tokenCounts, token) + 1;
+                    tokenTotal++;
+                });
+            });
+            modelPatterns[id] = { ...meta, documentCount, tokenTotal, tokenCounts };
+        });
+
+        const tokenTotal = tokenSets.reduce((sum, tokens) => sum + [...tokens].filter(token => Object.hasOwn(documentFrequency, token)).length, 0);
+        return new TextClassifier({
+            type: MODEL_TYPE,
+            version: MODEL_VERSION,
+            trainedAt: new Date().toISOString(),
+            documentCount: documents.length,
+            tokenTotal,
+            documentFrequency,
+            patterns: modelPatterns
+        });
+    }
+
+    static load(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new AnalyzerError(`Classifier model not found: ${filePath}`, EXIT_CODES.CONFIG_INVALID);
+        }
+        let model;
+        try {
+            model = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new AnalyzerError(`Could not read classifier model ${filePath}: ${error.message}`, EXIT_CODES.CONFIG_INVALID);
+        }
+        return new TextClassifier(model);
+    }
+
+    save(filePath) {
+        fs.writeFileSync(filePath, JSON.stringify(this.model));
+    }
+
+    // { [id]: { name, severity, description, documentCount, ... } }
+    get patterns() {
+        return this.model.patterns;
+    }
+
+    // Returns { [patternId]: probability between 0 and 1 }
+    predict(text) {
+        const { documentCount, tokenTotal, documentFrequency, patterns } = this.model;
+        const tokens = [...new Set(tokenize(text))].filter(token => Object.hasOwn(documentFrequency, token));
+        const probabilities = {};
+
+        Object.entries(patterns).forEach(([id, pattern]) => {
+            const negativeDocuments = documentCount - pattern.documentCount;
+            if (pattern.documentCount === 0 || negativeDocuments === 0) {
+                probabilities[id] = pattern.documentCount === 0 ? 0 : 1;
+                return;
+            }
+            const negativeTotal = tokenTotal - pattern.tokenTotal;
+            const positiveDenominator = pattern.tokenTotal + SMOOTHING * this.vocabularySize;
+            const negativeDenominator = negativeTotal + SMOOTHING * this.vocabularySize;
+
+            let logOdds = Math.log(pattern.documentCount) - Math.log(negativeDocuments);
+            tokens.forEach(token => {
+                const positive = countOf(pattern.tokenCounts, token);
+                const negative = documentFrequency[token] - positive;
+                logOdds += Math.log((positive + SMOOTHING) / positiveDenominator) -
+                    Math.log((negative + SMOOTHING) / negativeDenominator);
+            });
+            probabilities[id] = 1 / (1 + Math.exp(-logOdds));
+        });
+        return probabilities;
+    }
+}
+
+module.exports = {
+    TextClassifier,
+    issueText,
+    tokenize
+};
@@ -0,0 +1,127 @@
+const fs = require('fs');
+const { readCSVFile } = require('./csv-parser');
+const { normalizeDate } = require('./input-adapters');
+const { AnalyzerError, EXIT_CODES } = require('./errors');
+
+// Accepted header names (case-insensitive) for each column of a usage file
+const USAGE_COLUMNS = {
+    date: ['date', 'day'],
+    appVersion: ['app_version', 'version', 's_meta_application_version'],
+    osVersion: ['os_version', 's_meta_other_os_version'],
+    country: ['country', 'country_code', 's_meta_other_country_code'],
+    users: ['users', 'active_users', 'dau'],
+    sessions: ['sessions']
+};
+const DIMENSIONS = ['appVersion', 'osVersion', 'country'];
+
+// Denominators for turning issue counts into rates. Each row is one disjoint
+// slice of usage: a day plus any of app version, OS version and country, with
+// the active users (or sessions) in it. Leave a dimension out of the file
+// entirely rather than mixing total rows with per-version rows.
+class UsageData {
+    // rows: [{ date: 'YYYY-MM-DD', amount, appVersion?, osVersion?, country? }]
+    constructor(rows, { measure = 'users', source = 'in-memory', dimensions = null } = {}) {
+        this.rows = rows;
+        this.measure = measure;
+        this.source = source;
+        this.dimensions = dimensions || DIMENSIONS.filter(dimension => rows.some(row => row[dimension] !== undefined));
+        this.dates = [...new Set(rows.map(row => row.date))].sort();
+    }
+
+    static fromFile(filePath, { delimiter = ',' } = {}) {
+        if (!fs.existsSync(filePath)) {
+            throw new AnalyzerError(`Usage file not found: ${filePath}`, EXIT_CODES.INPUT_NOT_FOUND);
+        }
+        let columns = null;
+        let skipped = 0;
+        const rows = [];
+        readCSVFile(filePath, { delimiter }, fields => {
+            const values = fields.map(field => field.trim());
+            if (!columns) {
+                const headers = values.map(header => header.toLowerCase());
+                columns = {};
+                Object.entries(USAGE_COLUMNS).forEach(([column, names]) => {
+                    const index = headers.findIndex(header => names.includes(header));
+                    if (index !== -1) columns[column] = index;
+                });
+                if (columns.date === undefined || (columns.users === undefined && columns.sessions === undefined)) {
+                    throw new AnalyzerError(
+                        `${filePath} needs a date column (${USAGE_COLUMNS.date.join(' | ')}) and a users (${USAGE_COLUMNS.users.join(' | ')}) or sessions column`,
+                        EXIT_CODES.INVALID_INPUT
+                    );
+                }
+                return;
+            }
+            if (values.length === 1 && values[0] === '') return;
+
+            const date = normalizeDate(values[columns.date]);
+            const amount = Number(values[columns.users !== undefined ? columns.users : columns.sessions]);
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !isFinite(amount) || amount < 0) {
+                skipped++;
+                return;
+            }
+            const row = { date, amount };
+            DIMENSIONS.forEach(dimension => {
+                if (columns[dimension] !== undefined) {
+                    row[dimension] = values[columns[dimension]] || '';
+                }
+            });
+            rows.push(row);
+        });
+
+        if (!columns || rows.length === 0) {
+            throw new AnalyzerError(`${filePath} has no usable usage rows`, EXIT_CODES.INVALID_INPUT);
+        }
+        const usage = new UsageData(rows, {
+            measure: columns.users !== undefined ? 'users' : 'sessions',
+            source: filePath,
+            dimensions: DIMENSIONS.filter(dimension => columns[dimension] !== undefined)
+        });
+        usage.skipped = skipped;
+        return usage;
+    }
+
+    has(dimension) {
+        return this.dimensions.includes(dimension);
+    }
+
+    get unit() {
+        return this.measure === 'users' ? 'users' : 'sessions';
+    }
+
+    matchingRows({ from = null, to = null, ...filter } = {}) {
+        const keys = Object.keys(filter).filter(key => filter[key] !== undefined && filter[key] !== null);
+        if (keys.some(key => !this.has(key))) return null;
+        return this.rows.filter(row =>
+            (!from || row.date >= from) && (!to || row.date <= to) &&
+            keys.every(key => String(row[key]).toLowerCase() === String(filter[key]).toLowerCase()));
+    }
+
+    // Users summed over days (user-days), or total sessions. Null when the file
+    // cannot break usage down by a filtered dimension.
+    exposure(filter = {}) {
+        const rows = this.matchingRows(filter);
+        return rows === null ? null : rows.reduce((sum, row) => sum + row.amount, 0);
+    }
+
+    // What "per 10k" refers to: average daily active users over the period, or
+    // total sessions. Null when unknown or zero.
+    denominator(filter = {}) {
+        const total = this.exposure(filter);
+        if (!total) return null;
+        if (this.measure === 'sessions') return total;
+        const days = this.dates.filter(date => (!filter.from || date >= filter.from) && (!filter.to || date <= filter.to)).length;
+        return days > 0 ? total / days : null;
+    }
+
+    // Issues per 10k users (or sessions), or null without a denominator
+    ratePer10k(count, filter = {}) {
+        const denominator = this.denominator(filter);
+        return denominator ? (count / denominator) * 10000 : null;
+    }
+}
+
+module.exports = {
+    UsageData,
+    USAGE_COLUMNS
+};
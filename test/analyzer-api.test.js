@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES } = require('../enhanced-ios-analyzer');
+
+function issue(overrides = {}) {
+    return {
+        s_issue_title: 'App crashes on launch',
+        a_tags: '["crash"]',
+        s_messages: '',
+        s_meta_application_version: '3.1.0',
+        d_created_date: '2025-06-02',
+        s_meta_other_platform: 'ios',
+        ...overrides
+    };
+}
+
+test('analyze() accepts arrays of issue objects and returns analysis and insights', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    const { analysis, insights } = analyzer.analyze([[issue(), issue({ s_issue_title: 'Game freezes', a_tags: '[]' })]]);
+    assert.equal(analysis.totalIssues, 2);
+    assert.equal(analysis.patternAnalysis.hardCrash.total, 1);
+    assert.ok(Array.isArray(insights) && insights.length > 0);
+});
+
+test('each analyze() call on one instance only sees its own issues', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    assert.equal(analyzer.analyze([issue()]).analysis.totalIssues, 1);
+    const second = analyzer.analyze([issue({ s_issue_title: 'Game freezes', s_meta_application_version: '3.2.0' })]).analysis;
+    assert.equal(second.totalIssues, 1);
+    assert.deepEqual(Object.keys(second.versionGroups), ['3.2.0']);
+    assert.equal(second.dataQuality.rowsRead, 1);
+});
+
+test('load() replaces the issues of an earlier load()', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    analyzer.load([issue(), issue()]);
+    assert.equal(analyzer.load([issue()]), 1);
+    assert.equal(analyzer.analyze().analysis.totalIssues, 1);
+});
+
+test('errors are AnalyzerErrors carrying the CLI exit code', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    assert.throws(() => analyzer.analyze('does-not-exist.csv'),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.INPUT_NOT_FOUND);
+    assert.throws(() => analyzer.analyze([issue({ s_meta_other_platform: 'android' })]),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.NO_ISSUES);
+    assert.throws(() => analyzer.analyze(42), TypeError);
+});
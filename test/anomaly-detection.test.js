@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EnhancedIOSAnalyzer, parseArgs } = require('../enhanced-ios-analyzer');
+const { detectAnomalies, METHODS } = require('../lib/anomaly-detection');
+
+function day(offset) {
+    return new Date(Date.UTC(2025, 5, 2 + offset)).toISOString().slice(0, 10);
+}
+
+// `weeks` weeks starting on a Monday; `valueOf(offset)` gives each day's count
+function series(weeks, valueOf) {
+    return Array.from({ length: weeks * 7 }, (_, offset) => ({ date: day(offset), value: valueOf(offset) }));
+}
+
+function anomalies(result) {
+    return Object.entries(result.days).filter(([, entry]) => entry.isAnomaly).map(([date]) => date);
+}
+
+test('a spike over a steady series is flagged by every method', () => {
+    const spiked = series(6, offset => (offset === 38 ? 60 : 10 + (offset % 3)));
+    Object.keys(METHODS).forEach(method => {
+        assert.deepEqual(anomalies(detectAnomalies(spiked, { method })), [day(38)], method);
+    });
+});
+
+test('the seasonal method expects busy weekends', () => {
+    const weekly = series(8, offset => ([5, 6].includes(offset % 7) ? 30 : 10));
+    assert.deepEqual(anomalies(detectAnomalies(weekly, { method: 'seasonal' })), []);
+    assert.ok(anomalies(detectAnomalies(weekly, { method: 'mad' })).length > 0);
+
+    const weekendSpike = weekly.map(entry => (entry.date === day(54) ? { ...entry, value: 90 } : entry));
+    assert.deepEqual(anomalies(detectAnomalies(weekendSpike, { method: 'seasonal' })), [day(54)]);
+});
+
+test('drops, small counts and days without history are never flagged', () => {
+    const quiet = series(3, offset => (offset === 15 ? 4 : offset === 18 ? 0 : offset % 2));
+    const result = detectAnomalies(quiet, { method: 'mad' });
+    assert.deepEqual(anomalies(result), []);
+    assert.ok(result.days[day(15)].score > 0);
+    assert.equal(result.days[day(0)].expected, null);
+    assert.equal(result.days[day(2)].expected, null);
+    assert.notEqual(result.days[day(3)].expected, null);
+});
+
+test('missing calendar days count as zero', () => {
+    const sparse = [0, 7, 14, 21, 28].map(offset => ({ date: day(offset), value: 3 })).concat({ date: day(29), value: 9 });
+    const result = detectAnomalies(sparse, { method: 'mad', window: 7 });
+    assert.equal(result.days[day(29)].expected, 0);
+    assert.deepEqual(anomalies(result), [day(29)]);
+});
+
+test('window and threshold override the method defaults', () => {
+    const result = detectAnomalies(series(2, () => 1), { method: 'zscore', window: 5, threshold: 2 });
+    assert.deepEqual([result.options.window, result.options.threshold], [5, 2]);
+    assert.throws(() => detectAnomalies([], { method: 'ewma' }), /Unknown anomaly method "ewma"/);
+    assert.throws(() => parseArgs(['--spike-method', 'ewma']), /--spike-method must be one of/);
+    assert.throws(() => parseArgs(['--spike-window', '2']), /--spike-window must be a whole number of days, at least 3/);
+    assert.throws(() => parseArgs(['--spike-threshold', '-1']), /--spike-threshold must be a positive number/);
+});
+
+test('a regional outage is flagged for its country but not globally', () => {
+    const issues = [];
+    for (let offset = 0; offset < 42; offset++) {
+        ['US', 'DE', 'JP', 'BR'].forEach(country => {
+            const count = country === 'DE' && offset === 40 ? 12
+                : country === 'US' ? 20 + (offset % 4) * 3 : 2;
+            for (let index = 0; index < count; index++) {
+                issues.push({
+                    s_issue_title: 'Game freezes on the map',
+                    s_meta_application_version: '3.1.0',
+                    d_created_date: day(offset),
+                    s_meta_other_platform: 'ios',
+                    s_meta_other_country_code: country
+                });
+            }
+        });
+    }
+    issues.push({ ...issues[0], s_meta_other_country_code: 'FR' });
+
+    const { countryGroups, dailyAnomalies } = new EnhancedIOSAnalyzer({ logger: null, anomalyMethod: 'mad' }).analyze([issues]).analysis;
+    assert.deepEqual(countryGroups.DE.anomalies.map(anomaly => [anomaly.date, anomaly.globalSpike]), [[day(40), false]]);
+    assert.deepEqual(countryGroups.US.anomalies, []);
+    // Too few issues to score on its own
+    assert.deepEqual(countryGroups.FR.anomalies, []);
+    assert.equal(dailyAnomalies.days[day(40)].isAnomaly, false);
+});
@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES, parseArgs } = require('../enhanced-ios-analyzer');
+
+const SCRIPT = path.join(__dirname, '..', 'enhanced-ios-analyzer.js');
+const HEADER = 's_issue_title,a_tags,s_meta_application_version,d_created_date,s_meta_other_platform';
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function run(args, cwd) {
+    return spawnSync(process.execPath, [SCRIPT, ...args], { cwd, encoding: 'utf8', timeout: 60000 });
+}
+
+function usageError(argv, message) {
+    assert.throws(() => parseArgs(argv),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.USAGE && message.test(error.message));
+}
+
+test('parseArgs defaults to the old file names and iOS', () => {
+    const args = parseArgs([]);
+    assert.equal(args.command, 'analyze');
+    assert.deepEqual(args.inputs, ['unresolved_issues_past_3_months.csv']);
+    assert.equal(args.output, 'enhanced-ios-report.html');
+    assert.equal(args.platform, 'ios');
+});
+
+test('parseArgs takes repeated and positional inputs and --flag=value', () => {
+    const args = parseArgs(['-i', 'a.csv', 'b.csv', '--output=out.html', '--platform', 'ALL', '--from', '2025-06-01', '--to=2025-06-30']);
+    assert.deepEqual(args.inputs, ['a.csv', 'b.csv']);
+    assert.equal(args.output, 'out.html');
+    assert.equal(args.platform, 'all');
+    assert.equal(args.from, '2025-06-01');
+    assert.equal(args.to, '2025-06-30');
+});
+
+test('parseArgs rejects bad options with the usage exit code', () => {
+    usageError(['--bogus'], /Unknown option: --bogus/);
+    usageError(['--output'], /Missing value for --output/);
+    usageError(['--from', '06/01/2025'], /--from must be a date in YYYY-MM-DD format/);
+    usageError(['--to', '2025-02-30x'], /--to must be a date/);
+    usageError(['--from', '2025-07-01', '--to', '2025-06-01'], /is after --to/);
+});
+
+test('--from and --to compare dates in other formats by calendar day', () => {
+    const issues = ['2025-05-31T23:00:00Z', 'Jun 1, 2025 10:00', '18/Jun/25 3:04 PM', '2025-06-30', '2025-07-01'].map(date => ({
+        s_issue_title: 'App crashes on launch',
+        d_created_date: date,
+        s_meta_application_version: '3.1.0',
+        s_meta_other_platform: 'ios'
+    }));
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null, from: '2025-06-01', to: '2025-06-30' });
+    const { analysis } = analyzer.analyze([issues]);
+    assert.equal(analysis.totalIssues, 3);
+    assert.equal(analysis.dataQuality.categories.dateFiltered.count, 2);
+});
+
+test('the script writes a report and exits 0', t => {
+    const directory = temporaryDirectory(t);
+    fs.writeFileSync(path.join(directory, 'export.csv'), `${HEADER}\nApp crashes on launch,"[""crash""]",3.1.0,2025-06-02,ios\n`);
+    const result = run(['export.csv', '-o', 'report.html'], directory);
+    assert.equal(result.status, EXIT_CODES.OK, result.stderr);
+    assert.ok(fs.existsSync(path.join(directory, 'report.html')));
+});
+
+test('the script exits with a distinct code for each failure', t => {
+    const directory = temporaryDirectory(t);
+    fs.writeFileSync(path.join(directory, 'android.csv'), `${HEADER}\nApp crashes,[],3.1.0,2025-06-02,android\n`);
+    fs.writeFileSync(path.join(directory, 'columns.csv'), 'title,date\nApp crashes,2025-06-02\n');
+
+    const usage = run(['--bogus'], directory);
+    assert.equal(usage.status, EXIT_CODES.USAGE);
+    assert.match(usage.stderr, /Usage:/);
+    assert.equal(run(['missing.csv'], directory).status, EXIT_CODES.INPUT_NOT_FOUND);
+    assert.equal(run(['android.csv'], directory).status, EXIT_CODES.NO_ISSUES);
+    assert.equal(run(['columns.csv'], directory).status, EXIT_CODES.INVALID_INPUT);
+    assert.ok(!fs.existsSync(path.join(directory, 'enhanced-ios-report.html')));
+});
+
+test('--help prints usage and exits 0', () => {
+    const result = run(['--help']);
+    assert.equal(result.status, EXIT_CODES.OK);
+    assert.match(result.stdout, /Exit codes:/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES } = require('../enhanced-ios-analyzer');
+const { ColumnMapping } = require('../lib/column-mapping');
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'column-mapping-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function write(directory, name, content) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+function failsWith(exitCode, action, message = /./) {
+    assert.throws(action, error => error instanceof AnalyzerError && error.exitCode === exitCode && message.test(error.message));
+}
+
+test('mapped columns are renamed and the first candidate present wins', t => {
+    const directory = temporaryDirectory(t);
+    const mapping = write(directory, 'columns.yaml', [
+        'columns:',
+        '  title: Issue Title',
+        '  createdDate: [created_at, Created]   # first column present wins',
+        '  appVersion: Version',
+        '  platform: OS'
+    ].join('\n'));
+    const file = write(directory, 'export.csv', 'Issue Title,Created,created_at,Version,OS\nApp crashes on launch,2025-01-01,2025-06-02,3.1.0,ios\n');
+
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null, columnMapping: mapping });
+    analyzer.load(file);
+    const [issue] = analyzer.issues;
+    assert.equal(issue.s_issue_title, 'App crashes on launch');
+    assert.equal(issue.d_created_date, '2025-06-02');
+    assert.equal(issue.s_meta_application_version, '3.1.0');
+    assert.equal(issue['Issue Title'], 'App crashes on launch');
+});
+
+test('a missing required column exits 5 before rows are read', t => {
+    const directory = temporaryDirectory(t);
+    const file = write(directory, 'export.csv', 's_issue_title,d_created_date,s_meta_other_platform\nApp crashes,2025-06-02,ios\n');
+    failsWith(EXIT_CODES.INVALID_INPUT, () => new EnhancedIOSAnalyzer({ logger: null }).load(file),
+        /missing required column\(s\): appVersion \(s_meta_application_version\)/);
+
+    const relaxed = new EnhancedIOSAnalyzer({ logger: null, columnMapping: { required: ['title', 'createdDate'] } });
+    assert.equal(relaxed.load(file), 1);
+});
+
+test('platform is only required when filtering by platform', t => {
+    const directory = temporaryDirectory(t);
+    const file = write(directory, 'export.csv', 's_issue_title,s_meta_application_version,d_created_date\nApp crashes,3.1.0,2025-06-02\n');
+    failsWith(EXIT_CODES.INVALID_INPUT, () => new EnhancedIOSAnalyzer({ logger: null }).load(file), /platform/);
+    assert.equal(new EnhancedIOSAnalyzer({ logger: null, platform: 'all' }).load(file), 1);
+});
+
+test('JSON records may leave out columns that other records have', t => {
+    const directory = temporaryDirectory(t);
+    const base = { s_issue_title: 'App crashes', d_created_date: '2025-06-02', s_meta_other_platform: 'ios' };
+    const file = write(directory, 'export.json', JSON.stringify([base, { ...base, s_meta_application_version: '3.1.0' }]));
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    assert.equal(analyzer.load(file), 2);
+    assert.deepEqual(analyzer.issues.map(issue => issue.s_meta_application_version), [undefined, '3.1.0']);
+
+    const missing = write(directory, 'missing.json', JSON.stringify([base, base]));
+    failsWith(EXIT_CODES.INVALID_INPUT, () => new EnhancedIOSAnalyzer({ logger: null }).load(missing), /appVersion/);
+});
+
+test('invalid mapping configs exit 6', t => {
+    const directory = temporaryDirectory(t);
+    [
+        [{ colums: {} }, /unknown setting\(s\) colums/],
+        [{ columns: { summary: 'Summary' } }, /unknown field\(s\) summary/],
+        [{ columns: { title: [] } }, /"title" must be a column name/],
+        [{ columns: { title: ' ' } }, /"title" must be a column name/],
+        [{ required: ['title', 'nope'] }, /"required" must be a list of known fields/],
+        [[], /expected an object/]
+    ].forEach(([config, message]) => {
+        failsWith(EXIT_CODES.CONFIG_INVALID, () => new ColumnMapping(config), message);
+    });
+    failsWith(EXIT_CODES.CONFIG_INVALID, () => ColumnMapping.fromFile(path.join(directory, 'none.json')), /Config file not found/);
+    failsWith(EXIT_CODES.CONFIG_INVALID, () => ColumnMapping.fromFile(write(directory, 'bad.json', '{')), /Could not parse config file/);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EnhancedIOSAnalyzer } = require('../enhanced-ios-analyzer');
+const { UsageData } = require('../lib/usage-data');
+const { countryTiles, countryName } = require('../lib/country-map');
+
+function issue(title, country, date = '2025-06-02', overrides = {}) {
+    return {
+        s_issue_title: title,
+        s_meta_application_version: '3.1.0',
+        d_created_date: date,
+        s_meta_other_platform: 'ios',
+        s_meta_other_country_code: country,
+        ...overrides
+    };
+}
+
+const ISSUES = [
+    issue('App crashes on launch', 'US', '2025-06-02'),
+    issue('App crashes on launch', 'US', '2025-06-03'),
+    issue('Game freezes on the map', 'US', '2025-06-03'),
+    issue('Game freezes on the map', 'DE', '2025-06-03', { s_meta_application_version: '3.2.0' }),
+    issue('Purchase went through fine', '')
+];
+
+test('every country gets counts, pattern mix, severity and a daily series', () => {
+    const { countryGroups, versionGroups } = new EnhancedIOSAnalyzer({ logger: null }).analyze([ISSUES]).analysis;
+    assert.deepEqual(Object.keys(countryGroups).sort(), ['DE', 'US', 'Unknown']);
+    assert.equal(countryGroups.US.count, 3);
+    assert.deepEqual(countryGroups.US.patterns, { freeze: 1, hardCrash: 2 });
+    assert.equal(countryGroups.US.severityCount.critical, 2);
+    assert.deepEqual(countryGroups.US.daily, { '2025-06-02': 1, '2025-06-03': 2 });
+    assert.deepEqual(countryGroups.Unknown.patterns, {});
+
+    // Version cards list countries busiest first, with their counts
+    assert.deepEqual(versionGroups['3.1.0'].countries, ['US', 'Unknown']);
+    assert.deepEqual(versionGroups['3.1.0'].countryCounts, { US: 3, Unknown: 1 });
+});
+
+test('the tile map gives every country its own cell', () => {
+    const tiles = countryTiles();
+    const cells = Object.values(tiles).map(tile => `${tile.col}:${tile.row}`);
+    assert.equal(new Set(cells).size, cells.length);
+    assert.equal(Math.min(...Object.values(tiles).map(tile => tile.col)), 0);
+    assert.equal(Math.min(...Object.values(tiles).map(tile => tile.row)), 0);
+    // West to east and north to south
+    assert.ok(tiles.US.col < tiles.DE.col && tiles.DE.col < tiles.JP.col);
+    assert.ok(tiles.NO.row < tiles.ZA.row);
+    assert.equal(countryTiles(), tiles);
+});
+
+test('country names come from the code, falling back to the code', () => {
+    assert.equal(countryName('DE'), 'Germany');
+    assert.equal(countryName('jp'), 'Japan');
+    assert.equal(countryName('Unknown'), 'Unknown');
+    assert.equal(countryName('EU1'), 'EU1');
+});
+
+test('the map shades countries by count, or by rate with usage by country', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    const { analysis } = analyzer.analyze([ISSUES]);
+    const section = analyzer.generateCountrySection(analysis.countryGroups, Object.keys(analysis.dailyTrends).sort());
+    assert.match(section, /Geographic Breakdown/);
+    assert.match(section, /shaded by issue count/);
+    assert.match(section, /fill="rgba\(255, 59, 48, 1\.00\)"><title>United States: 3<\/title>/);
+    assert.match(section, /fill="#e5e5ea"><title>France: no issues<\/title>/);
+    assert.match(section, /<td><strong>US<\/strong><br><small>United States<\/small><\/td>/);
+
+    const usage = new UsageData([
+        { date: '2025-06-02', country: 'US', amount: 30000 },
+        { date: '2025-06-02', country: 'DE', amount: 1000 },
+        { date: '2025-06-03', country: 'US', amount: 30000 },
+        { date: '2025-06-03', country: 'DE', amount: 1000 }
+    ]);
+    const rated = new EnhancedIOSAnalyzer({ logger: null, usage });
+    const ratedAnalysis = rated.analyze([ISSUES]).analysis;
+    assert.equal(ratedAnalysis.countryGroups.DE.ratePer10k, 10);
+    const ratedSection = rated.generateCountrySection(ratedAnalysis.countryGroups, Object.keys(ratedAnalysis.dailyTrends).sort());
+    assert.match(ratedSection, /shaded by issues per 10k users/);
+    assert.match(ratedSection, /<title>Germany: 10<\/title>/);
+});
+
+test('the section is left out when no issue has a country', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    const { analysis } = analyzer.analyze([[issue('App crashes on launch', '')]]);
+    assert.deepEqual(Object.keys(analysis.countryGroups), ['Unknown']);
+    assert.equal(analyzer.generateCountrySection(analysis.countryGroups, Object.keys(analysis.dailyTrends)), '');
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { CSVParser, readCSVFile, parseCSVText } = require('../lib/csv-parser');
+
+const SAMPLE = '\uFEFFid,title,notes\r\n' +
+    '1,"Crash, then freeze","He said ""again""\r\nand again"\r\n' +
+    '\r\n' +
+    '2,Plain,\n' +
+    '3,"Ends with quote """,x\r' +
+    '4,,"multi\nline\nnotes"';
+
+const EXPECTED = [
+    ['id', 'title', 'notes'],
+    ['1', 'Crash, then freeze', 'He said "again"\r\nand again'],
+    ['2', 'Plain', ''],
+    ['3', 'Ends with quote "', 'x'],
+    ['4', '', 'multi\nline\nnotes']
+];
+
+function records(text, chunkSize, options = {}) {
+    const result = [];
+    const parser = new CSVParser(options, (fields, info) => result.push({ fields, info }));
+    for (let i = 0; i < text.length; i += chunkSize) {
+        parser.write(text.slice(i, i + chunkSize));
+    }
+    parser.end();
+    return result;
+}
+
+test('quoted fields keep delimiters, escaped quotes and line breaks', () => {
+    assert.deepEqual(parseCSVText(SAMPLE), EXPECTED);
+});
+
+test('records come out the same whatever the chunk size', () => {
+    [1, 2, 3, 7].forEach(chunkSize => {
+        assert.deepEqual(records(SAMPLE, chunkSize).map(record => record.fields), EXPECTED, `chunk size ${chunkSize}`);
+    });
+});
+
+test('each record reports the physical line it started on', () => {
+    assert.deepEqual(records(SAMPLE, 5).map(record => record.info.line), [1, 2, 5, 6, 7]);
+});
+
+test('an unterminated quote is flagged on the last record', () => {
+    const result = records('a,b\n1,"never closed\n2,x\n', 4);
+    assert.equal(result.length, 2);
+    assert.deepEqual(result[1].fields, ['1', 'never closed\n2,x\n']);
+    assert.deepEqual(result[1].info, { line: 2, unterminatedQuote: true });
+});
+
+test('other delimiters and a quote mid-field', () => {
+    assert.deepEqual(parseCSVText('a;b\t"c;d";5" screen\n', { delimiter: ';' }), [['a', 'b\t"c', 'd"', '5" screen']]);
+    assert.deepEqual(parseCSVText('a\t"b\tc"\n', { delimiter: '\t' }), [['a', 'b\tc']]);
+});
+
+test('readCSVFile decodes multi-byte characters split across read chunks', t => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'csv-parser-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    const file = path.join(directory, 'export.csv');
+    // Enough rows to span several 64 KB reads, with emoji and CJK at odd offsets
+    const rows = Array.from({ length: 3000 }, (_, index) => `${index},"アプリが落ちる 😡 ${'x'.repeat(index % 7)}\nline two"`);
+    fs.writeFileSync(file, `id,title\n${rows.join('\r\n')}\n`);
+
+    const seen = [];
+    const count = readCSVFile(file, {}, fields => seen.push(fields));
+    assert.equal(count, 3001);
+    seen.slice(1).forEach((fields, index) => {
+        assert.deepEqual(fields, [String(index), `アプリが落ちる 😡 ${'x'.repeat(index % 7)}\nline two`]);
+    });
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EnhancedIOSAnalyzer } = require('../enhanced-ios-analyzer');
+const { resolveDevice, parseGigabytes, ramTier, storageTier } = require('../lib/device-models');
+
+function issue(title, device, overrides = {}) {
+    return {
+        s_issue_title: title,
+        s_meta_application_version: '3.1.0',
+        d_created_date: '2025-06-02',
+        s_meta_other_platform: 'ios',
+        s_meta_other_device_model: device,
+        ...overrides
+    };
+}
+
+test('hardware identifiers resolve to marketing names in any case', () => {
+    assert.deepEqual(resolveDevice('iPhone14,2'), { identifier: 'iPhone14,2', name: 'iPhone 13 Pro', family: 'iPhone 13', ramGB: 6 });
+    assert.equal(resolveDevice(' iphone14,2 ').name, 'iPhone 13 Pro');
+    assert.equal(resolveDevice('x86_64').family, 'Simulator');
+    // Unknown identifiers keep their product line
+    assert.deepEqual(resolveDevice('iPhone99,1'), { identifier: 'iPhone99,1', name: 'iPhone (iPhone99,1)', family: 'iPhone', ramGB: null });
+    assert.deepEqual(resolveDevice('iPhone 12 Pro Max'), { identifier: null, name: 'iPhone 12 Pro Max', family: 'iPhone 12', ramGB: null });
+    assert.equal(resolveDevice('Pixel 8').family, 'Other');
+    assert.equal(resolveDevice(''), null);
+    assert.equal(resolveDevice(undefined), null);
+});
+
+test('memory sizes parse with or without units', () => {
+    assert.equal(parseGigabytes('3'), 3);
+    assert.equal(parseGigabytes('3 GB'), 3);
+    assert.equal(parseGigabytes('3072 MB'), 3);
+    assert.equal(parseGigabytes('3072'), 3);
+    assert.equal(parseGigabytes(String(4 * 1024 ** 3)), 4);
+    assert.equal(parseGigabytes('1TB'), 1024);
+    assert.equal(parseGigabytes('256', { maxGigabytes: 4096 }), 256);
+    assert.equal(parseGigabytes('plenty'), null);
+    assert.equal(parseGigabytes(''), null);
+});
+
+test('sizes fall into tiers with room for reported RAM under nominal', () => {
+    assert.equal(ramTier(1.5), '≤2 GB');
+    assert.equal(ramTier(2.8), '3 GB');
+    assert.equal(ramTier(5.6), '6 GB');
+    assert.equal(ramTier(6.4), '8 GB+');
+    assert.equal(ramTier(null), null);
+    assert.equal(storageTier(64), '64 GB');
+    assert.equal(storageTier(1024), '512 GB+');
+});
+
+test('issues are grouped by device, family and hardware tier', () => {
+    const issues = [
+        issue('App crashes on launch', 'iPhone10,1'),
+        issue('App crashes on launch', 'iPhone10,4'),
+        issue('Game freezes on the map', 'iPhone16,1', { s_meta_other_device_ram: '8 GB', s_meta_other_device_storage: '256' }),
+        // A reported RAM column wins over the model's base configuration
+        issue('Game freezes on the map', 'iPhone8,1', { s_meta_other_device_ram: '4096 MB' }),
+        issue('Purchase went through fine', '')
+    ];
+    const { devices, patternAnalysis } = new EnhancedIOSAnalyzer({ logger: null }).analyze([issues]).analysis;
+    assert.equal(devices.withDevice, 4);
+    assert.equal(devices.ramFromModel, 2);
+    assert.deepEqual(devices.groups['iPhone 8'].identifiers, ['iPhone10,1', 'iPhone10,4']);
+    assert.equal(devices.groups['iPhone 8'].count, 2);
+    assert.equal(devices.groups['iPhone 8'].ramTier, '≤2 GB');
+    assert.deepEqual(devices.groups['iPhone 8'].patterns, { hardCrash: 2 });
+    assert.deepEqual(devices.families, { 'iPhone 15': 1, 'iPhone 6s': 1, 'iPhone 8': 2 });
+    assert.deepEqual(Object.fromEntries(Object.entries(devices.ram).map(([tier, group]) => [tier, group.count])), { '4 GB': 1, '8 GB+': 1, '≤2 GB': 2 });
+    assert.deepEqual(Object.keys(devices.storage), ['256 GB']);
+    assert.deepEqual(patternAnalysis.freeze.ramTiers, { '4 GB': 1, '8 GB+': 1 });
+    assert.deepEqual(patternAnalysis.hardCrash.devices, { 'iPhone 8': 2 });
+});
+
+test('a pattern concentrated on low-memory devices gets an insight', () => {
+    const issues = [
+        ...Array.from({ length: 6 }, () => issue('Game freezes on the map', 'iPhone9,1')),
+        ...Array.from({ length: 2 }, () => issue('App crashes on launch', 'iPhone9,1')),
+        ...Array.from({ length: 8 }, () => issue('App crashes on launch', 'iPhone16,1')),
+        issue('Game freezes on the map', 'iPhone16,1')
+    ];
+    const { insights } = new EnhancedIOSAnalyzer({ logger: null }).analyze([issues]);
+    assert.ok(insights.includes('**Device Memory:** "App Freeze" appears in 75% of issues from devices with 3 GB of RAM or less (6 issues), against 11% on devices with more (6.8×). Test this scenario on older, low-memory devices.'),
+        insights.join('\n'));
+
+    const { insights: noDevices } = new EnhancedIOSAnalyzer({ logger: null }).analyze([issues.map(entry => issue(entry.s_issue_title, ''))]);
+    assert.ok(!noDevices.some(insight => insight.startsWith('**Device Memory:**')));
+});
+
+test('the device section is left out without device data', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    const { analysis } = analyzer.analyze([[issue('App crashes on launch', '')]]);
+    assert.equal(analyzer.generateDeviceSection(analysis.devices, analysis.patternAnalysis), '');
+
+    const withDevice = analyzer.analyze([[issue('App crashes on launch', 'iPhone10,1')]]).analysis;
+    assert.match(analyzer.generateDeviceSection(withDevice.devices, withDevice.patternAnalysis), /<strong>iPhone 8<\/strong><br><small>iPhone10,1<\/small>/);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EnhancedIOSAnalyzer } = require('../enhanced-ios-analyzer');
+const { findEmergingTopics, weekStart } = require('../lib/emerging-topics');
+
+function issue(title, date, overrides = {}) {
+    return {
+        s_issue_title: title,
+        d_created_date: date,
+        s_meta_application_version: '3.1.0',
+        s_meta_other_platform: 'ios',
+        ...overrides
+    };
+}
+
+function day(offset) {
+    return new Date(Date.UTC(2025, 5, 1 + offset)).toISOString().slice(0, 10);
+}
+
+// Five weeks ending 2025-07-05: one complaint about the map every other day,
+// then a burst about the new "lantern festival" event in the last seven days
+function fiveWeeks() {
+    const issues = [];
+    for (let offset = 0; offset < 35; offset += 2) {
+        issues.push(issue('Map will not scroll', day(offset)));
+    }
+    for (let offset = 28; offset < 35; offset++) {
+        issues.push(issue(`Lantern festival rewards missing ${offset}`, day(offset), { s_issue_id: `L${offset}` }));
+    }
+    return issues;
+}
+
+test('terms that jump in the last seven days are reported, steady ones are not', () => {
+    const result = findEmergingTopics(fiveWeeks());
+    assert.equal(result.latestDate, '2025-07-05');
+    assert.equal(result.currentWeek, '2025-06-29');
+    assert.deepEqual(result.baselineWeeks, ['2025-06-01', '2025-06-08', '2025-06-15', '2025-06-22']);
+
+    const terms = result.topics.map(topic => topic.term);
+    assert.ok(terms.includes('lantern festival'), terms.join(', '));
+    assert.ok(!terms.some(term => term.includes('map') || term.includes('scroll')), terms.join(', '));
+    // Words only rising inside a reported pair are left out
+    assert.ok(!terms.includes('lantern') && !terms.includes('festival'), terms.join(', '));
+
+    const lantern = result.topics.find(topic => topic.term === 'lantern festival');
+    assert.equal(lantern.current, 7);
+    assert.equal(lantern.isNew, true);
+    assert.equal(lantern.samples.length, 3);
+    assert.deepEqual(lantern.weekly.map(week => week.count), [0, 0, 0, 0, 7]);
+});
+
+test('stopwords, numbers and short words never name a topic on their own', () => {
+    const issues = fiveWeeks();
+    for (let offset = 28; offset < 35; offset++) {
+        issues.push(issue('the app is ok 42 ab', day(offset)));
+    }
+    const terms = findEmergingTopics(issues).topics.map(topic => topic.term);
+    ['the', 'app', 'the app', 'app is', 'is', '42', 'ab', 'ok'].forEach(term => {
+        assert.ok(!terms.includes(term), `${term} in ${terms.join(', ')}`);
+    });
+});
+
+test('exports shorter than two weeks have no baseline and no topics', () => {
+    const result = findEmergingTopics([issue('Lantern festival broken', day(0)), issue('Lantern festival broken', day(10))]);
+    assert.deepEqual(result.baselineWeeks, []);
+    assert.deepEqual(result.topics, []);
+    assert.deepEqual(findEmergingTopics([issue('x', 'not a date')]).topics, []);
+});
+
+test('weekStart returns the Monday of the week', () => {
+    assert.equal(weekStart('2025-07-06'), '2025-06-30');
+    assert.equal(weekStart('2025-06-30T23:00:00Z'), '2025-06-30');
+    assert.equal(weekStart('soon'), null);
+});
+
+test('the analyzer only looks for topics among issues no pattern matched', () => {
+    const issues = fiveWeeks();
+    for (let offset = 28; offset < 35; offset++) {
+        issues.push(issue('Crash in the dragon arena', day(offset)));
+    }
+    const { emergingTopics } = new EnhancedIOSAnalyzer({ logger: null }).analyze([issues]).analysis;
+    const terms = emergingTopics.topics.map(topic => topic.term);
+    assert.ok(terms.includes('lantern festival'));
+    assert.ok(!terms.some(term => term.includes('dragon')), terms.join(', '));
+});
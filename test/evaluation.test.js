@@ -0,0 +1,91 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES } = require('../enhanced-ios-analyzer');
+const { parseLabels, evaluateDetection, formatEvaluation } = require('../lib/evaluation');
+
+const SCRIPT = path.join(__dirname, '..', 'enhanced-ios-analyzer.js');
+// Labeled sets need no version, date or platform columns
+const LABELED = [
+    'id,s_issue_title,expected_patterns',
+    '1,App crashes on launch,hardCrash',
+    '2,Game freezes on the map,freeze',
+    '3,Purchase went through fine,none',
+    '4,It just closes without warning,hardCrash'
+].join('\n');
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'evaluation-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('labels may be JSON arrays or separated lists, matched case-insensitively', () => {
+    const ids = ['hardCrash', 'freeze'];
+    assert.deepEqual(parseLabels('["hardcrash", "freeze"]', ids), ['hardCrash', 'freeze']);
+    assert.deepEqual(parseLabels('HardCrash; freeze | freeze', ids), ['hardCrash', 'freeze']);
+    assert.deepEqual(parseLabels('none', ids), []);
+    assert.deepEqual(parseLabels('-', ids), []);
+    assert.deepEqual(parseLabels('', ids), []);
+    assert.deepEqual(parseLabels('mystery', ids), ['mystery']);
+});
+
+test('precision, recall and the confusion matrix follow the labels', () => {
+    const results = evaluateDetection([
+        { id: '1', title: 'a', expected: ['crash'], predicted: ['crash'] },
+        { id: '2', title: 'b', expected: ['crash'], predicted: ['freeze'] },
+        { id: '3', title: 'c', expected: [], predicted: ['crash'] },
+        { id: '4', title: 'd', expected: ['freeze'], predicted: [] },
+        { id: '5', title: 'e', expected: [], predicted: [] }
+    ], ['crash', 'freeze']);
+
+    assert.equal(results.cases, 5);
+    assert.equal(results.exactMatchRate, 2 / 5);
+    assert.equal(results.patterns.crash.precision, 1 / 2);
+    assert.equal(results.patterns.crash.recall, 1 / 2);
+    assert.equal(results.patterns.freeze.precision, 0);
+    assert.equal(results.micro.precision, 1 / 3);
+    assert.equal(results.micro.recall, 1 / 3);
+    assert.deepEqual(results.confusionMatrix.counts, {
+        crash: { crash: 1, freeze: 1, '(none)': 0 },
+        freeze: { crash: 0, freeze: 0, '(none)': 1 },
+        '(none)': { crash: 1, freeze: 0, '(none)': 1 }
+    });
+    assert.deepEqual(results.patterns.crash.falsePositives.map(item => item.id), ['3']);
+    assert.match(formatEvaluation(results), /False negatives for freeze \(1\):\n {2}- 4: "d" expected \[freeze\] got \[\]/);
+});
+
+test('evaluate() scores the rules against a labeled file', t => {
+    const directory = temporaryDirectory(t);
+    const file = path.join(directory, 'labeled.csv');
+    fs.writeFileSync(file, LABELED);
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null, platform: 'all', optionalFields: ['appVersion', 'createdDate', 'platform'] });
+    const results = analyzer.evaluate(file);
+    assert.equal(results.cases, 4);
+    assert.equal(results.patterns.hardCrash.support, 2);
+    assert.equal(results.patterns.hardCrash.truePositives, 1);
+    assert.deepEqual(results.patterns.hardCrash.falseNegatives.map(item => item.id), [`${file}:5`]);
+
+    assert.throws(() => analyzer.evaluate(file, { labelColumn: 'labels' }),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.INVALID_INPUT);
+});
+
+test('the evaluate command exits 7 below --min-f1 and writes --json', t => {
+    const directory = temporaryDirectory(t);
+    fs.writeFileSync(path.join(directory, 'labeled.csv'), LABELED);
+    const run = args => spawnSync(process.execPath, [SCRIPT, 'evaluate', ...args], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+
+    const passing = run(['labeled.csv', '--min-f1', '0.5', '--json', 'results.json']);
+    assert.equal(passing.status, EXIT_CODES.OK, passing.stderr);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(directory, 'results.json'), 'utf8')).cases, 4);
+
+    const failing = run(['labeled.csv', '--min-f1', '0.95']);
+    assert.equal(failing.status, EXIT_CODES.EVALUATION_FAILED);
+    assert.match(failing.stderr, /is below --min-f1 0\.95/);
+
+    assert.equal(run([]).status, EXIT_CODES.USAGE);
+    assert.equal(run(['labeled.csv', '--min-f1', '2']).status, EXIT_CODES.USAGE);
+});
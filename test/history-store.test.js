@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES, parseArgs } = require('../enhanced-ios-analyzer');
+const { HistoryStore } = require('../lib/history-store');
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'history-store-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function issue(title, date) {
+    return { s_issue_title: title, s_meta_application_version: '3.1.0', d_created_date: date, s_meta_other_platform: 'ios' };
+}
+
+function snapshot(exportDate, patterns, daily = {}) {
+    return { schema: 1, exportDate, totalIssues: 0, daily, versions: {}, patterns };
+}
+
+function repeat(count, title, date) {
+    return Array.from({ length: count }, () => issue(title, date));
+}
+
+test('the store keeps the latest recording per export date, oldest date first', t => {
+    const file = path.join(temporaryDirectory(t), 'nested', 'history.jsonl');
+    const store = new HistoryStore(file);
+    assert.deepEqual(store.read(), []);
+
+    store.append({ ...snapshot('2025-06-08', {}), totalIssues: 5 });
+    store.append({ ...snapshot('2025-06-01', {}), totalIssues: 3 });
+    store.append({ ...snapshot('2025-06-08', {}), totalIssues: 7 });
+    fs.appendFileSync(file, 'not json\n{"schema": 99, "exportDate": "2025-06-15"}\n\n');
+
+    assert.deepEqual(store.read().map(entry => [entry.exportDate, entry.totalIssues]), [['2025-06-01', 3], ['2025-06-08', 7]]);
+    assert.equal(store.skipped, 2);
+});
+
+test('a history file that cannot be written is an error', t => {
+    const directory = temporaryDirectory(t);
+    fs.writeFileSync(path.join(directory, 'file'), '');
+    assert.throws(() => new HistoryStore(path.join(directory, 'file', 'history.jsonl')).append(snapshot('2025-06-01', {})),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.ERROR && /Could not write history file/.test(error.message));
+});
+
+test('patterns are marked fixed, improving, worsening or stable across snapshots', () => {
+    const totals = {
+        shrinking: [20, 16, 12, 8],
+        growing: [2, 4, 6, 9],
+        steady: [10, 10, 11, 10],
+        gone: [4, 3, 2, 0]
+    };
+    const snapshots = ['2025-06-01', '2025-06-08', '2025-06-15', '2025-06-22'].map((exportDate, index) => {
+        const patterns = {};
+        Object.entries(totals).forEach(([id, series]) => {
+            if (series[index] > 0) patterns[id] = { total: series[index], severity: 'high' };
+        });
+        return snapshot(exportDate, patterns, { [exportDate]: { total: index } });
+    });
+    const summary = HistoryStore.summarize(snapshots);
+    assert.equal(summary.snapshots, 4);
+    assert.deepEqual(Object.fromEntries(Object.entries(summary.patterns).map(([id, pattern]) => [id, pattern.status])),
+        { shrinking: 'improving', growing: 'worsening', steady: 'stable', gone: 'fixed' });
+    assert.deepEqual(summary.patterns.gone.series, [4, 3, 2, 0]);
+    assert.deepEqual([summary.patterns.gone.first, summary.patterns.gone.latest, summary.patterns.gone.peak], [4, 0, 4]);
+    assert.deepEqual(Object.keys(summary.daily), ['2025-06-01', '2025-06-08', '2025-06-15', '2025-06-22']);
+
+    // Too few snapshots to call a trend
+    assert.equal(HistoryStore.summarize(snapshots.slice(0, 2)).patterns.shrinking.status, 'stable');
+});
+
+test('the analyzer records one snapshot per export and reports the trend', t => {
+    const history = path.join(temporaryDirectory(t), 'history.jsonl');
+    const run = (issues, exportDate = null) => new EnhancedIOSAnalyzer({ logger: null, history, exportDate }).analyze([issues]);
+
+    run([...repeat(9, 'Game freezes on the map', '2025-06-01'), issue('App crashes on launch', '2025-06-02')]);
+    run(repeat(6, 'Game freezes on the map', '2025-06-08'));
+    // Re-running an export replaces its snapshot
+    run(repeat(5, 'Game freezes on the map', '2025-06-08'));
+    const { analysis, insights } = run(repeat(2, 'Game freezes on the map', '2025-06-10'), '2025-06-15');
+
+    assert.deepEqual(analysis.history.exportDates, ['2025-06-02', '2025-06-08', '2025-06-15']);
+    assert.deepEqual(analysis.history.totals, [10, 5, 2]);
+    assert.deepEqual(analysis.history.patterns.freeze.series, [9, 5, 2]);
+    assert.equal(analysis.history.patterns.hardCrash.status, 'fixed');
+    assert.ok(insights.includes('**History:** Across 3 snapshots since 2025-06-02, App Freeze is improving (9 → 2), Hard Crashes is no longer reported (1 → 0).'),
+        insights.join('\n'));
+    assert.equal(fs.readFileSync(history, 'utf8').trim().split('\n').length, 4);
+});
+
+test('--export-date must be a date and needs --history', () => {
+    assert.equal(parseArgs(['--history', 'h.jsonl', '--export-date', '2025-06-15']).exportDate, '2025-06-15');
+    assert.throws(() => parseArgs(['--export-date', '2025-06-15']), /--export-date needs --history/);
+    assert.throws(() => parseArgs(['--history', 'h.jsonl', '--export-date', 'June 15']), /--export-date must be a date in YYYY-MM-DD format/);
+});
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedIOSAnalyzer } = require('../enhanced-ios-analyzer');
+
+const TITLES = ['App crashes on launch', 'Game freezes on the map', 'Black screen after update', 'Reward screen stuck', 'Purchase failed twice'];
+
+function issue(index, overrides = {}) {
+    return {
+        s_issue_id: String(index),
+        s_issue_title: `${TITLES[index % TITLES.length]} (${index})`,
+        a_tags: index % 2 === 0 ? '["crash"]' : '[]',
+        s_messages: '',
+        s_meta_application_version: `3.${index % 3}.0`,
+        d_created_date: `2025-06-${String(1 + (index % 20)).padStart(2, '0')}`,
+        s_meta_other_os_version: index % 2 === 0 ? '17.5' : '18.0',
+        s_meta_other_country_code: ['US', 'DE', 'JP'][index % 3],
+        s_meta_other_device_model: index % 4 === 0 ? 'iPhone14,5' : '',
+        s_meta_other_device_ram: index % 4 === 1 ? '4096' : '',
+        s_meta_other_platform: 'ios',
+        ...overrides
+    };
+}
+
+function temporaryState(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'incremental-state-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return path.join(directory, 'state.json');
+}
+
+// Runs the same issues with and without the state file and returns both
+function runBoth(issues, incrementalState, options = {}) {
+    const messages = [];
+    const logger = { log: message => messages.push(message) };
+    const incremental = new EnhancedIOSAnalyzer({ logger, incrementalState, workers: 1, ...options }).analyze([issues]).analysis;
+    const full = new EnhancedIOSAnalyzer({ logger: null, workers: 1, ...options }).analyze([issues]).analysis;
+    return { incremental, full, messages };
+}
+
+// Analyses without the fields that differ between runs by design
+function comparable(analysis) {
+    const { incremental, dataQuality, ...rest } = analysis;
+    return rest;
+}
+
+test('folding changes into saved totals matches a full run', t => {
+    const state = temporaryState(t);
+    const first = Array.from({ length: 40 }, (_, index) => issue(index));
+    const firstRun = runBoth(first, state);
+    assert.deepEqual(comparable(firstRun.incremental), comparable(firstRun.full));
+    assert.equal(firstRun.incremental.incremental.new, 40);
+
+    // Five resolved, five changed, one new and one duplicate row
+    const second = first.slice(5).map((entry, index) => (index < 5
+        ? { ...entry, s_issue_title: 'Game freezes after the update', s_meta_application_version: '3.9.0' }
+        : entry));
+    second.push(issue(100, { s_meta_other_country_code: 'FR' }), { ...first[10] });
+    const secondRun = runBoth(second, state);
+    assert.deepEqual(comparable(secondRun.incremental), comparable(secondRun.full));
+    const { unchanged, changed, resolved, folded } = secondRun.incremental.incremental;
+    assert.deepEqual({ new: secondRun.incremental.incremental.new, unchanged, changed, resolved }, { new: 1, unchanged: 30, changed: 5, resolved: 5 });
+    // Five taken out, five changed out and in again, one new, one duplicate
+    assert.equal(folded, 17);
+
+    const thirdRun = runBoth(first, state);
+    assert.deepEqual(comparable(thirdRun.incremental), comparable(thirdRun.full));
+});
+
+test('model confidences come out of the totals exactly', t => {
+    const state = temporaryState(t);
+    const first = Array.from({ length: 30 }, (_, index) => issue(index));
+    const classifierModel = new EnhancedIOSAnalyzer({ logger: null }).train([first]);
+    const options = { classifierModel, detection: 'classifier', threshold: 0.2 };
+    runBoth(first, state, options);
+    const { incremental, full } = runBoth(first.slice(7), state, options);
+    assert.deepEqual(comparable(incremental), comparable(full));
+    assert.ok(Object.values(incremental.patternAnalysis).some(pattern => pattern.confidence < 1));
+});
+
+test('an unchanged export folds nothing in', t => {
+    const state = temporaryState(t);
+    const issues = Array.from({ length: 10 }, (_, index) => issue(index));
+    runBoth(issues, state);
+    const { incremental, full } = runBoth(issues, state);
+    assert.deepEqual(comparable(incremental), comparable(full));
+    assert.equal(incremental.incremental.unchanged, 10);
+    assert.equal(incremental.incremental.folded, 0);
+});
+
+test('issues left out by --from leave the totals without counting as resolved', t => {
+    const state = temporaryState(t);
+    const issues = Array.from({ length: 20 }, (_, index) => issue(index));
+    runBoth(issues, state);
+    const { incremental, full } = runBoth(issues, state, { from: '2025-06-11' });
+    assert.deepEqual(comparable(incremental), comparable(full));
+    assert.equal(incremental.totalIssues, 10);
+    assert.equal(incremental.incremental.resolved, 0);
+
+    const widened = runBoth(issues, state);
+    assert.deepEqual(comparable(widened.incremental), comparable(widened.full));
+    assert.equal(widened.incremental.incremental.unchanged, 20);
+});
+
+test('counting clusters once folds in the difference as well', t => {
+    const state = temporaryState(t);
+    const issues = Array.from({ length: 10 }, (_, index) => issue(index, { s_issue_title: 'App crashes on launch every time' }));
+    runBoth(issues, state);
+    const { incremental, full } = runBoth(issues, state, { countClusters: true });
+    assert.deepEqual(comparable(incremental), comparable(full));
+    assert.ok(incremental.totalIssues < 10);
+});
+
+test('changed detection settings or an unreadable file discard the state', t => {
+    const state = temporaryState(t);
+    const issues = Array.from({ length: 6 }, (_, index) => issue(index));
+    runBoth(issues, state);
+
+    const primary = runBoth(issues, state, { primaryPattern: true });
+    assert.deepEqual(comparable(primary.incremental), comparable(primary.full));
+    assert.equal(primary.incremental.incremental.new, 6);
+    assert.ok(primary.messages.some(message => message.includes('not used: detection settings changed')));
+
+    fs.writeFileSync(state, '{ not json');
+    const unreadable = runBoth(issues, state, { primaryPattern: true });
+    assert.deepEqual(comparable(unreadable.incremental), comparable(unreadable.full));
+    assert.ok(unreadable.messages.some(message => message.includes('not used: unreadable')));
+
+    fs.writeFileSync(state, JSON.stringify({ schema: 1, issues: {} }));
+    const outdated = runBoth(issues, state, { primaryPattern: true });
+    assert.equal(outdated.incremental.incremental.new, 6);
+    assert.ok(outdated.messages.some(message => message.includes('not used: written by an incompatible version')));
+});
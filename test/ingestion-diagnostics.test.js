@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedIOSAnalyzer } = require('../enhanced-ios-analyzer');
+const { IngestionDiagnostics } = require('../lib/ingestion-diagnostics');
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'ingestion-diagnostics-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('rejected and filtered rows are counted apart, with capped samples', () => {
+    const diagnostics = new IngestionDiagnostics();
+    diagnostics.startSource('a.csv');
+    for (let line = 2; line < 10; line++) {
+        diagnostics.skip('invalidDate', { source: 'a.csv', line, detail: 'bad', sample: 'x'.repeat(200) });
+    }
+    diagnostics.skip('platformFiltered', { source: 'a.csv', line: 10 });
+    diagnostics.accept();
+    diagnostics.accept();
+
+    const summary = diagnostics.summary();
+    assert.equal(summary.rowsRead, 11);
+    assert.equal(summary.accepted, 2);
+    assert.equal(summary.rejected, 8);
+    assert.equal(summary.filtered, 1);
+    assert.equal(summary.rejectionRate, 8 / 11);
+    assert.equal(summary.categories.invalidDate.count, 8);
+    assert.equal(summary.categories.invalidDate.samples.length, 5);
+    assert.equal(summary.categories.invalidDate.samples[0].sample, `${'x'.repeat(160)}…`);
+    assert.deepEqual(summary.sources, ['a.csv']);
+
+    assert.throws(() => diagnostics.skip('typo'), /Unknown diagnostics category: typo/);
+});
+
+test('a malformed export is loaded with every bad row accounted for', t => {
+    const directory = temporaryDirectory(t);
+    const file = path.join(directory, 'export.csv');
+    fs.writeFileSync(file, [
+        's_issue_title,a_tags,s_meta_application_version,d_created_date,s_meta_other_platform',
+        'App crashes on launch,[],3.1.0,2025-06-02,ios',
+        'Too,many,columns,in,this,row',
+        ',[],3.1.0,2025-06-02,ios',
+        'Freeze on map,[],3.1.0,yesterday,ios',
+        'Crash on Android,[],3.1.0,2025-06-02,android',
+        'Lost progress,[],3.1.0,2025-06-03,ios',
+        '"Never closed,[],3.1.0,2025-06-04,ios'
+    ].join('\n'));
+
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    const { dataQuality, totalIssues } = analyzer.analyze(file).analysis;
+    assert.equal(totalIssues, 2);
+    assert.equal(dataQuality.rowsRead, 7);
+    assert.equal(dataQuality.rejected, 4);
+    assert.equal(dataQuality.filtered, 1);
+    const lines = Object.fromEntries(Object.entries(dataQuality.categories)
+        .map(([category, entry]) => [category, entry.samples.map(sample => sample.line)]));
+    assert.deepEqual(lines, {
+        columnMismatch: [3],
+        missingRequired: [4],
+        invalidDate: [5],
+        platformFiltered: [6],
+        unterminatedQuote: [8]
+    });
+});
+
+test('the report warns when more than 5% of rows were rejected', t => {
+    const directory = temporaryDirectory(t);
+    const output = path.join(directory, 'report.html');
+    const issues = Array.from({ length: 10 }, (_, index) => ({
+        s_issue_title: 'App crashes on launch',
+        s_meta_application_version: '3.1.0',
+        d_created_date: index === 0 ? 'not a date' : '2025-06-02',
+        s_meta_other_platform: 'ios'
+    }));
+
+    new EnhancedIOSAnalyzer({ logger: null }).run({ inputs: [issues], output });
+    assert.match(fs.readFileSync(output, 'utf8'), /10\.0% of rows were rejected/);
+
+    new EnhancedIOSAnalyzer({ logger: null }).run({ inputs: [issues.slice(1)], output });
+    assert.doesNotMatch(fs.readFileSync(output, 'utf8'), /of rows were rejected/);
+});
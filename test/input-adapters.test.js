@@ -0,0 +1,145 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES } = require('../enhanced-ios-analyzer');
+const { detectFormat, normalizeDate } = require('../lib/input-adapters');
+
+const NATIVE = {
+    s_issue_id: '7',
+    s_issue_title: 'App crashes on launch',
+    a_tags: ['crash', 'launch'],
+    s_meta_application_version: '3.1.0',
+    d_created_date: '2025-06-02',
+    s_meta_other_platform: 'ios'
+};
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'input-adapters-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function write(directory, name, content) {
+    const file = path.join(directory, name);
+    fs.writeFileSync(file, content);
+    return file;
+}
+
+function load(file, options = {}) {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null, platform: 'all', ...options });
+    analyzer.load(file);
+    return { issues: analyzer.issues, dataQuality: analyzer.diagnostics.summary() };
+}
+
+test('formats are detected from the extension, then the content', t => {
+    const directory = temporaryDirectory(t);
+    const ndjson = `${JSON.stringify(NATIVE)}\n${JSON.stringify(NATIVE)}\n`;
+    assert.equal(detectFormat(write(directory, 'a.jsonl', ndjson)), 'ndjson');
+    assert.equal(detectFormat(write(directory, 'a.txt', ndjson)), 'ndjson');
+    assert.equal(detectFormat(write(directory, 'a.json', JSON.stringify([NATIVE]))), 'json');
+    assert.equal(detectFormat(write(directory, 'b.json', '[{"html_url": "https://github.com/o/r/issues/1"}]')), 'github-json');
+    assert.equal(detectFormat(write(directory, 'a.csv', 'Summary,Issue key,Created\n')), 'jira-csv');
+    assert.equal(detectFormat(write(directory, 'b.csv', 's_issue_title;d_created_date\n'), { delimiter: ';' }), 'csv');
+});
+
+test('JSON arrays and { issues } objects map like the native export', t => {
+    const directory = temporaryDirectory(t);
+    const { issues } = load(write(directory, 'a.json', JSON.stringify([NATIVE, { ...NATIVE, s_issue_id: 8, a_tags: null }])));
+    assert.equal(issues.length, 2);
+    assert.equal(issues[0].a_tags, '["crash","launch"]');
+    assert.equal(issues[1].s_issue_id, '8');
+    assert.equal(issues[1].a_tags, '');
+
+    const wrapped = load(write(directory, 'b.json', JSON.stringify({ issues: [NATIVE] })));
+    assert.equal(wrapped.issues.length, 1);
+});
+
+test('unusable JSON entries are skipped and unreadable JSON exits 5', t => {
+    const directory = temporaryDirectory(t);
+    const { issues, dataQuality } = load(write(directory, 'a.json', JSON.stringify([NATIVE, 'text', [1]])));
+    assert.equal(issues.length, 1);
+    assert.deepEqual(dataQuality.categories.invalidRecord.samples.map(sample => sample.line), [2, 3]);
+
+    [['b.json', '[{"s_issue_title": '], ['c.json', '{"data": []}']].forEach(([name, content]) => {
+        assert.throws(() => load(write(directory, name, content)),
+            error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.INVALID_INPUT);
+    });
+});
+
+test('NDJSON skips bad lines by line number and ignores blank ones', t => {
+    const directory = temporaryDirectory(t);
+    const content = `\uFEFF${JSON.stringify(NATIVE)}\r\n\r\n{oops\n[1]\n${JSON.stringify({ ...NATIVE, s_issue_id: '8' })}`;
+    const { issues, dataQuality } = load(write(directory, 'a.ndjson', content));
+    assert.deepEqual(issues.map(issue => issue.s_issue_id), ['7', '8']);
+    assert.deepEqual(dataQuality.categories.invalidRecord.samples.map(sample => sample.line), [3, 4]);
+});
+
+test('Jira CSV columns, repeated labels and dates are mapped', t => {
+    const directory = temporaryDirectory(t);
+    const file = write(directory, 'jira.csv', [
+        'Issue key,Summary,Description,Labels,Labels,Affects Version/s,Created,Environment,Custom field (Country)',
+        'GAME-12,Crash when opening shop,Tapped the shop,crash,iOS,3.2.0,18/Jul/25 3:04 PM,"iOS 17.5 on iPhone14,5",DE'
+    ].join('\n'));
+
+    const [issue] = load(file).issues;
+    assert.deepEqual({
+        id: issue.s_issue_id,
+        title: issue.s_issue_title,
+        tags: issue.a_tags,
+        version: issue.s_meta_application_version,
+        date: issue.d_created_date,
+        platform: issue.s_meta_other_platform,
+        os: issue.s_meta_other_os_version,
+        country: issue.s_meta_other_country_code,
+        device: issue.s_meta_other_device_model
+    }, {
+        id: 'GAME-12',
+        title: 'Crash when opening shop',
+        tags: '["crash","iOS"]',
+        version: '3.2.0',
+        date: '2025-07-18',
+        platform: 'ios',
+        os: '17.5',
+        country: 'DE',
+        device: 'iPhone14,5'
+    });
+});
+
+test('GitHub issues skip pull requests and read versions from milestones', t => {
+    const directory = temporaryDirectory(t);
+    const { issues, dataQuality } = load(write(directory, 'github.json', JSON.stringify([
+        {
+            number: 41,
+            html_url: 'https://github.com/o/r/issues/41',
+            title: 'Freeze on map',
+            body: 'Stuck',
+            labels: [{ name: 'bug' }, { name: 'iOS 18.0' }, 'iPad13,4'],
+            milestone: { title: 'v3.3.1' },
+            created_at: '2025-06-09T22:15:00Z'
+        },
+        { number: 42, title: 'Fix freeze', pull_request: {}, created_at: '2025-06-10T00:00:00Z' }
+    ])));
+    assert.equal(issues.length, 1);
+    assert.equal(issues[0].s_issue_id, '41');
+    assert.equal(issues[0].s_meta_application_version, '3.3.1');
+    assert.equal(issues[0].d_created_date, '2025-06-09');
+    assert.equal(issues[0].s_meta_other_platform, 'ios');
+    assert.equal(issues[0].s_meta_other_os_version, '18.0');
+    assert.equal(issues[0].s_meta_other_device_model, 'iPad13,4');
+    assert.equal(dataQuality.categories.unsupportedRecord.count, 1);
+});
+
+test('normalizeDate handles ISO, Jira and unparseable values', () => {
+    assert.equal(normalizeDate('2025-06-02T23:59:59Z'), '2025-06-02');
+    assert.equal(normalizeDate('5/Jan/24 9:00 AM'), '2024-01-05');
+    assert.equal(normalizeDate('not a date'), 'not a date');
+    assert.equal(normalizeDate(null), '');
+});
+
+test('an unknown --format exits with the usage code', t => {
+    const directory = temporaryDirectory(t);
+    assert.throws(() => load(write(directory, 'a.csv', 'x\n'), { format: 'xml' }),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.USAGE);
+});
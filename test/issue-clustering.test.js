@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EnhancedIOSAnalyzer, parseArgs } = require('../enhanced-ios-analyzer');
+const { clusterIssues, describeCluster, clusterText } = require('../lib/issue-clustering');
+
+function issue(title, overrides = {}) {
+    return {
+        s_issue_title: title,
+        s_meta_application_version: '3.1.0',
+        d_created_date: '2025-06-02',
+        s_meta_other_platform: 'ios',
+        ...overrides
+    };
+}
+
+test('cluster text drops case, digits and punctuation', () => {
+    assert.equal(clusterText(issue('Crash #12!!  on LEVEL 3')), 'crash on level');
+    assert.equal(clusterText(issue('Crash', { s_messages: 'x'.repeat(400) })).length, 'crash '.length + 300);
+});
+
+test('near-duplicate wordings group together, largest cluster first', () => {
+    const issues = [
+        issue('Unrelated login problem with my account'),
+        issue('Game crashes when I open the shop'),
+        issue('game crashes when i open the shop!!'),
+        issue('Game crashes when I open the shop screen'),
+        issue('Reward chest never opens after watching an ad'),
+        issue('Reward chest never opens after watching ad')
+    ];
+    assert.deepEqual(clusterIssues(issues), [[1, 2, 3], [4, 5], [0]]);
+    assert.deepEqual(clusterIssues(issues, { similarity: 1 }), [[1, 2], [0], [3], [4], [5]]);
+});
+
+test('issues without text only group with each other', () => {
+    const clusters = clusterIssues([issue(''), issue('Crash on launch'), issue('   ')]);
+    assert.deepEqual(clusters, [[0, 2], [1]]);
+});
+
+test('a cluster is described by its most common, shortest wording', () => {
+    const issues = [
+        issue('Shop crash on open', { s_issue_id: 'a', d_created_date: '2025-06-05' }),
+        issue('Shop crash on open!', { s_issue_id: 'b', s_meta_application_version: '3.2.0', d_created_date: '2025-06-01' }),
+        issue('Shop crash on open', { s_issue_id: 'c', d_created_date: '2025-06-03T10:00:00Z' })
+    ];
+    assert.deepEqual(describeCluster(issues, [0, 1, 2]), {
+        size: 3,
+        representative: 'Shop crash on open',
+        versions: { '3.1.0': 2, '3.2.0': 1 },
+        firstDate: '2025-06-01',
+        lastDate: '2025-06-05',
+        issueIds: ['a', 'b', 'c']
+    });
+});
+
+test('--count-clusters counts each complaint once, dated by its first report', () => {
+    const issues = [
+        issue('Game crashes when I open the shop', { d_created_date: '2025-06-04' }),
+        issue('Game crashes when I open the shop', { d_created_date: '2025-06-02' }),
+        issue('Game crashes when I open the shop', { d_created_date: '2025-06-03' }),
+        issue('Black screen after the update')
+    ];
+    const everyRow = new EnhancedIOSAnalyzer({ logger: null }).analyze([issues]).analysis;
+    assert.equal(everyRow.totalIssues, 4);
+    assert.equal(everyRow.clusterSummary.duplicateRows, 2);
+    assert.equal(everyRow.clusters[0].size, 3);
+
+    const counted = new EnhancedIOSAnalyzer({ logger: null, countClusters: true }).analyze([issues]).analysis;
+    assert.equal(counted.totalIssues, 2);
+    assert.equal(counted.patternAnalysis.hardCrash.total, 1);
+    assert.deepEqual(Object.keys(counted.dailyTrends), ['2025-06-02']);
+});
+
+test('--cluster-similarity must be above 0 and at most 1', () => {
+    assert.equal(parseArgs(['--cluster-similarity', '1']).clusterSimilarity, 1);
+    ['0', '1.5', 'high'].forEach(value => {
+        assert.throws(() => parseArgs(['--cluster-similarity', value]), /--cluster-similarity must be a number/);
+    });
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EnhancedIOSAnalyzer } = require('../enhanced-ios-analyzer');
+const { UsageData } = require('../lib/usage-data');
+
+function issue(title, version, osVersion, overrides = {}) {
+    return {
+        s_issue_title: title,
+        s_meta_application_version: version,
+        d_created_date: '2025-06-02',
+        s_meta_other_platform: 'ios',
+        s_meta_other_os_version: osVersion,
+        ...overrides
+    };
+}
+
+// 3.1.0 is used on both iOS 17.5 and 18.0, which used to credit each OS with
+// all of 3.1.0's issues
+const ISSUES = [
+    issue('App crashes on launch', '3.1.0', '17.5'),
+    issue('App crashes on launch', '3.1.0', '17.5'),
+    issue('Game freezes on the map', '3.1.0', '18.0'),
+    issue('Game freezes on the map', '3.2.0', '18.0'),
+    issue('Game freezes on the map', '3.2.0', '18.0'),
+    issue('Game freezes on the map', '3.2.0', '18.0'),
+    issue('Purchase went through fine', '3.2.0', '')
+];
+
+test('each issue is counted once, under its own OS version', () => {
+    const { osGroups, totalIssues } = new EnhancedIOSAnalyzer({ logger: null }).analyze([ISSUES]).analysis;
+    assert.deepEqual(Object.keys(osGroups), ['17.5', '18.0', 'Unknown']);
+    assert.equal(Object.values(osGroups).reduce((sum, group) => sum + group.count, 0), totalIssues);
+
+    assert.deepEqual(osGroups['17.5'].versions, { '3.1.0': 2 });
+    assert.deepEqual(osGroups['18.0'].versions, { '3.1.0': 1, '3.2.0': 3 });
+    assert.deepEqual(osGroups['17.5'].patterns, { hardCrash: 2 });
+    assert.deepEqual(osGroups['18.0'].patterns, { freeze: 4 });
+    assert.equal(osGroups['17.5'].severityCount.critical, 2);
+    assert.deepEqual(osGroups.Unknown.patterns, {});
+});
+
+test('the iOS compatibility insight uses the OS version\'s own share', () => {
+    const { insights } = new EnhancedIOSAnalyzer({ logger: null }).analyze([ISSUES]);
+    const compatibility = insights.filter(insight => insight.startsWith('**iOS Compatibility:**'));
+    assert.deepEqual(compatibility, [
+        '**iOS Compatibility:** iOS 18.0 accounts for 57.1% of issues (4). Consider focused testing and optimization for this iOS version.'
+    ]);
+});
+
+test('with usage by OS version the insight ranks iOS releases by rate', () => {
+    const issues = [
+        ...Array.from({ length: 20 }, () => issue('Game freezes on the map', '3.1.0', '18.0')),
+        ...Array.from({ length: 6 }, () => issue('Game freezes on the map', '3.1.0', '17.5'))
+    ];
+    const usage = new UsageData([
+        { date: '2025-06-02', osVersion: '18.0', amount: 100000 },
+        { date: '2025-06-02', osVersion: '17.5', amount: 2000 }
+    ]);
+    const { analysis, insights } = new EnhancedIOSAnalyzer({ logger: null, usage }).analyze([issues]);
+    assert.equal(analysis.osGroups['17.5'].ratePer10k, 30);
+    assert.equal(analysis.osGroups['18.0'].ratePer10k, 2);
+    assert.ok(insights.includes('**iOS Compatibility:** iOS 17.5 has the highest issue rate, 30.0 per 10k users (6 issues) against a median of 2.0 across iOS versions. Consider focused testing and optimization for this iOS version.'),
+        insights.join('\n'));
+});
+
+test('the OS section lists versions newest first with both heatmaps', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    const { analysis } = analyzer.analyze([[...ISSUES, issue('App crashes on launch', '3.1.0', '17.10')]]);
+    const section = analyzer.generateOSSection(analysis.osGroups, analysis.patternAnalysis);
+    assert.match(section, /iOS Version Breakdown/);
+    const rows = [...section.matchAll(/<td><strong>iOS ([^<]+)<\/strong><\/td>/g)].map(match => match[1]);
+    assert.deepEqual(rows, ['18.0', '17.10', '17.5', 'Unknown']);
+    assert.match(section, /<h3>OS × App Version<\/h3>/);
+    assert.match(section, /<h3>OS × Pattern<\/h3>/);
+    assert.match(section, /title="75\.0% of iOS 18\.0 issues">3<\/td>/);
+
+    assert.equal(analyzer.generateOSSection({}, analysis.patternAnalysis), '');
+});
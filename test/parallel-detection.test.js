@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES, parseArgs } = require('../enhanced-ios-analyzer');
+const { detectInParallel, foundPatterns, workerCount, availableCores } = require('../lib/parallel-detection');
+
+const TITLES = [
+    'App crashes on launch',
+    'Game freezes on the map',
+    'Reward chest never arrived after the ad',
+    'Stuck on the loading screen forever',
+    'Lost all my progress after the update',
+    'Black screen after the splash',
+    'Very laggy in the arena, low fps',
+    'It just closes without warning',
+    'Purchase went through fine',
+    'Button does nothing, screen is stuck'
+];
+
+// Varied issues over versions, days, OS versions and countries
+function issues(count) {
+    return Array.from({ length: count }, (_, index) => ({
+        s_issue_id: `I${index}`,
+        s_issue_title: `${TITLES[index % TITLES.length]} ${index % 7 === 0 ? 'again' : ''}`.trim(),
+        s_messages: index % 3 === 0 ? 'happens every time I open the game' : '',
+        a_tags: index % 4 === 0 ? '["crash"]' : '[]',
+        s_meta_application_version: `3.${index % 4}.0`,
+        d_created_date: new Date(Date.UTC(2025, 5, 1 + (index % 30))).toISOString().slice(0, 10),
+        s_meta_other_platform: 'ios',
+        s_meta_other_os_version: ['17.5', '18.0', '18.1'][index % 3],
+        s_meta_other_country_code: ['US', 'DE', 'JP', 'BR', 'FR'][index % 5]
+    }));
+}
+
+function analysisJson(options, data) {
+    return JSON.stringify(new EnhancedIOSAnalyzer({ logger: null, ...options }).analyze([data]).analysis);
+}
+
+test('worker counts follow the request, or the cores and shard size', () => {
+    assert.equal(workerCount(10, 4), 4);
+    assert.equal(workerCount(3, 8), 3);
+    assert.equal(workerCount(0, 4), 1);
+    assert.equal(workerCount(1999), 1);
+    assert.equal(workerCount(2000 * 64), Math.min(availableCores(), 64));
+});
+
+test('found patterns keep only matches with their confidence', () => {
+    assert.deepEqual(foundPatterns({
+        freeze: { found: true, confidence: 1 },
+        hardCrash: { found: false, confidence: 0 },
+        blackScreen: { found: true, confidence: 0.75 }
+    }), { freeze: 1, blackScreen: 0.75 });
+});
+
+test('sharded detection returns the serial results in input order', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    const data = issues(200);
+    const serial = data.map(issue => foundPatterns(analyzer.detectSpecificPatterns(issue)));
+    assert.deepEqual(detectInParallel(data, { workers: 3, setup: analyzer.detectionSetup() }), serial);
+});
+
+test('the analysis on worker threads matches the main thread', () => {
+    const data = issues(300);
+    assert.equal(analysisJson({ workers: 3 }, data), analysisJson({ workers: 1 }, data));
+    assert.equal(analysisJson({ workers: 2, primaryPattern: true, countClusters: true }, data),
+        analysisJson({ workers: 1, primaryPattern: true, countClusters: true }, data));
+
+    const patternRules = { patterns: [{ id: 'adIssue', name: 'Ad issue', severity: 'medium', description: 'Ads', keywords: ['ad'] }] };
+    assert.equal(analysisJson({ workers: 2, patternRules }, data), analysisJson({ workers: 1, patternRules }, data));
+
+    const training = data.map(issue => ({ ...issue, expected_patterns: issue.s_issue_title.startsWith('It just closes') ? 'hardCrash' : 'none' }));
+    const classifierModel = new EnhancedIOSAnalyzer({ logger: null }).train([training]);
+    ['hybrid', 'classifier'].forEach(detection => {
+        assert.equal(analysisJson({ workers: 2, classifierModel, detection }, data), analysisJson({ workers: 1, classifierModel, detection }, data), detection);
+    });
+});
+
+test('a failing worker fails detection with the error exit code', () => {
+    const setup = new EnhancedIOSAnalyzer({ logger: null }).detectionSetup();
+    assert.throws(() => detectInParallel(issues(4), { workers: 2, setup: { ...setup, rules: [{ id: 'broken' }] } }),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.ERROR && /Pattern detection worker failed/.test(error.message));
+});
+
+test('the benchmark times both modes and checks they agree', () => {
+    const results = new EnhancedIOSAnalyzer({ logger: null }).benchmark([issues(100)], { workers: 2 });
+    assert.equal(results.issues, 100);
+    assert.equal(results.identical, true);
+    assert.deepEqual(results.runs.map(run => run.workers), [1, 2]);
+    results.runs.forEach(run => assert.ok(run.issuesPerSecond > 0 && run.analysisMs > 0));
+
+    assert.throws(() => new EnhancedIOSAnalyzer({ logger: null, from: '2030-01-01' }).benchmark([issues(5)]),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.NO_ISSUES);
+});
+
+test('--workers must be a whole number, at least 1', () => {
+    assert.equal(parseArgs(['--workers', '4']).workers, 4);
+    assert.equal(parseArgs([]).workers, null);
+    ['0', '1.5', 'all'].forEach(value => {
+        assert.throws(() => parseArgs(['--workers', value]), /--workers must be a whole number, at least 1/);
+    });
+});
@@ -0,0 +1,149 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PatternRules } = require('../lib/pattern-rules');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES } = require('../enhanced-ios-analyzer');
+
+const defaults = PatternRules.defaults();
+
+function found(rules, title) {
+    return Object.entries(rules.detect({ s_issue_title: title }))
+        .filter(([, data]) => data.found)
+        .map(([id]) => id);
+}
+
+function invalidRules(config, message) {
+    assert.throws(() => PatternRules.fromConfig(config),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.CONFIG_INVALID && message.test(error.message));
+}
+
+test('negation cues before a match discard it', () => {
+    ['it doesn\'t crash anymore', 'no crash since the update', 'It doesn\'t freeze or crash', 'kein Absturz mehr'].forEach(title => {
+        assert.ok(!found(defaults, title).includes('hardCrash'), title);
+    });
+});
+
+test('a negation does not reach past "and", "then" or their translations', () => {
+    [
+        'The app does not load and crashes',
+        'Game won\'t start and crashes every time',
+        'It didn\'t respond, then crashed',
+        'Das Spiel lädt nicht und stürzt ab'
+    ].forEach(title => {
+        assert.ok(found(defaults, title).includes('hardCrash'), title);
+    });
+});
+
+test('"can\'t" is not a negation cue', () => {
+    assert.ok(found(defaults, 'can\'t stop crashing').includes('hardCrash'));
+});
+
+test('negation: false keeps negated matches', () => {
+    const rules = new PatternRules([{ id: 'crash', severity: 'critical', keywords: ['crash'], negation: false }]);
+    assert.deepEqual(found(rules, 'it doesn\'t crash anymore'), ['crash']);
+});
+
+test('matches inside an exclude term do not count', () => {
+    const rules = new PatternRules([{ id: 'purchase', severity: 'high', keywords: ['purchase'], exclude: ['purchase history'] }]);
+    assert.deepEqual(found(rules, 'purchase history is empty'), []);
+    assert.deepEqual(found(rules, 'purchase never arrived'), ['purchase']);
+});
+
+test('selectPrimary keeps only the most severe detected pattern', () => {
+    const detected = defaults.detect({ s_issue_title: 'game freezes and then crashes' });
+    assert.ok(detected.hardCrash.found && detected.freeze.found);
+    const primary = defaults.selectPrimary(detected);
+    assert.deepEqual(Object.keys(primary).filter(id => primary[id].found), ['hardCrash']);
+});
+
+test('rules files extend the defaults unless includeDefaults is false', () => {
+    const defaultIds = defaults.rules.map(rule => rule.id);
+    const merged = PatternRules.fromConfig({
+        patterns: [
+            { id: 'hardCrash', severity: 'high', keywords: ['kaboom'] },
+            { id: 'freeze', disabled: true },
+            { id: 'shopBroken', name: 'Shop', severity: 'medium', keywords: ['shop'] }
+        ]
+    });
+    assert.deepEqual(merged.rules.map(rule => rule.id), [...defaultIds.filter(id => id !== 'freeze'), 'shopBroken']);
+    assert.equal(merged.byId.get('hardCrash').severity, 'high');
+    assert.deepEqual(found(merged, 'kaboom in the shop'), ['hardCrash', 'shopBroken']);
+    assert.deepEqual(found(merged, 'app crashes'), []);
+
+    const own = PatternRules.fromConfig({ includeDefaults: false, patterns: [{ id: 'shop', severity: 'low', keywords: ['shop'] }] });
+    assert.deepEqual(own.rules.map(rule => rule.id), ['shop']);
+    assert.equal(own.displayName('shop'), 'Shop');
+});
+
+test('rules only look at the fields they name', () => {
+    const rules = new PatternRules([{ id: 'login', severity: 'high', regex: 'log ?in', fields: ['messages'] }]);
+    assert.deepEqual(found(rules, 'login fails'), []);
+    assert.ok(rules.detect({ s_issue_title: 'help', s_messages: 'cannot log in' }).login.found);
+});
+
+test('invalid rules exit 6 and name the problem', () => {
+    invalidRules({ patterns: 'hardCrash' }, /expected a list of patterns/);
+    invalidRules([{ severity: 'high', keywords: ['x'] }], /needs an "id"/);
+    invalidRules([{ id: '1st', severity: 'high', keywords: ['x'] }], /needs an "id"/);
+    invalidRules([{ id: 'a', severity: 'urgent', keywords: ['x'] }], /pattern "a" needs a "severity" of critical, high, medium, low/);
+    invalidRules([{ id: 'a', severity: 'high' }], /needs at least one "regex" or "keywords" entry/);
+    invalidRules([{ id: 'a', severity: 'high', regex: '(' }], /pattern "a" has an invalid regex/);
+    invalidRules([{ id: 'a', severity: 'high', keywords: [''] }], /must be non-empty strings/);
+    invalidRules([{ id: 'a', severity: 'high', keywords: ['x'], color: 'red' }], /unknown key\(s\) color/);
+    invalidRules([{ id: 'a', severity: 'high', keywords: ['x'], fields: ['body'] }], /"fields" must list known fields/);
+    invalidRules([{ id: 'a', severity: 'high', keywords: ['x'], negation: 'yes' }], /"negation" must be true or false/);
+    invalidRules([{ id: 'a', severity: 'high', keywords: ['x'] }, { id: 'a', severity: 'low', keywords: ['y'] }], /duplicate pattern id "a"/);
+});
+
+test('the analyzer reports custom rules under their ids', () => {
+    const analyzer = new EnhancedIOSAnalyzer({
+        logger: null,
+        patternRules: { includeDefaults: false, patterns: [{ id: 'shopBroken', severity: 'medium', keywords: ['shop'] }] }
+    });
+    const { analysis } = analyzer.analyze([[{
+        s_issue_title: 'Shop does not open',
+        s_meta_application_version: '3.1.0',
+        d_created_date: '2025-06-02',
+        s_meta_other_platform: 'ios'
+    }]]);
+    assert.deepEqual(Object.keys(analysis.patternAnalysis), ['shopBroken']);
+    assert.equal(analysis.patternAnalysis.shopBroken.severity, 'medium');
+});
+
+test('default rules match reports in other languages', () => {
+    [
+        'Das Spiel stürzt ab beim Start',
+        'La app se cierra al abrir la tienda',
+        'Le jeu plante au lancement',
+        'アプリが落ちる',
+        '打开商店就闪退',
+        '상점 들어가면 튕김'
+    ].forEach(title => {
+        assert.ok(found(defaults, title).includes('hardCrash'), title);
+    });
+});
+
+test('locale keywords respect word boundaries outside unspaced scripts', () => {
+    const rules = new PatternRules([{ id: 'crash', severity: 'critical', locales: { de: ['absturz'], fr: ['plante'] } }]);
+    assert.deepEqual(found(rules, 'Absturz beim Start'), ['crash']);
+    assert.deepEqual(found(rules, 'absturzsicher seit dem Update'), []);
+    assert.deepEqual(found(rules, 'la plantée'), []);
+    assert.deepEqual(found(rules, 'ÉCRAN: le jeu PLANTE'), ['crash']);
+});
+
+test('full-width and decomposed text is matched after NFKC normalization', () => {
+    const rules = new PatternRules([{ id: 'crash', severity: 'critical', keywords: ['crash', 'écran noir'] }]);
+    assert.deepEqual(found(rules, 'ＣＲＡＳＨ on launch'), ['crash']);
+    assert.deepEqual(found(rules, 'e\u0301cran noir'), ['crash']);
+});
+
+test('negation cues in other languages discard a match', () => {
+    ['Le jeu ne plante plus', 'Das Spiel stürzt nicht mehr ab, kein Absturz'].forEach(title => {
+        assert.ok(!found(defaults, title).includes('hardCrash'), title);
+    });
+});
+
+test('invalid locale definitions exit 6', () => {
+    invalidRules([{ id: 'a', severity: 'high', locales: ['de'] }], /"locales" must map language codes/);
+    invalidRules([{ id: 'a', severity: 'high', locales: { German: ['absturz'] } }], /invalid locale code "German"/);
+    invalidRules([{ id: 'a', severity: 'high', locales: { de: [42] } }], /must be non-empty strings/);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EnhancedIOSAnalyzer, parseArgs } = require('../enhanced-ios-analyzer');
+const { compareReleases, compareVersions, binomialUpperTail } = require('../lib/release-comparison');
+
+function day(offset) {
+    return new Date(Date.UTC(2025, 5, 1 + offset)).toISOString().slice(0, 10);
+}
+
+// `perDay` records a day for `days` days from `start`, all with `patterns`
+function releases(version, start, days, perDay, patterns = ['freeze']) {
+    const records = [];
+    for (let offset = start; offset < start + days; offset++) {
+        for (let index = 0; index < perDay; index++) records.push({ version, date: day(offset), patterns });
+    }
+    return records;
+}
+
+test('versions sort by their numbers, not as text', () => {
+    assert.deepEqual(['3.12.1', '3.9.4', '3.10', '3.9'].sort(compareVersions), ['3.9', '3.9.4', '3.10', '3.12.1']);
+    assert.ok(compareVersions('3.1.0', '3.1') > 0);
+});
+
+test('the binomial tail matches a hand-worked case', () => {
+    assert.ok(Math.abs(binomialUpperTail(2, 3, 0.5) - 0.5) < 1e-12);
+    assert.equal(binomialUpperTail(0, 3, 0.5), 1);
+    assert.equal(binomialUpperTail(4, 3, 0.5), 0);
+});
+
+test('a release with a higher issue rate is flagged, one at the same rate is not', () => {
+    const records = [
+        ...releases('3.0.0', 0, 20, 2),
+        ...releases('3.1.0', 20, 20, 2),
+        ...releases('3.2.0', 40, 20, 8, ['hardCrash'])
+    ];
+    const result = compareReleases(records);
+    assert.equal(result.perUser, false);
+    assert.deepEqual(result.versions.map(comparison => [comparison.version, comparison.previous]), [['3.2.0', '3.1.0'], ['3.1.0', '3.0.0']]);
+
+    const [latest, steady] = result.versions;
+    assert.equal(latest.days, 14);
+    assert.deepEqual([latest.count, latest.previousCount, latest.ratio], [112, 28, 4]);
+    assert.equal(latest.significant, true);
+    assert.equal(latest.patterns[0].id, 'hardCrash');
+    assert.equal(latest.patterns[0].ratio, Infinity);
+    assert.equal(latest.patterns[0].significant, true);
+    // Fewer freezes is not a regression
+    assert.equal(latest.patterns.find(pattern => pattern.id === 'freeze').significant, false);
+
+    assert.equal(steady.ratio, 1);
+    assert.equal(steady.significant, false);
+});
+
+test('a new release is compared over only the days it has been live', () => {
+    const result = compareReleases([...releases('3.0.0', 0, 20, 1), ...releases('3.1.0', 20, 4, 3)], { windowDays: 7 });
+    const [comparison] = result.versions;
+    assert.equal(result.windowDays, 7);
+    assert.equal(comparison.days, 4);
+    assert.deepEqual([comparison.count, comparison.previousCount], [12, 4]);
+    assert.deepEqual([comparison.launchDate, comparison.previousLaunchDate], [day(20), day(0)]);
+});
+
+test('too few issues are not tested and unusable records are skipped', () => {
+    const result = compareReleases([
+        ...releases('3.0.0', 0, 2, 1),
+        ...releases('3.1.0', 2, 2, 1),
+        { version: 'beta', date: day(3), patterns: [] },
+        { version: '3.2.0', date: 'yesterday', patterns: [] }
+    ]);
+    assert.deepEqual(result.versions.map(comparison => comparison.version), ['3.1.0']);
+    assert.equal(result.versions[0].pValue, null);
+    assert.equal(result.versions[0].significant, false);
+    assert.deepEqual(compareReleases([]).versions, []);
+});
+
+test('usage exposure turns rates into issues per user-day', () => {
+    const records = [...releases('3.0.0', 0, 14, 4), ...releases('3.1.0', 14, 14, 4)];
+    const users = { '3.0.0': 1000, '3.1.0': 4000 };
+    const result = compareReleases(records, { exposure: version => users[version] });
+    const [comparison] = result.versions;
+    assert.equal(result.perUser, true);
+    assert.deepEqual([comparison.exposure, comparison.previousExposure], [4000, 1000]);
+    assert.equal(comparison.ratio, 0.25);
+    assert.equal(comparison.significant, false);
+
+    // A side without usage falls back to rates per day
+    const partial = compareReleases(records, { exposure: version => (version === '3.1.0' ? 4000 : 0) });
+    assert.equal(partial.perUser, false);
+    assert.equal(partial.versions[0].exposure, 14);
+});
+
+test('the analyzer compares releases within --release-window', () => {
+    const issues = [...releases('3.0.0', 0, 20, 1), ...releases('3.1.0', 20, 20, 3)].map(record => ({
+        s_issue_title: 'Game freezes on the map',
+        s_meta_application_version: record.version,
+        d_created_date: record.date,
+        s_meta_other_platform: 'ios'
+    }));
+    const { releaseComparison } = new EnhancedIOSAnalyzer({ logger: null, releaseWindow: 10 }).analyze([issues]).analysis;
+    assert.equal(releaseComparison.windowDays, 10);
+    assert.deepEqual([releaseComparison.versions[0].count, releaseComparison.versions[0].previousCount], [30, 10]);
+    assert.equal(releaseComparison.versions[0].significant, true);
+    assert.equal(releaseComparison.versions[0].patterns[0].id, 'freeze');
+
+    assert.equal(parseArgs(['--release-window', '30']).releaseWindow, 30);
+    ['0', '2.5', 'week'].forEach(value => {
+        assert.throws(() => parseArgs(['--release-window', value]), /--release-window must be a whole number of days, at least 1/);
+    });
+});
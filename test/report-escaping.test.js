@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedIOSAnalyzer } = require('../enhanced-ios-analyzer');
+const { scriptJson } = require('../lib/html-escape');
+
+// Every free-text column of the fixture, and one rejected row, carries this
+const PAYLOAD = '</script><img src=x onerror=alert(1)>';
+const FIXTURE = path.join(__dirname, 'fixtures', 'hostile-export.csv');
+const HOSTILE_RULES = {
+    patterns: [{
+        id: 'hostileShop',
+        name: PAYLOAD,
+        severity: 'critical',
+        description: `Shop ${PAYLOAD} crash`,
+        keywords: ['shop']
+    }]
+};
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'report-escaping-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+// The export copied to a file name that is itself a payload, since source
+// names show up in the data-quality panel
+function hostileCopy(directory) {
+    const copy = path.join(directory, `${PAYLOAD.replace(/\//g, '')}.csv`);
+    fs.copyFileSync(FIXTURE, copy);
+    return copy;
+}
+
+function analyzer(options = {}) {
+    return new EnhancedIOSAnalyzer({ patternRules: HOSTILE_RULES, logger: null, ...options });
+}
+
+// Checks a whole report: no live payload markup, and every inline script ends
+// where the report meant it to and still compiles
+function assertSafe(html) {
+    assert.doesNotMatch(html, /<img/i);
+    const opened = html.match(/<script\b/gi) || [];
+    const closed = html.match(/<\/script>/gi) || [];
+    assert.equal(closed.length, opened.length, 'a value ended a <script> block early');
+    const scripts = [...html.matchAll(/<script\b[^>]*>([\s\S]*?)<\/script>/gi)].map(match => match[1]);
+    scripts.forEach(script => {
+        assert.doesNotThrow(() => new Function(script), 'inline script no longer parses');
+    });
+    return scripts;
+}
+
+test('scriptJson output parses back to the same value', () => {
+    const values = [
+        PAYLOAD,
+        '<!-- x --> & \u2028 \u2029',
+        { [PAYLOAD]: [PAYLOAD, 1, null, { nested: '</SCRIPT >' }] }
+    ];
+    values.forEach(value => {
+        const json = scriptJson(value);
+        assert.doesNotMatch(json, /[<>&\u2028\u2029]/);
+        assert.deepEqual(JSON.parse(json), value);
+    });
+});
+
+test('default report escapes hostile export and rule text', t => {
+    const directory = temporaryDirectory(t);
+    const output = path.join(directory, 'report.html');
+    analyzer({ platform: 'ios' }).run({ inputs: [hostileCopy(directory)], output });
+    const html = fs.readFileSync(output, 'utf8');
+
+    const scripts = assertSafe(html);
+    assert.ok(scripts.some(script => script.includes('\\u003c/script\\u003e')), 'chart data should carry the escaped payload');
+    assert.ok(html.includes('&lt;/script&gt;&lt;img src=x onerror=alert(1)&gt;'), 'payload should appear as text');
+});
+
+test('data-quality panel escapes rejected rows and source names', t => {
+    const directory = temporaryDirectory(t);
+    const output = path.join(directory, 'report.html');
+    const instance = analyzer({ platform: 'ios' });
+    instance.run({ inputs: [hostileCopy(directory)], output });
+    const html = fs.readFileSync(output, 'utf8');
+
+    assert.equal(instance.analysis.dataQuality.rejected, 1);
+    assertSafe(html);
+    assert.match(html, /quality-sample[\s\S]*&lt;img src=x onerror=alert\(1\)&gt;\.csv:14/);
+});
+
+test('offline report escapes text inside inline SVG charts', t => {
+    const directory = temporaryDirectory(t);
+    const output = path.join(directory, 'report.html');
+    const history = path.join(directory, 'history.jsonl');
+    analyzer({ platform: 'ios', history, exportDate: '2025-06-01' }).analyze([FIXTURE]);
+    analyzer({ platform: 'ios', history, offline: true }).run({ inputs: [hostileCopy(directory)], output });
+    const html = fs.readFileSync(output, 'utf8');
+
+    assert.deepEqual(assertSafe(html), [], 'offline reports should have no scripts');
+    assert.match(html, /<svg class="svg-chart"/);
+    assert.match(html, /<svg[^>]*>[\s\S]*&lt;\/script&gt;&lt;img/);
+});
+
+test('comparison report escapes hostile versions, tags and pattern names', t => {
+    const directory = temporaryDirectory(t);
+    const output = path.join(directory, 'comparison.html');
+    const before = [{
+        s_issue_title: 'App crashes on launch',
+        a_tags: '["crash"]',
+        s_meta_application_version: '3.0.0',
+        d_created_date: '2025-05-20',
+        s_meta_other_platform: 'ios'
+    }];
+    const instance = analyzer({ platform: 'ios' });
+    instance.compare(before, hostileCopy(directory));
+    instance.generateComparisonReport(output);
+    const html = fs.readFileSync(output, 'utf8');
+
+    assertSafe(html);
+    assert.ok(html.includes('&lt;/script&gt;&lt;img'), 'payload should appear as text');
+});
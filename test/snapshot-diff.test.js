@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EnhancedIOSAnalyzer, EXIT_CODES, parseArgs } = require('../enhanced-ios-analyzer');
+const { diffCounts } = require('../lib/snapshot-diff');
+
+const SCRIPT = path.join(__dirname, '..', 'enhanced-ios-analyzer.js');
+const HEADER = 's_issue_title,a_tags,s_meta_application_version,d_created_date,s_meta_other_platform';
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-diff-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function issue(title, version, date, tags = []) {
+    return { s_issue_title: title, a_tags: JSON.stringify(tags), s_meta_application_version: version, d_created_date: date, s_meta_other_platform: 'ios' };
+}
+
+// Last week: crashes and a freeze on 3.1.0. This week: more crashes, a black
+// screen on the new 3.2.0 and no freezes.
+const LAST_WEEK = [
+    issue('App crashes on launch', '3.1.0', '2025-06-02', ['crash']),
+    issue('App crashes on launch', '3.1.0', '2025-06-03', ['crash']),
+    issue('Game freezes on the map', '3.1.0', '2025-06-04', ['map']),
+    issue('Purchase went through fine', '3.1.0', '2025-06-05')
+];
+const THIS_WEEK = [
+    issue('App crashes on launch', '3.1.0', '2025-06-09', ['crash']),
+    issue('App crashes on launch', '3.1.0', '2025-06-10', ['crash']),
+    issue('App crashes on launch', '3.2.0', '2025-06-11', ['crash']),
+    issue('Black screen after the update', '3.2.0', '2025-06-12')
+];
+
+test('count diffs mark new, gone, up, down and unchanged keys, largest change first', () => {
+    const rows = diffCounts({ a: 2, b: 5, c: 1, d: 3 }, { a: 2, b: 1, d: 4, e: 6 });
+    assert.deepEqual(rows.map(row => [row.key, row.delta, row.status]), [
+        ['e', 6, 'new'], ['b', -4, 'down'], ['d', 1, 'up'], ['c', -1, 'gone'], ['a', 0, 'same']
+    ]);
+    assert.equal(rows.find(row => row.key === 'b').changePercent, -80);
+    assert.equal(rows.find(row => row.key === 'e').changePercent, null);
+});
+
+test('compare diffs versions, patterns, tags and severity between exports', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    const comparison = analyzer.compare([LAST_WEEK], [THIS_WEEK]);
+
+    assert.deepEqual([comparison.totals.before, comparison.totals.after, comparison.totals.status], [4, 4, 'same']);
+    assert.deepEqual(comparison.versions.map(row => [row.key, row.before, row.after, row.status]),
+        [['3.1.0', 4, 2, 'down'], ['3.2.0', 0, 2, 'new']]);
+    assert.deepEqual(comparison.newPatterns.map(row => row.key), ['blackScreen']);
+    assert.deepEqual(comparison.disappearedPatterns.map(row => row.key), ['freeze']);
+    const crashes = comparison.patterns.find(row => row.key === 'hardCrash');
+    assert.deepEqual([crashes.before, crashes.after, crashes.status, crashes.severity], [2, 3, 'up', 'critical']);
+    assert.deepEqual(comparison.tags.map(row => [row.key, row.delta]), [['crash', 1], ['map', -1]]);
+
+    const critical = comparison.severity.find(row => row.severity === 'critical');
+    assert.deepEqual([critical.before, critical.after, critical.beforeShare, critical.afterShare, critical.shareDelta], [2, 3, 50, 75, 25]);
+    assert.equal(comparison.periods.overlapping, false);
+    assert.deepEqual(comparison.periods.after, { from: '2025-06-09', to: '2025-06-12' });
+});
+
+test('both sides go through the same aggregation and rules', () => {
+    const patternRules = { patterns: [{ id: 'mapBug', name: 'Map bug', severity: 'medium', description: 'Map problems', keywords: ['map'] }] };
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null, patternRules });
+    analyzer.compare([LAST_WEEK], [THIS_WEEK]);
+    const standalone = new EnhancedIOSAnalyzer({ logger: null, patternRules }).analyze([LAST_WEEK]).analysis;
+    assert.deepEqual(analyzer.baseline.analysis.patternAnalysis, standalone.patternAnalysis);
+    assert.deepEqual(analyzer.baseline.analysis.versionGroups, standalone.versionGroups);
+    // Custom rules are added to the defaults on both sides
+    assert.deepEqual(analyzer.comparison.disappearedPatterns.map(row => row.key), ['freeze', 'mapBug']);
+});
+
+test('overlapping exports and the biggest changes are called out', () => {
+    const analyzer = new EnhancedIOSAnalyzer({ logger: null });
+    analyzer.compare([LAST_WEEK], [[...LAST_WEEK.slice(0, 3), ...THIS_WEEK]]);
+    const insights = analyzer.generateComparisonInsights();
+    assert.match(insights[0], /^\*\*Overlapping Periods:\*\* The exports cover 2025-06-02 to 2025-06-05 and 2025-06-02 to 2025-06-12\./);
+    assert.ok(insights.includes('**Overall:** 4 → 7 issues (+3, +75%).'), insights.join('\n'));
+    assert.ok(insights.includes('**Versions:** New version 3.2.0 brought 2 issues.'), insights.join('\n'));
+});
+
+test('the compare command needs two inputs and writes the report and --json', t => {
+    assert.throws(() => parseArgs(['compare', 'a.csv']), /compare needs two inputs/);
+    assert.equal(parseArgs(['compare', 'a.csv', 'b.csv']).output, 'comparison-report.html');
+
+    const directory = temporaryDirectory(t);
+    const quote = value => `"${value.replace(/"/g, '""')}"`;
+    const write = (name, issues) => fs.writeFileSync(path.join(directory, name),
+        [HEADER, ...issues.map(entry => [entry.s_issue_title, quote(entry.a_tags), entry.s_meta_application_version, entry.d_created_date, 'ios'].join(','))].join('\n'));
+    write('last.csv', LAST_WEEK);
+    write('this.csv', THIS_WEEK);
+    const run = args => spawnSync(process.execPath, [SCRIPT, 'compare', ...args], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+
+    const compared = run(['last.csv', 'this.csv', '--json', 'diff.json']);
+    assert.equal(compared.status, EXIT_CODES.OK, compared.stderr);
+    assert.match(compared.stdout, /4 → 4 issues; 1 new and 1 disappeared pattern\n/);
+    assert.deepEqual(JSON.parse(fs.readFileSync(path.join(directory, 'diff.json'), 'utf8')).newPatterns.map(row => row.key), ['blackScreen']);
+    assert.match(fs.readFileSync(path.join(directory, 'comparison-report.html'), 'utf8'), /Disappeared/);
+
+    assert.equal(run(['last.csv']).status, EXIT_CODES.USAGE);
+    assert.equal(run(['last.csv', 'missing.csv']).status, EXIT_CODES.INPUT_NOT_FOUND);
+});
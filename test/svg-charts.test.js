@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EXIT_CODES, parseArgs } = require('../enhanced-ios-analyzer');
+const { barChart, lineChart } = require('../lib/svg-charts');
+
+const SCRIPT = path.join(__dirname, '..', 'enhanced-ios-analyzer.js');
+const TITLES = { label: 'Chart', xTitle: 'X', yTitle: 'Y' };
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'svg-charts-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function ticks(chart) {
+    return [...chart.matchAll(/text-anchor="end" font-size="12" fill="#666">([^<]+)</g)].map(match => match[1]);
+}
+
+test('bar heights follow the values on a rounded axis', () => {
+    const chart = barChart([
+        { label: '3.1.0', value: 35, color: '#ff3b30', tooltip: 'Version 3.1.0' },
+        { label: '3.2.0', value: 14, color: '#34c759', tooltip: 'Version 3.2.0' }
+    ], TITLES);
+    assert.deepEqual(ticks(chart), ['0', '10', '20', '30', '40']);
+    const heights = [...chart.matchAll(/<rect [^>]*height="([\d.]+)"/g)].map(match => Number(match[1]));
+    assert.deepEqual(heights, [262.5, 105]);
+    assert.match(chart, /<title>Version 3\.1\.0<\/title>/);
+    assert.match(chart, /^<svg class="svg-chart" viewBox="0 0 800 420" role="img" aria-label="Chart"/);
+});
+
+test('small, empty and missing values still draw an axis', () => {
+    assert.deepEqual(ticks(barChart([{ label: 'a', value: 0.3, color: '#000', tooltip: '' }], TITLES)), ['0.0', '0.1', '0.2', '0.3']);
+    assert.deepEqual(ticks(barChart([], TITLES)), ['0.0', '0.2', '0.4', '0.6', '0.8', '1.0']);
+    // A version without usage data has no rate and no bar
+    assert.match(barChart([{ label: 'a', value: null, color: '#000', tooltip: '' }], TITLES), /height="0"/);
+});
+
+test('long category axes skip labels evenly', () => {
+    const bars = Array.from({ length: 40 }, (_, index) => ({ label: `v${index}`, value: index, color: '#000', tooltip: '' }));
+    const labels = [...barChart(bars, TITLES).matchAll(/rotate\(-35\)[^>]*>([^<]+)</g)].map(match => match[1]);
+    assert.deepEqual(labels, ['v0', 'v3', 'v6', 'v9', 'v12', 'v15', 'v18', 'v21', 'v24', 'v27', 'v30', 'v33', 'v36', 'v39']);
+});
+
+test('null values break a line and a legend appears for several series', () => {
+    const single = lineChart(['a', 'b', 'c', 'd'], [{ name: 'Daily', values: [1, null, 3, 4], color: '#007AFF' }], TITLES);
+    assert.equal((single.match(/<polyline/g) || []).length, 2);
+    assert.doesNotMatch(single, />Daily</);
+
+    const pair = lineChart(['a', 'b'], [
+        { name: 'Daily', values: [1, 2], color: '#007AFF', tooltips: ['a: 1', 'b: 2'] },
+        { name: 'Expected <median>', values: [2, 2], color: '#ff9500', dashed: true }
+    ], TITLES);
+    assert.match(pair, />Expected &lt;median&gt;</);
+    assert.match(pair, /stroke-dasharray="5 5"/);
+    assert.equal((pair.match(/<circle/g) || []).length, 2);
+    assert.match(pair, /<title>b: 2<\/title>/);
+});
+
+test('--offline reports have no scripts or network requests', t => {
+    assert.equal(parseArgs(['--offline']).offline, true);
+
+    const directory = temporaryDirectory(t);
+    fs.writeFileSync(path.join(directory, 'issues.csv'), [
+        's_issue_title,s_meta_application_version,d_created_date,s_meta_other_platform',
+        'App crashes on launch,3.1.0,2025-06-01,ios',
+        'Game freezes on the map,3.2.0,2025-06-02,ios'
+    ].join('\n'));
+    const run = args => spawnSync(process.execPath, [SCRIPT, 'issues.csv', ...args], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+
+    // History charts need two snapshots
+    assert.equal(run(['--history', 'history.jsonl', '--export-date', '2025-06-01', '--output', 'first.html']).status, EXIT_CODES.OK);
+    const offline = run(['--offline', '--history', 'history.jsonl', '--export-date', '2025-06-08', '--output', 'offline.html']);
+    assert.equal(offline.status, EXIT_CODES.OK, offline.stderr);
+    const html = fs.readFileSync(path.join(directory, 'offline.html'), 'utf8');
+    assert.doesNotMatch(html, /<script|<canvas|https?:\/\//);
+    // Version and daily charts, plus both history charts
+    assert.equal((html.match(/<svg class="svg-chart"/g) || []).length, 4);
+
+    assert.equal(run(['--output', 'online.html']).status, EXIT_CODES.OK);
+    assert.match(fs.readFileSync(path.join(directory, 'online.html'), 'utf8'), /<script src="https:\/\/cdn\.jsdelivr\.net\/npm\/chart\.js"><\/script>/);
+});
@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES, parseArgs } = require('../enhanced-ios-analyzer');
+const { TextClassifier, tokenize } = require('../lib/text-classifier');
+
+const PATTERNS = {
+    crash: { name: 'Crash', severity: 'critical', description: 'Crashes' },
+    login: { name: 'Login', severity: 'high', description: 'Login fails' }
+};
+const DOCUMENTS = [
+    { text: 'kicks me out to the home screen', labels: ['crash'] },
+    { text: 'game kicks me out after the ad', labels: ['crash'] },
+    { text: 'it kicks me out on the map', labels: ['crash'] },
+    { text: 'cannot sign in with apple', labels: ['login'] },
+    { text: 'sign in button does nothing', labels: ['login'] },
+    { text: 'love the new event', labels: [] },
+    { text: 'the map looks great', labels: [] }
+];
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'text-classifier-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function issue(title) {
+    return { s_issue_title: title, s_meta_application_version: '3.1.0', d_created_date: '2025-06-02', s_meta_other_platform: 'ios' };
+}
+
+test('tokens are normalized words, word pairs and CJK bigrams', () => {
+    assert.deepEqual(tokenize('Kicks ME out'), ['kicks', 'kicks me', 'me', 'me out', 'out']);
+    assert.deepEqual(tokenize('ＡＰＰ 闪退了'), ['app', '闪退', '退了']);
+});
+
+test('a trained model scores issues like its labeled examples', () => {
+    const classifier = TextClassifier.train(DOCUMENTS, PATTERNS);
+    const kicked = classifier.predict('keeps kicking me out, kicks me out again');
+    assert.ok(kicked.crash > 0.5, `crash ${kicked.crash}`);
+    assert.ok(kicked.login < 0.5, `login ${kicked.login}`);
+    const signIn = classifier.predict('sign in fails');
+    assert.ok(signIn.login > signIn.crash);
+});
+
+test('object property names are ordinary tokens', () => {
+    const classifier = TextClassifier.train([
+        { text: 'constructor __proto__ crash', labels: ['crash'] },
+        { text: 'hasOwnProperty toString', labels: [] }
+    ], PATTERNS);
+    const probabilities = classifier.predict('constructor __proto__ valueOf');
+    Object.values(probabilities).forEach(probability => assert.ok(Number.isFinite(probability)));
+    assert.equal(probabilities.login, 0);
+});
+
+test('saved models load back with the same predictions', t => {
+    const directory = temporaryDirectory(t);
+    const file = path.join(directory, 'model.json');
+    const classifier = TextClassifier.train(DOCUMENTS, PATTERNS);
+    classifier.save(file);
+    assert.deepEqual(TextClassifier.load(file).predict('kicks me out'), classifier.predict('kicks me out'));
+
+    const invalidModel = error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.CONFIG_INVALID;
+    assert.throws(() => TextClassifier.load(path.join(directory, 'none.json')), invalidModel);
+    fs.writeFileSync(file, '{"type": "svm", "version": 1}');
+    assert.throws(() => TextClassifier.load(file), invalidModel);
+});
+
+test('hybrid detection keeps rule matches and adds confident model matches', () => {
+    const trainer = new EnhancedIOSAnalyzer({ logger: null });
+    const training = DOCUMENTS.map(document => ({
+        ...issue(document.text),
+        expected_patterns: document.labels.includes('crash') ? 'hardCrash' : 'none'
+    }));
+    const classifierModel = trainer.train([training]);
+
+    const hybrid = new EnhancedIOSAnalyzer({ logger: null, classifierModel });
+    assert.equal(hybrid.detection, 'hybrid');
+    const ruleMatch = hybrid.detectSpecificPatterns(issue('App crashes on launch'));
+    assert.equal(ruleMatch.hardCrash.found, true);
+    assert.equal(ruleMatch.hardCrash.confidence, 1);
+    const modelMatch = hybrid.detectSpecificPatterns(issue('it kicks me out all the time'));
+    assert.equal(modelMatch.hardCrash.found, true);
+    assert.ok(modelMatch.hardCrash.confidence < 1);
+
+    const regexOnly = new EnhancedIOSAnalyzer({ logger: null, classifierModel, detection: 'regex' });
+    assert.equal(regexOnly.detectSpecificPatterns(issue('it kicks me out all the time')).hardCrash.found, false);
+});
+
+test('model-based detection without a model is a usage error', () => {
+    assert.throws(() => new EnhancedIOSAnalyzer({ logger: null, detection: 'classifier' }),
+        error => error instanceof AnalyzerError && error.exitCode === EXIT_CODES.USAGE);
+    assert.throws(() => parseArgs(['--detection', 'hybrid']), /--detection hybrid needs --model/);
+    assert.throws(() => parseArgs(['--detection', 'bayes']), /--detection must be one of/);
+});
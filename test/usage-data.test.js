@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { EnhancedIOSAnalyzer, AnalyzerError, EXIT_CODES, parseArgs } = require('../enhanced-ios-analyzer');
+const { UsageData } = require('../lib/usage-data');
+
+const SCRIPT = path.join(__dirname, '..', 'enhanced-ios-analyzer.js');
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-data-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+function issue(version, date, title = 'Game freezes on the map') {
+    return { s_issue_title: title, s_meta_application_version: version, d_created_date: date, s_meta_other_platform: 'ios' };
+}
+
+function failsWith(exitCode, message) {
+    return error => error instanceof AnalyzerError && error.exitCode === exitCode && message.test(error.message);
+}
+
+test('usage files accept header aliases in any case and skip unreadable rows', t => {
+    const file = path.join(temporaryDirectory(t), 'usage.csv');
+    fs.writeFileSync(file, [
+        'Day,Version,DAU',
+        '2025-06-01,3.1.0,1000',
+        '06/02/2025,3.1.0,3000',
+        'someday,3.1.0,10',
+        '2025-06-03,3.1.0,-5',
+        ''
+    ].join('\n'));
+    const usage = UsageData.fromFile(file);
+    assert.equal(usage.unit, 'users');
+    assert.deepEqual(usage.dimensions, ['appVersion']);
+    assert.deepEqual(usage.dates, ['2025-06-01', '2025-06-02']);
+    assert.equal(usage.skipped, 2);
+});
+
+test('unusable usage files fail with the input exit codes', t => {
+    const directory = temporaryDirectory(t);
+    assert.throws(() => UsageData.fromFile(path.join(directory, 'none.csv')), failsWith(EXIT_CODES.INPUT_NOT_FOUND, /Usage file not found/));
+
+    const noUsers = path.join(directory, 'no-users.csv');
+    fs.writeFileSync(noUsers, 'date,app_version\n2025-06-01,3.1.0\n');
+    assert.throws(() => UsageData.fromFile(noUsers), failsWith(EXIT_CODES.INVALID_INPUT, /needs a date column/));
+
+    const noRows = path.join(directory, 'no-rows.csv');
+    fs.writeFileSync(noRows, 'date,users\nsoon,12\n');
+    assert.throws(() => UsageData.fromFile(noRows), failsWith(EXIT_CODES.INVALID_INPUT, /has no usable usage rows/));
+});
+
+test('rates use average daily users, or total sessions', () => {
+    const users = new UsageData([
+        { date: '2025-06-01', appVersion: '3.1.0', amount: 1000 },
+        { date: '2025-06-01', appVersion: '3.2.0', amount: 3000 },
+        { date: '2025-06-02', appVersion: '3.1.0', amount: 3000 },
+        { date: '2025-06-02', appVersion: '3.2.0', amount: 3000 }
+    ]);
+    assert.equal(users.exposure({ appVersion: '3.1.0' }), 4000);
+    assert.equal(users.denominator({ appVersion: '3.1.0' }), 2000);
+    assert.equal(users.ratePer10k(10, { appVersion: '3.1.0' }), 50);
+    assert.equal(users.denominator({ appVersion: '3.1.0', from: '2025-06-02' }), 3000);
+    assert.equal(users.denominator(), 5000);
+    // Versions without usage have no rate
+    assert.equal(users.ratePer10k(10, { appVersion: '9.9.9' }), null);
+    // The file has no country breakdown
+    assert.equal(users.exposure({ country: 'US' }), null);
+
+    const sessions = new UsageData([{ date: '2025-06-01', amount: 500 }, { date: '2025-06-02', amount: 1500 }], { measure: 'sessions' });
+    assert.equal(sessions.unit, 'sessions');
+    assert.equal(sessions.ratePer10k(4), 20);
+});
+
+test('the analyzer adds per-10k rates to versions with usage', () => {
+    const usage = new UsageData([
+        { date: '2025-06-01', appVersion: '3.1.0', amount: 2000 },
+        { date: '2025-06-02', appVersion: '3.1.0', amount: 2000 }
+    ]);
+    const issues = [issue('3.1.0', '2025-06-01'), issue('3.1.0', '2025-06-02', 'App crashes on launch'), issue('3.2.0', '2025-06-02')];
+    const { versionGroups, usage: summary } = new EnhancedIOSAnalyzer({ logger: null, usage, normalize: true }).analyze([issues]).analysis;
+    assert.equal(versionGroups['3.1.0'].usage, 2000);
+    assert.equal(versionGroups['3.1.0'].ratePer10k, 10);
+    assert.equal(versionGroups['3.1.0'].criticalPer10k, 5);
+    assert.equal(versionGroups['3.2.0'].ratePer10k, null);
+    assert.deepEqual(summary.period, { from: '2025-06-01', to: '2025-06-02' });
+    assert.equal(summary.normalize, true);
+
+    assert.equal(new EnhancedIOSAnalyzer({ logger: null }).analyze([issues]).analysis.usage, null);
+});
+
+test('--normalize needs usage data', t => {
+    assert.throws(() => new EnhancedIOSAnalyzer({ logger: null, normalize: true }), failsWith(EXIT_CODES.USAGE, /Normalized rates need usage data/));
+    assert.throws(() => parseArgs(['--normalize']), failsWith(EXIT_CODES.USAGE, /--normalize needs --usage/));
+    assert.equal(parseArgs(['--normalize', '--usage', 'usage.csv']).normalize, true);
+
+    const directory = temporaryDirectory(t);
+    fs.writeFileSync(path.join(directory, 'issues.csv'), 's_issue_title,s_meta_application_version,d_created_date,s_meta_other_platform\nApp crashes,3.1.0,2025-06-01,ios\n');
+    const missing = spawnSync(process.execPath, [SCRIPT, 'issues.csv', '--usage', 'none.csv', '--normalize'], { cwd: directory, encoding: 'utf8', timeout: 60000 });
+    assert.equal(missing.status, EXIT_CODES.INPUT_NOT_FOUND);
+    assert.match(missing.stderr, /Usage file not found: none\.csv/);
+});